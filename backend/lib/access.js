@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'access' });
+
+// API keys and per-caller quotas. A caller is the owner of an API key or,
+// when keys are optional, the client IP. Each quota action (build, test,
+// template) is counted in a fixed window that starts with the first use.
+//
+// Keys are stored as SHA-256 hashes; the key itself is only shown when it
+// is issued. Keys and counters live in one JSON file so quotas survive a
+// restart.
+
+const QUOTA_ACTIONS = ['build', 'test', 'template'];
+
+const KEY_PREFIX = 'cide_';
+
+// Counter writes are batched; key changes are written straight away
+const SAVE_DELAY = 1000;
+
+class AccessError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AccessError';
+    this.status = status;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// quotas are { build, test, template } limits per window; 0 is unlimited
+function createAccessControl({ filePath, windowMs, keyQuotas, anonymousQuotas, requireKey }) {
+  let state = null;
+  let saveTimer = null;
+
+  async function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.error('Could not read access data, starting empty', { file: filePath, error: error.message });
+      state = {};
+    }
+    state.keys = state.keys || [];
+    state.usage = state.usage || {};
+    return state;
+  }
+
+  // Write then rename so a crash never leaves a partial file
+  async function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!state) return;
+
+    // Callers whose windows have all run out have nothing left to track
+    const now = Date.now();
+    for (const [callerId, counters] of Object.entries(state.usage)) {
+      if (Object.values(counters).every(counter => now - counter.windowStart >= windowMs)) {
+        delete state.usage[callerId];
+      }
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => flush().catch(error => log.error('Could not save access data', { error })), SAVE_DELAY);
+  }
+
+  // Who is calling, from the request's API key (if any) and IP
+  async function identify(key, ip) {
+    await load();
+
+    if (key) {
+      const hash = hashKey(key);
+      const entry = state.keys.find(k => k.hash === hash && !k.revokedAt);
+      if (!entry) throw new AccessError('Invalid or revoked API key');
+      return { id: `key:${entry.id}`, name: entry.name, anonymous: false, quotas: { ...keyQuotas, ...entry.quotas } };
+    }
+
+    if (requireKey) {
+      throw new AccessError('An API key is required. Send it in the X-API-Key header.');
+    }
+    return { id: `ip:${ip}`, name: null, anonymous: true, quotas: anonymousQuotas };
+  }
+
+  // Current window of one counter, restarted once it has run out
+  function counterFor(callerId, action, now) {
+    const usage = state.usage[callerId] = state.usage[callerId] || {};
+    const counter = usage[action];
+    if (!counter || now - counter.windowStart >= windowMs) {
+      usage[action] = { windowStart: now, count: 0 };
+    }
+    return usage[action];
+  }
+
+  function describe(caller, action, counter) {
+    const limit = caller.quotas[action] || 0;
+    return {
+      action,
+      limit: limit || null,
+      used: counter.count,
+      remaining: limit ? Math.max(0, limit - counter.count) : null,
+      resetAt: new Date(counter.windowStart + windowMs).toISOString()
+    };
+  }
+
+  // Count one use of action. Returns the quota with allowed: false (and
+  // nothing counted) when it is used up.
+  function consume(caller, action) {
+    const counter = counterFor(caller.id, action, Date.now());
+    const limit = caller.quotas[action] || 0;
+
+    if (limit && counter.count >= limit) {
+      return { allowed: false, ...describe(caller, action, counter) };
+    }
+
+    counter.count++;
+    scheduleSave();
+    return { allowed: true, ...describe(caller, action, counter) };
+  }
+
+  // Every quota of a caller, without counting anything
+  function usage(caller) {
+    const now = Date.now();
+    return Object.fromEntries(QUOTA_ACTIONS.map(action => {
+      const counter = counterFor(caller.id, action, now);
+      return [action, describe(caller, action, counter)];
+    }));
+  }
+
+  // --- Administration ---------------------------------------------------
+
+  const publicKey = ({ hash, ...entry }) => ({ ...entry, quotas: { ...keyQuotas, ...entry.quotas } });
+
+  async function listKeys() {
+    await load();
+    return state.keys.map(entry => ({
+      ...publicKey(entry),
+      usage: entry.revokedAt ? null : usage({ id: `key:${entry.id}`, quotas: { ...keyQuotas, ...entry.quotas } })
+    }));
+  }
+
+  // Returns the key once, together with its stored details
+  async function issueKey({ name, quotas = {} }) {
+    await load();
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new AccessError('A key needs a name', 400);
+    }
+    const overrides = {};
+    for (const [action, limit] of Object.entries(quotas || {})) {
+      if (!QUOTA_ACTIONS.includes(action) || !Number.isInteger(limit) || limit < 0) {
+        throw new AccessError(`Quotas must be whole numbers for: ${QUOTA_ACTIONS.join(', ')}`, 400);
+      }
+      overrides[action] = limit;
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const entry = {
+      id: uuidv4(),
+      name: name.trim(),
+      prefix: key.slice(0, KEY_PREFIX.length + 4),
+      hash: hashKey(key),
+      quotas: overrides,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    state.keys.push(entry);
+    await flush();
+    return { key, ...publicKey(entry) };
+  }
+
+  async function revokeKey(id) {
+    await load();
+
+    const entry = state.keys.find(k => k.id === id);
+    if (!entry) throw new AccessError('API key not found', 404);
+
+    if (!entry.revokedAt) {
+      entry.revokedAt = new Date().toISOString();
+      delete state.usage[`key:${entry.id}`];
+      await flush();
+    }
+    return publicKey(entry);
+  }
+
+  return { identify, consume, usage, listKeys, issueKey, revokeKey, flush };
+}
+
+module.exports = { createAccessControl, AccessError, QUOTA_ACTIONS };
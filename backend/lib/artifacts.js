@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Build artifacts (DAR files) kept after a build so they can be downloaded
+// by id. Each artifact is stored as <id>.dar with an <id>.json metadata
+// file next to it, and removed once older than the TTL.
+
+const ARTIFACT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function createArtifactStore({ rootDir, ttl }) {
+  const darPath = (id) => path.join(rootDir, `${id}.dar`);
+  const metaPath = (id) => path.join(rootDir, `${id}.json`);
+
+  // Copy a DAR into the store and remember its metadata
+  async function save(sourcePath, meta = {}) {
+    const id = uuidv4();
+    await fs.mkdir(rootDir, { recursive: true });
+    await fs.copyFile(sourcePath, darPath(id));
+
+    const stats = await fs.stat(darPath(id));
+    const artifact = {
+      id,
+      fileName: path.basename(sourcePath),
+      size: stats.size,
+      createdAt: new Date().toISOString(),
+      ...meta
+    };
+
+    await fs.writeFile(metaPath(id), JSON.stringify(artifact), 'utf8');
+    return artifact;
+  }
+
+  // Metadata and file path for an artifact, or null when unknown/expired
+  async function get(id) {
+    if (typeof id !== 'string' || !ARTIFACT_ID_RE.test(id)) return null;
+
+    try {
+      const artifact = JSON.parse(await fs.readFile(metaPath(id), 'utf8'));
+      return { ...artifact, path: darPath(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Remove artifacts older than the TTL. Returns the removed ids.
+  async function evictExpired() {
+    const removed = [];
+    let entries = [];
+
+    try {
+      entries = await fs.readdir(rootDir);
+    } catch (error) {
+      return removed;
+    }
+
+    const now = Date.now();
+    for (const entry of entries.filter(e => e.endsWith('.json'))) {
+      const id = path.basename(entry, '.json');
+      const stats = await fs.stat(path.join(rootDir, entry));
+
+      if (now - stats.mtimeMs > ttl) {
+        await fs.rm(darPath(id), { force: true });
+        await fs.rm(metaPath(id), { force: true });
+        removed.push(id);
+      }
+    }
+
+    return removed;
+  }
+
+  return { save, get, evictExpired };
+}
+
+// Newest .dar under <projectDir>/.daml/dist, or null if the build made none
+async function findBuiltDar(projectDir) {
+  const distDir = path.join(projectDir, '.daml', 'dist');
+  let entries = [];
+
+  try {
+    entries = await fs.readdir(distDir);
+  } catch (error) {
+    return null;
+  }
+
+  let newest = null;
+  for (const entry of entries.filter(e => e.endsWith('.dar'))) {
+    const fullPath = path.join(distDir, entry);
+    const stats = await fs.stat(fullPath);
+    if (!newest || stats.mtimeMs > newest.mtimeMs) {
+      newest = { path: fullPath, mtimeMs: stats.mtimeMs };
+    }
+  }
+
+  return newest ? newest.path : null;
+}
+
+module.exports = { createArtifactStore, findBuiltDar };
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ExecutorError } = require('./executor');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'codegen' });
+
+// Client bindings generated from a built DAR with the SDK code generators,
+// run through the executor (see executor.js) like user builds. Each
+// language is generated in its own scratch directory under workDir, with a
+// copy of the DAR, read back into a files map and removed again. Bindings
+// cover every package in the DAR (including daml-stdlib), so the output is
+// capped to keep responses a reasonable size.
+
+const CODEGEN_LANGUAGES = {
+  js: { label: 'JavaScript/TypeScript', command: 'codegen-js' },
+  java: { label: 'Java', command: 'codegen-java' }
+};
+
+// Where the generators write, inside the scratch directory
+const OUTPUT_DIR = 'out';
+
+function createCodeGenerator({ executor, workDir, timeout, maxFiles, maxTotalBytes }) {
+  // Files under dir as a map, stopping once the limits are reached
+  async function readGenerated(dir) {
+    const files = {};
+    let totalBytes = 0;
+    let truncated = false;
+
+    const walk = async (current, prefix) => {
+      const entries = await fs.readdir(current, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        if (truncated) return;
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        const fullPath = path.join(current, entry.name);
+
+        if (entry.isDirectory()) {
+          await walk(fullPath, relativePath);
+          continue;
+        }
+
+        const content = await fs.readFile(fullPath, 'utf8');
+        const bytes = Buffer.byteLength(content, 'utf8');
+        if (Object.keys(files).length >= maxFiles || totalBytes + bytes > maxTotalBytes) {
+          truncated = true;
+          return;
+        }
+        files[relativePath] = content;
+        totalBytes += bytes;
+      }
+    };
+
+    await walk(dir, '');
+    return { files, totalBytes, truncated };
+  }
+
+  // Run one generator over the DAR. Failures are reported per language so
+  // the other language can still succeed.
+  async function generateOne(darPath, language, onLine) {
+    const { label, command } = CODEGEN_LANGUAGES[language];
+    const scratchDir = path.join(workDir, `codegen-${uuidv4()}`);
+    const darName = path.basename(darPath);
+
+    try {
+      await fs.mkdir(scratchDir, { recursive: true });
+      await fs.copyFile(darPath, path.join(scratchDir, darName));
+      const { stdout, stderr } = await executor.run(
+        [command, darName, '-o', OUTPUT_DIR],
+        { cwd: scratchDir, timeout, onLine }
+      );
+
+      const { files, totalBytes, truncated } = await readGenerated(path.join(scratchDir, OUTPUT_DIR));
+      return {
+        language,
+        label,
+        success: true,
+        files,
+        fileCount: Object.keys(files).length,
+        totalBytes,
+        truncated,
+        output: `${stdout}${stderr}`
+      };
+    } catch (error) {
+      return {
+        language,
+        label,
+        success: false,
+        // Executor errors explain themselves; the messages of failed
+        // commands include server paths
+        error: error instanceof ExecutorError ? error.message
+          : typeof error.error === 'string' ? error.error : `dpm ${command} failed`,
+        output: `${error.stdout || ''}${error.stderr || ''}`
+      };
+    } finally {
+      await fs.rm(scratchDir, { recursive: true, force: true })
+        .catch(error => log.warn('Could not remove codegen output', { error }));
+    }
+  }
+
+  // { js: {...}, java: {...} } for the requested languages, in order
+  async function generate(darPath, languages, onLine = () => {}) {
+    const results = {};
+    for (const language of languages) {
+      results[language] = await generateOne(darPath, language, onLine);
+    }
+    return results;
+  }
+
+  return { generate };
+}
+
+module.exports = { createCodeGenerator, CODEGEN_LANGUAGES };
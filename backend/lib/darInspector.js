@@ -0,0 +1,221 @@
+const path = require('path');
+const YAML = require('yaml');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'dar' });
+
+// Summary of a compiled package: name, version, package id and the
+// modules, templates and choices (with argument types) it contains.
+//
+// The package id comes from `dpm damlc inspect-dar --json`, run through the
+// executor (see executor.js) in cwd, the directory the DAR was built in.
+// Templates and choices are read from the Daml sources that went into the
+// DAR, which is enough for the Package panel and for generating choice
+// argument forms.
+// Comments are skipped by a small lexer (stripComments) that knows about
+// string literals and nested block comments.
+async function inspectDar(darPath, files, { executor, cwd }) {
+  const config = readDamlYaml(files);
+  let dar = null;
+
+  try {
+    const { stdout } = await executor.run(
+      ['damlc', 'inspect-dar', '--json', path.relative(cwd, darPath)],
+      { cwd, timeout: 30000 }
+    );
+    dar = JSON.parse(stdout);
+  } catch (error) {
+    log.error('Could not inspect DAR', { dar: path.basename(darPath), error });
+  }
+
+  const mainPackage = dar && dar.packages && dar.main_package_id
+    ? dar.packages[dar.main_package_id]
+    : null;
+
+  return {
+    packageName: mainPackage?.name || config.name || null,
+    packageVersion: mainPackage?.version || (config.version !== undefined ? String(config.version) : null),
+    packageId: dar?.main_package_id || null,
+    sdkVersion: config['sdk-version'] !== undefined ? String(config['sdk-version']) : null,
+    modules: parseModules(files, config.source || 'daml')
+  };
+}
+
+function readDamlYaml(files) {
+  try {
+    return YAML.parse(files['daml.yaml'] || '') || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function parseModules(files, sourceDir) {
+  const root = path.posix.normalize(String(sourceDir)).replace(/\/$/, '');
+
+  return Object.entries(files)
+    .filter(([file]) => file.endsWith('.daml') && (root === '.' || file.startsWith(`${root}/`)))
+    .map(([file, source]) => ({ file, ...parseDamlModule(source) }))
+    .filter(module => module.name)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Pull the module name, templates and choices out of one Daml source file
+function parseDamlModule(source) {
+  const code = stripComments(String(source));
+  const lines = code.split('\n').map(line => line.trimEnd());
+  const moduleMatch = code.match(/^module\s+([\w.]+)/m);
+  const templates = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i].match(/^template\s+([A-Z][\w']*)/);
+    if (!header) continue;
+
+    // The template body runs until the next top-level declaration
+    let end = i + 1;
+    while (end < lines.length && (lines[end].trim() === '' || /^\s/.test(lines[end]))) end++;
+
+    templates.push(parseTemplate(header[1], lines.slice(i, end)));
+    i = end - 1;
+  }
+
+  return { name: moduleMatch ? moduleMatch[1] : null, templates };
+}
+
+function parseTemplate(name, lines) {
+  const whereIndex = lines.findIndex((line, i) => i > 0 && /^\s+where\b/.test(line));
+  const fieldLines = lines.slice(0, whereIndex === -1 ? lines.length : whereIndex);
+  const body = whereIndex === -1 ? [] : lines.slice(whereIndex + 1);
+
+  return {
+    name,
+    fields: parseFields(fieldLines),
+    choices: parseChoices(body)
+  };
+}
+
+const CHOICE_RE = /^(\s*)(?:(nonconsuming|preconsuming|postconsuming)\s+)?choice\s+([A-Z][\w']*)\s*:\s*(.+?)\s*$/;
+
+function parseChoices(lines) {
+  const choices = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(CHOICE_RE);
+    if (!match) continue;
+
+    const indent = match[1].length;
+    let end = i + 1;
+    while (end < lines.length && !/^\s*controller\b/.test(lines[end]) &&
+           (lines[end].trim() === '' || indentOf(lines[end]) > indent)) {
+      end++;
+    }
+
+    choices.push({
+      name: match[3],
+      returnType: match[4].replace(/\s+with$/, ''),
+      consuming: match[2] !== 'nonconsuming',
+      arguments: parseFields(lines.slice(i, end))
+    });
+    i = end - 1;
+  }
+
+  // Every template also has the implicit Archive choice
+  choices.push({ name: 'Archive', returnType: '()', consuming: true, arguments: [] });
+  return choices;
+}
+
+// `name : Type` lines inside a `with` block
+function parseFields(lines) {
+  const withIndex = lines.findIndex(line => /(^|\s)with\s*$/.test(line));
+  if (withIndex === -1) return [];
+
+  const fields = [];
+  for (const line of lines.slice(withIndex + 1)) {
+    const match = line.match(/^\s+([a-z_][\w']*)\s*:\s*(.+?)\s*$/);
+    if (match) {
+      fields.push({ name: match[1], type: match[2] });
+    } else if (fields.length > 0 && line.trim() && !/^\s+\S+\s*:/.test(line) && /^\s+[^\s]/.test(line)) {
+      // Type continued on the next line
+      fields[fields.length - 1].type += ` ${line.trim()}`;
+    }
+  }
+  return fields;
+}
+
+// Characters operators are made of. "--" starts a comment only when it is
+// not part of a longer operator such as --> or <--.
+const SYMBOL_CHARS = new Set('!#$%&*+./<=>?@\\^|-~:');
+
+// source with every comment replaced by spaces, keeping newlines so lines
+// still line up with the original. Handles -- line comments and {- -} block
+// comments (which nest), and leaves string literals alone, "--" included.
+function stripComments(source) {
+  const parts = [];
+  let start = 0;
+  let i = 0;
+
+  const blank = (end) => {
+    parts.push(source.slice(start, i), source.slice(i, end).replace(/[^\n]/g, ' '));
+    start = end;
+    i = end;
+  };
+
+  while (i < source.length) {
+    if (source[i] === '"') {
+      i = stringEnd(source, i);
+    } else if (source.startsWith('{-', i)) {
+      blank(blockCommentEnd(source, i));
+    } else if (source.startsWith('--', i) && isLineComment(source, i)) {
+      const newline = source.indexOf('\n', i);
+      blank(newline === -1 ? source.length : newline);
+    } else {
+      i++;
+    }
+  }
+
+  parts.push(source.slice(start));
+  return parts.join('');
+}
+
+// Index just past the string literal starting at i. An unterminated string
+// ends at the end of its line.
+function stringEnd(source, i) {
+  for (let j = i + 1; j < source.length; j++) {
+    if (source[j] === '\\') j++;
+    else if (source[j] === '"') return j + 1;
+    else if (source[j] === '\n') return j;
+  }
+  return source.length;
+}
+
+// Index just past the block comment starting at i, counting nested ones
+function blockCommentEnd(source, i) {
+  let depth = 0;
+  let j = i;
+  while (j < source.length) {
+    if (source.startsWith('{-', j)) {
+      depth++;
+      j += 2;
+    } else if (source.startsWith('-}', j)) {
+      depth--;
+      j += 2;
+      if (depth === 0) return j;
+    } else {
+      j++;
+    }
+  }
+  return source.length;
+}
+
+function isLineComment(source, i) {
+  if (i > 0 && SYMBOL_CHARS.has(source[i - 1])) return false;
+
+  let end = i;
+  while (source[end] === '-') end++;
+  return end === source.length || !SYMBOL_CHARS.has(source[end]);
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+module.exports = { inspectDar, parseDamlModule, stripComments };
@@ -0,0 +1,179 @@
+const path = require('path');
+
+// Turn damlc console output into a list of structured diagnostics:
+// { file, line, column, endLine, endColumn, severity, source, message }
+// Lines and columns are 1-based, matching what damlc prints.
+//
+// damlc reports problems in two shapes. The IDE-style block:
+//
+//   File:     daml/Main.daml
+//   Hidden:   no
+//   Range:    5:1-5:7
+//   Source:   parser
+//   Severity: DsError
+//   Message:
+//     daml/Main.daml:5:1: error:
+//     parse error on input 'BROKEN'
+//
+// and the GHC-style header followed by an indented message:
+//
+//   daml/Main.daml:5:1: error:
+//       parse error on input 'BROKEN'
+function parseDiagnostics(output, projectDir) {
+  const text = String(output || '').replace(/\r\n/g, '\n');
+  const blocks = parseBlocks(text, projectDir);
+
+  // The GHC-style header is repeated inside block messages, so only fall
+  // back to it when there were no blocks at all
+  const diagnostics = blocks.length > 0 ? blocks : parseHeaders(text, projectDir);
+
+  return dedupe(diagnostics);
+}
+
+const SEVERITIES = {
+  DsError: 'error',
+  DsWarning: 'warning',
+  DsInfo: 'info',
+  DsHint: 'hint'
+};
+
+const FIELD_RE = /^\s*(File|Hidden|Range|Source|Severity|Message):\s?(.*)$/;
+const HEADER_RE = /^\s*(.+?\.daml):(?:(\d+):(\d+)(?:-(\d+))?|\((\d+),(\d+)\)-\((\d+),(\d+)\)):\s*(error|warning)?:?\s*(.*)$/i;
+
+function parseBlocks(text, projectDir) {
+  const diagnostics = [];
+  const lines = text.split('\n');
+  let current = null;
+  let inMessage = false;
+
+  const flush = () => {
+    if (current && current.file && current.range) {
+      diagnostics.push(finishBlock(current, projectDir));
+    }
+    current = null;
+    inMessage = false;
+  };
+
+  for (const line of lines) {
+    const field = line.match(FIELD_RE);
+
+    if (field && (field[1] !== 'Message' || current)) {
+      const [, name, value] = field;
+
+      if (name === 'File') {
+        flush();
+        current = { file: value.trim(), message: [] };
+      } else if (!current) {
+        continue;
+      } else if (name === 'Range') {
+        current.range = value.trim();
+      } else if (name === 'Severity') {
+        current.severity = value.trim();
+      } else if (name === 'Source') {
+        current.source = value.trim();
+      } else if (name === 'Message') {
+        inMessage = true;
+        if (value.trim()) current.message.push(value.trim());
+      }
+      continue;
+    }
+
+    if (inMessage) {
+      // Message lines are indented; anything else ends the block
+      if (line.trim() === '' || /^\s/.test(line)) {
+        current.message.push(line);
+      } else {
+        flush();
+      }
+    }
+  }
+
+  flush();
+  return diagnostics;
+}
+
+function finishBlock(block, projectDir) {
+  const [start, end] = block.range.split('-');
+  const [line, column] = start.split(':').map(Number);
+  const [endLine, endColumn] = (end || start).split(':').map(Number);
+
+  // Drop the GHC-style header damlc repeats at the top of the message
+  const body = block.message.filter((l, i) => !(i === 0 && HEADER_RE.test(l)));
+  const message = dedent(body);
+
+  return {
+    file: relativeFile(block.file, projectDir),
+    line: line || 1,
+    column: column || 1,
+    endLine: endLine || line || 1,
+    endColumn: endColumn || column || 1,
+    severity: SEVERITIES[block.severity] || 'error',
+    source: block.source || null,
+    message
+  };
+}
+
+function parseHeaders(text, projectDir) {
+  const diagnostics = [];
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(HEADER_RE);
+    if (!match) continue;
+
+    const [, file, l, c, endC, pl, pc, pel, pec, severity, rest] = match;
+    const body = [];
+
+    // Collect the indented message body
+    while (i + 1 < lines.length && /^\s+\S/.test(lines[i + 1]) && !HEADER_RE.test(lines[i + 1])) {
+      body.push(lines[++i]);
+    }
+
+    const line = Number(l || pl);
+    const column = Number(c || pc);
+
+    diagnostics.push({
+      file: relativeFile(file, projectDir),
+      line,
+      column,
+      endLine: pel ? Number(pel) : line,
+      endColumn: pec ? Number(pec) : (endC ? Number(endC) : column),
+      severity: (severity || 'error').toLowerCase(),
+      source: null,
+      message: [rest, dedent(body)].filter(Boolean).join('\n')
+    });
+  }
+
+  return diagnostics;
+}
+
+// Strip the common indentation but keep nesting inside the message
+function dedent(lines) {
+  const indents = lines
+    .filter(l => l.trim())
+    .map(l => l.match(/^\s*/)[0].length);
+  const min = indents.length > 0 ? Math.min(...indents) : 0;
+
+  return lines.map(l => l.slice(min).trimEnd()).join('\n').trim();
+}
+
+// Report paths relative to the project, the way the editor names files
+function relativeFile(file, projectDir) {
+  const trimmed = file.trim();
+  if (projectDir && path.isAbsolute(trimmed)) {
+    return path.relative(projectDir, trimmed).split(path.sep).join('/');
+  }
+  return trimmed.replace(/^\.\//, '');
+}
+
+function dedupe(diagnostics) {
+  const seen = new Set();
+  return diagnostics.filter(d => {
+    const key = `${d.file}:${d.line}:${d.column}:${d.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = { parseDiagnostics };
@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { spawnWithTimeout, watchGroupMemory } = require('./process');
+
+// Runs dpm for everything that handles user code or what was built from it
+// (builds, tests, code generation, DAR inspection, language servers and
+// sandboxes) with the project kept at arm's length.
+//
+// The command is started through util-linux wrappers, each of which execs
+// the next, so the process that is limited and killed is dpm itself:
+//   unshare --net  - a network namespace with nothing but loopback
+//   setpriv        - an unprivileged user instead of the server's
+//   prlimit --cpu  - CPU seconds, per process
+// spawnWithTimeout then runs it in its own process group, stops the whole
+// group on a timeout or when it uses too much memory, and caps the output
+// that is kept.
+//
+// dpm gets a minimal environment (no server secrets) with HOME inside the
+// working directory, which has to be under rootDir.
+//
+// unshare needs CAP_SYS_ADMIN, which containers do not get by default.
+// Without it nothing is run: run() and start() fail with a 503 and check()
+// reports the executor as unusable, unless network access was allowed on
+// purpose (network: true). setpriv needs root: when uid is set and the
+// server is not root, builds fail with setpriv's error.
+
+class ExecutorError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ExecutorError';
+    this.status = status;
+  }
+}
+
+// Variables dpm and the JVM need; nothing else is passed on
+const PASSED_ENV = ['PATH', 'JAVA_HOME', 'LANG', 'LC_ALL', 'TZ'];
+
+// HOME for dpm, hidden so it is never synced or listed as a project file
+const HOME_DIR = '.home';
+
+// uid/gid of null keep the server's user; cpuSeconds, memoryBytes and
+// maxOutputBytes of 0 are unlimited. dpmHome is where dpm keeps its SDKs
+// for the build user (HOME moves, so it is always passed explicitly); the
+// build user has to be able to write there.
+function createExecutor({
+  rootDir,
+  uid = null,
+  gid = null,
+  cpuSeconds = 0,
+  memoryBytes = 0,
+  maxOutputBytes = 0,
+  network = false,
+  dpmHome = process.env.DPM_HOME || path.join(os.homedir(), '.dpm')
+}) {
+  // Why builds cannot be cut off from the network, once probed (null when
+  // they can, or when network access is allowed anyway)
+  let networkProbe = null;
+  let networkUnavailable = null;
+
+  function probeNetwork() {
+    if (network) return Promise.resolve(null);
+    if (!networkProbe) {
+      networkProbe = spawnWithTimeout('unshare', ['--net', '--', 'true'], {}, 5000)
+        .then(
+          () => null,
+          failure => (failure.stderr || '').trim() || failure.error?.message || String(failure.error)
+        )
+        .then(reason => {
+          networkUnavailable = reason;
+          return reason;
+        });
+    }
+    return networkProbe;
+  }
+
+  function isolationError() {
+    return new ExecutorError(
+      `Builds are disabled: network isolation is unavailable (${networkUnavailable}). ` +
+      'Give the server CAP_SYS_ADMIN (docker run --cap-add SYS_ADMIN), ' +
+      'or set EXEC_NETWORK=host to allow builds network access.',
+      503
+    );
+  }
+
+  // Rejects with a 503 ExecutorError when commands would have to run with
+  // less isolation than configured
+  async function ensureIsolated() {
+    if (await probeNetwork()) throw isolationError();
+  }
+
+  // Command line for command wrapped in the configured isolation
+  function wrap(command, args, { cpuLimit = true, hostNetwork = false } = {}) {
+    return [
+      ...(network || hostNetwork ? [] : ['unshare', '--net', '--']),
+      ...(uid === null ? [] : ['setpriv', `--reuid=${uid}`, `--regid=${gid}`, '--clear-groups', '--']),
+      ...(cpuSeconds && cpuLimit ? ['prlimit', `--cpu=${cpuSeconds}:${cpuSeconds + 5}`, '--'] : []),
+      command,
+      ...args
+    ];
+  }
+
+  function environment(home) {
+    const env = { HOME: home, DPM_HOME: dpmHome };
+    PASSED_ENV.forEach(name => {
+      if (process.env[name] !== undefined) env[name] = process.env[name];
+    });
+    // The build user's own dpm comes first
+    env.PATH = [path.join(dpmHome, 'bin'), env.PATH].filter(Boolean).join(path.delimiter);
+    return env;
+  }
+
+  // The working directory, resolved, if it is inside rootDir
+  async function confine(cwd) {
+    const root = await fs.realpath(rootDir);
+    const dir = await fs.realpath(cwd);
+    const relative = path.relative(root, dir);
+
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new ExecutorError(`Refusing to run dpm outside ${path.basename(rootDir)}`);
+    }
+    return dir;
+  }
+
+  // Hand the project to the build user so dpm can write .daml and HOME
+  async function chownTree(dir) {
+    await fs.lchown(dir, uid, gid);
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await chownTree(entryPath);
+      } else {
+        await fs.lchown(entryPath, uid, gid);
+      }
+    }
+  }
+
+  // Working directory and HOME for a dpm run in cwd, ready for the build user
+  async function prepare(cwd, { hostNetwork = false } = {}) {
+    const workDir = await confine(cwd);
+    const home = path.join(workDir, HOME_DIR);
+    await fs.mkdir(home, { recursive: true });
+    if (!hostNetwork) await ensureIsolated();
+    if (uid !== null) await chownTree(workDir);
+    return { workDir, home };
+  }
+
+  // `dpm <args>` in cwd. Resolves and rejects like spawnWithTimeout.
+  async function run(args, { cwd, timeout, onLine }) {
+    const { workDir, home } = await prepare(cwd);
+
+    const [command, ...commandArgs] = wrap('dpm', args);
+    try {
+      return await spawnWithTimeout(
+        command,
+        commandArgs,
+        { cwd: workDir, env: environment(home) },
+        timeout,
+        onLine,
+        { maxOutputBytes: maxOutputBytes || Infinity, killTree: true, memoryBytes, label: `dpm ${args[0]}` }
+      );
+    } catch (failure) {
+      const { error } = failure;
+      if (!(error instanceof Error) || error.code === 'ENOENT') throw failure;
+
+      if (error.signal === 'SIGXCPU') {
+        throw {
+          ...failure,
+          error: 'CPU time limit exceeded',
+          stderr: `${failure.stderr}\nCPU time exceeded the ${cpuSeconds} second limit`
+        };
+      }
+
+      // Name the command the user ran, not the wrappers around it
+      const named = new Error(`Command failed: dpm ${args.join(' ')}`);
+      named.code = error.code;
+      named.signal = error.signal;
+      throw { ...failure, error: named };
+    }
+  }
+
+  // A long-running `dpm <args>` in cwd (a language server or sandbox),
+  // resolving to the child process. It is isolated like run() except for
+  // the CPU limit, which would end it partway through a session, and runs
+  // in its own process group: stop it with process.kill(-child.pid). Going
+  // over the memory limit kills the group and sets child.limitExceeded.
+  //
+  // hostNetwork keeps the host network for servers the backend talks to
+  // over localhost (the sandbox); they are still the build user and
+  // memory limited.
+  async function start(args, { cwd, hostNetwork = false }) {
+    const { workDir, home } = await prepare(cwd, { hostNetwork });
+
+    const [command, ...commandArgs] = wrap('dpm', args, { cpuLimit: false, hostNetwork });
+    const child = spawn(command, commandArgs, { cwd: workDir, env: environment(home), detached: true });
+
+    if (memoryBytes && child.pid) {
+      const timer = watchGroupMemory(child.pid, memoryBytes, () => {
+        child.limitExceeded = 'memory';
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already gone
+        }
+      });
+      child.on('exit', () => clearInterval(timer));
+    }
+    return child;
+  }
+
+  // Can builds run at all? `dpm version` the way builds run it.
+  async function check() {
+    const dir = path.join(rootDir, `check-${uuidv4()}`);
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      const { stdout } = await run(['version'], { cwd: dir, timeout: 15000 });
+      return {
+        usable: true,
+        version: stdout.split('\n').map(line => line.trim()).find(Boolean) || null
+      };
+    } catch (failure) {
+      if (failure instanceof ExecutorError) return { usable: false, error: failure.message };
+
+      const detail = (failure.stderr || '').trim().split('\n').pop();
+      const message = failure.error?.message || failure.error || failure.message;
+      return { usable: false, error: detail ? `${message}: ${detail}` : String(message) };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // The limits in force, for /health
+  function settings() {
+    return {
+      user: uid === null ? null : `${uid}:${gid}`,
+      network: network ? 'host' : 'none',
+      ...(networkUnavailable ? { networkIsolationUnavailable: networkUnavailable } : {}),
+      cpuSeconds: cpuSeconds || null,
+      memoryMb: memoryBytes ? Math.round(memoryBytes / 1024 / 1024) : null,
+      maxOutputKb: maxOutputBytes ? Math.round(maxOutputBytes / 1024) : null
+    };
+  }
+
+  return { run, start, check, settings, probeNetwork, ensureIsolated };
+}
+
+module.exports = { createExecutor, ExecutorError };
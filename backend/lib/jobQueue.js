@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// In-memory job queue that caps how many dpm processes run at once.
+// Each job keeps a log of the events it emitted so late subscribers
+// (e.g. a browser that reconnects) can replay everything from the start.
+function createJobQueue({ concurrency = 2, retention = 15 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function position(job) {
+    const index = waiting.indexOf(job);
+    return index === -1 ? 0 : index + 1;
+  }
+
+  function emit(job, event, data) {
+    job.events.push({ event, data });
+    job.emitter.emit('event', event, data);
+  }
+
+  // Tell every waiting job where it now stands
+  function announcePositions() {
+    waiting.forEach(job => {
+      emit(job, 'status', { status: job.status, position: position(job), queueLength: waiting.length });
+    });
+  }
+
+  function next() {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      start(job);
+    }
+    announcePositions();
+  }
+
+  async function start(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    emit(job, 'status', { status: job.status, position: 0, queueLength: waiting.length });
+
+    try {
+      job.result = await job.run({
+        id: job.id,
+        emit: (event, data) => emit(job, event, data),
+        setPhase: (phase) => {
+          if (phase && phase !== job.phase) {
+            job.phase = phase;
+            emit(job, 'phase', { phase });
+          }
+        }
+      });
+    } catch (error) {
+      job.result = {
+        success: false,
+        error: error.message || String(error),
+        output: '',
+        errors: error.message || String(error)
+      };
+    }
+
+    running--;
+    job.status = 'finished';
+    job.finishedAt = new Date().toISOString();
+    emit(job, 'done', job.result);
+    job.emitter.removeAllListeners();
+
+    // Forget finished jobs after a while
+    setTimeout(() => jobs.delete(job.id), retention).unref();
+
+    next();
+  }
+
+  return {
+    enqueue(type, run, meta = {}) {
+      const job = {
+        id: uuidv4(),
+        type,
+        meta,
+        status: 'queued',
+        phase: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        events: [],
+        emitter: new EventEmitter(),
+        run
+      };
+
+      jobs.set(job.id, job);
+      waiting.push(job);
+      next();
+
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id);
+    },
+
+    // Public view of a job, safe to send to the client
+    describe(job) {
+      return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        position: position(job),
+        queueLength: waiting.length,
+        phase: job.phase,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        result: job.result
+      };
+    },
+
+    // Replay past events, then stream new ones until the job finishes.
+    // Returns an unsubscribe function.
+    subscribe(job, listener) {
+      job.events.forEach(({ event, data }) => listener(event, data));
+      if (job.status === 'finished') return () => {};
+
+      job.emitter.on('event', listener);
+      return () => job.emitter.off('event', listener);
+    },
+
+    stats() {
+      return { running, queued: waiting.length, concurrency };
+    }
+  };
+}
+
+module.exports = { createJobQueue };
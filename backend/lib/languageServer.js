@@ -0,0 +1,168 @@
+const { pathToFileURL } = require('url');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'lsp' });
+
+// Daml language servers (`dpm damlc ide`) proxied to browsers over
+// WebSocket.
+//
+// Each connection gets its own server running in the caller's workspace,
+// started through the executor (see executor.js) like user builds.
+// WebSocket text messages are single JSON-RPC messages; the server speaks
+// the LSP base protocol (Content-Length framed) on stdio. The browser
+// addresses files as file:///project/<path>, which is rewritten to and
+// from the workspace directory so clients never see server paths.
+
+const CLIENT_ROOT = 'file:///project';
+
+// Close codes sent to the browser
+const CLOSE_REPLACED = 4000;
+const CLOSE_BUSY = 1013;
+const CLOSE_SERVER_EXIT = 1011;
+
+// Report activity (to keep the workspace alive) at most this often
+const ACTIVITY_INTERVAL = 60 * 1000;
+
+// Split Content-Length framed stdout into message bodies
+function createMessageReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = buffer.subarray(0, headerEnd).toString('ascii');
+      const length = header.match(/Content-Length:\s*(\d+)/i);
+      const start = headerEnd + 4;
+
+      if (!length) {
+        // Not a header we understand; skip it rather than stall
+        buffer = buffer.subarray(start);
+        continue;
+      }
+
+      const end = start + Number(length[1]);
+      if (buffer.length < end) return;
+
+      onMessage(buffer.subarray(start, end).toString('utf8'));
+      buffer = buffer.subarray(end);
+    }
+  };
+}
+
+function frame(message) {
+  const body = Buffer.from(message, 'utf8');
+  return Buffer.concat([Buffer.from(`Content-Length: ${body.length}\r\n\r\n`, 'ascii'), body]);
+}
+
+// Stop a server started by executor.start(), with everything it started
+function kill(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    process.kill(-child.pid);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+function createLanguageServerManager({ maxServers, executor, onActivity = () => {} }) {
+  const servers = new Map();
+
+  function stop(workspaceId, code, reason) {
+    const server = servers.get(workspaceId);
+    if (!server) return;
+
+    servers.delete(workspaceId);
+    server.stopped = true;
+    if (server.child) kill(server.child);
+    if (server.socket.readyState === server.socket.OPEN) server.socket.close(code, reason);
+  }
+
+  // Bridge an accepted WebSocket to a new language server in projectDir.
+  // Rejects when the server cannot be started.
+  async function connect(workspaceId, projectDir, socket) {
+    // A reload or second tab takes over the workspace's server
+    if (servers.has(workspaceId)) {
+      stop(workspaceId, CLOSE_REPLACED, 'Replaced by a newer connection');
+    }
+
+    if (servers.size >= maxServers) {
+      socket.close(CLOSE_BUSY, 'All language servers are in use');
+      return;
+    }
+
+    const serverRoot = pathToFileURL(projectDir).href;
+    const toServer = (text) => text.split(CLIENT_ROOT).join(serverRoot);
+    const toClient = (text) => text.split(serverRoot).join(CLIENT_ROOT);
+
+    // Hold the slot while the server starts
+    const server = { child: null, socket, startedAt: new Date().toISOString(), lastActivity: 0, stopped: false };
+    servers.set(workspaceId, server);
+    socket.on('close', () => {
+      if (servers.get(workspaceId) === server) stop(workspaceId);
+    });
+
+    let child;
+    try {
+      child = await executor.start(['damlc', 'ide'], { cwd: projectDir });
+    } catch (error) {
+      if (servers.get(workspaceId) === server) servers.delete(workspaceId);
+      throw error;
+    }
+
+    // Replaced or disconnected while starting
+    if (server.stopped) {
+      kill(child);
+      return;
+    }
+    server.child = child;
+    log.info('Language server started', { workspaceId });
+
+    child.stdout.on('data', createMessageReader((message) => {
+      if (socket.readyState === socket.OPEN) socket.send(toClient(message));
+    }));
+
+    child.stderr.on('data', (chunk) => {
+      log.debug('Language server output', { workspaceId, output: chunk.toString().trimEnd() });
+    });
+
+    // Writes after the server died would otherwise crash the backend
+    child.stdin.on('error', (error) => {
+      log.warn('Language server stdin error', { workspaceId, error: error.message });
+    });
+
+    child.on('error', (error) => {
+      log.error('Could not start language server', { workspaceId, error: error.message });
+    });
+
+    child.on('exit', (code) => {
+      log.info('Language server exited', { workspaceId, code });
+      if (servers.get(workspaceId) === server) {
+        stop(workspaceId, CLOSE_SERVER_EXIT, 'Language server exited');
+      }
+    });
+
+    socket.on('message', (data) => {
+      if (Date.now() - server.lastActivity > ACTIVITY_INTERVAL) {
+        server.lastActivity = Date.now();
+        onActivity(workspaceId);
+      }
+      if (child.stdin.writable) child.stdin.write(frame(toServer(data.toString())));
+    });
+  }
+
+  function stopAll() {
+    [...servers.keys()].forEach(id => stop(id, 1001, 'Server shutting down'));
+  }
+
+  function stats() {
+    return { running: servers.size, max: maxServers };
+  }
+
+  return { connect, stopAll, stats };
+}
+
+module.exports = { createLanguageServerManager };
@@ -0,0 +1,377 @@
+const net = require('net');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'ledger' });
+
+// Local ledger sessions for poking at a running participant.
+//
+// Each session is a `dpm sandbox` process with the session's DAR loaded,
+// started through the executor (see executor.js) in its own directory
+// under workDir. It keeps the host network, since the JSON API is reached
+// over localhost, but runs as the build user with its memory limit.
+// Everything else goes through the sandbox's JSON Ledger API (v2):
+// allocating parties, creating contracts, listing active contracts and
+// exercising choices. Sessions stop themselves after being idle.
+
+// Sandbox runs without auth; the default admin user can act as anyone
+const LEDGER_USER_ID = 'participant_admin';
+
+class LedgerError extends Error {
+  constructor(message, status = 500, details = null) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Stop a sandbox with the JVM and everything else dpm started: executor
+// processes run in their own process group
+function kill(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    process.kill(-child.pid);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// Ask the OS for a free TCP port
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function createLedgerManager({ executor, workDir, maxSessions, idleTimeout, startupTimeout = 180000 }) {
+  const sessions = new Map();
+
+  // Public view of a session
+  function describe(session) {
+    return {
+      id: session.id,
+      status: session.status,
+      error: session.error,
+      packageName: session.packageName,
+      dars: session.dars.map(d => d.fileName),
+      createdAt: session.createdAt,
+      lastUsed: new Date(session.lastUsed).toISOString(),
+      idleTimeoutMs: idleTimeout
+    };
+  }
+
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) {
+      throw new LedgerError('Ledger session not found or already stopped', 404);
+    }
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  function ready(id) {
+    const session = get(id);
+    if (session.status !== 'ready') {
+      throw new LedgerError(`Ledger session is ${session.status}`, 409, session.error);
+    }
+    return session;
+  }
+
+  async function start({ darPath, fileName, packageName }) {
+    const running = [...sessions.values()].filter(s => s.status === 'starting' || s.status === 'ready');
+    if (running.length >= maxSessions) {
+      throw new LedgerError(`All ${maxSessions} ledger sessions are in use. Please try again later.`, 503);
+    }
+
+    const ledgerPort = await freePort();
+    const jsonPort = await freePort();
+    const session = {
+      id: uuidv4(),
+      status: 'starting',
+      error: null,
+      packageName,
+      dars: [{ fileName }],
+      ports: { ledger: ledgerPort, json: jsonPort },
+      baseUrl: `http://127.0.0.1:${jsonPort}`,
+      createdAt: new Date().toISOString(),
+      lastUsed: Date.now(),
+      log: [],
+      child: null
+    };
+    sessions.set(session.id, session);
+
+    // The sandbox gets its own copy of the DAR, readable by the build user
+    const sessionDir = path.join(workDir, session.id);
+    const darName = path.basename(fileName);
+    const removeDir = () => fs.rm(sessionDir, { recursive: true, force: true })
+      .catch(error => log.warn('Could not remove sandbox directory', { sessionId: session.id, error }));
+
+    let child;
+    try {
+      await fs.mkdir(sessionDir, { recursive: true });
+      await fs.copyFile(darPath, path.join(sessionDir, darName));
+      child = await executor.start([
+        'sandbox',
+        '--ledger-api-port', String(ledgerPort),
+        '--json-api-port', String(jsonPort),
+        '--dar', darName
+      ], { cwd: sessionDir, hostNetwork: true });
+    } catch (error) {
+      sessions.delete(session.id);
+      await removeDir();
+      throw error;
+    }
+    session.child = child;
+    child.on('close', removeDir);
+
+    // Stopped while it was starting
+    if (session.status === 'stopped') {
+      kill(child);
+      return session;
+    }
+
+    // Keep the tail of the sandbox output for error reports
+    const remember = (chunk) => {
+      session.log.push(...chunk.toString().split('\n').filter(Boolean));
+      session.log.splice(0, Math.max(0, session.log.length - 200));
+    };
+    child.stdout.on('data', remember);
+    child.stderr.on('data', remember);
+
+    child.on('error', (error) => {
+      session.status = 'failed';
+      session.error = error.message;
+    });
+
+    child.on('exit', (code) => {
+      if (session.status !== 'stopped') {
+        session.status = 'failed';
+        session.error = session.error || (child.limitExceeded === 'memory'
+          ? 'Sandbox used more memory than allowed and was stopped'
+          : `Sandbox exited with code ${code}\n${session.log.slice(-20).join('\n')}`);
+      }
+    });
+
+    // Failed sessions stay listed (with their error) until they go idle
+    waitUntilReady(session).catch(error => {
+      log.error('Sandbox startup failed', { sessionId: session.id, error: error.message });
+      session.status = 'failed';
+      session.error = session.error || error.message;
+      kill(child);
+    });
+
+    return session;
+  }
+
+  async function waitUntilReady(session) {
+    const deadline = Date.now() + startupTimeout;
+
+    while (Date.now() < deadline) {
+      if (session.status !== 'starting') {
+        throw new Error(session.error || `Sandbox ${session.status}`);
+      }
+
+      try {
+        const response = await fetch(`${session.baseUrl}/livez`);
+        if (response.ok) {
+          session.status = 'ready';
+          log.info('Sandbox ready', { sessionId: session.id, port: session.ports.json });
+          return;
+        }
+      } catch (error) {
+        // Not listening yet
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    throw new Error(`Sandbox did not start within ${startupTimeout / 1000} seconds`);
+  }
+
+  function stop(id) {
+    const session = sessions.get(id);
+    if (!session) return false;
+
+    session.status = 'stopped';
+    if (session.child) kill(session.child);
+    sessions.delete(id);
+    return true;
+  }
+
+  function stopAll() {
+    [...sessions.keys()].forEach(stop);
+  }
+
+  // Stop sessions idle for longer than idleTimeout. Returns stopped ids.
+  function stopIdle() {
+    const now = Date.now();
+    return [...sessions.values()]
+      .filter(session => now - session.lastUsed > idleTimeout)
+      .map(session => {
+        stop(session.id);
+        return session.id;
+      });
+  }
+
+  // Sandbox processes still alive, for the metrics
+  function stats() {
+    const running = [...sessions.values()].filter(s => s.child && s.child.exitCode === null).length;
+    return { running, max: maxSessions };
+  }
+
+  // Call the JSON Ledger API of a session
+  async function call(session, method, apiPath, body, contentType = 'application/json') {
+    let response;
+    try {
+      response = await fetch(`${session.baseUrl}${apiPath}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': contentType } : {},
+        body: body === undefined ? undefined : (contentType === 'application/json' ? JSON.stringify(body) : body)
+      });
+    } catch (error) {
+      throw new LedgerError(`Ledger API unreachable: ${error.message}`, 502);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      const message = (data && (data.cause || data.message)) || `Ledger API returned ${response.status}`;
+      throw new LedgerError(message, response.status >= 500 ? 502 : 400, data);
+    }
+
+    return data;
+  }
+
+  function templateRef(session, templateId) {
+    // Already fully qualified (#package:Module:Template or packageId:...)
+    if (templateId.split(':').length === 3) return templateId;
+    return `#${session.packageName}:${templateId}`;
+  }
+
+  async function submit(session, party, command) {
+    const data = await call(session, 'POST', '/v2/commands/submit-and-wait-for-transaction', {
+      commands: {
+        commands: [command],
+        userId: LEDGER_USER_ID,
+        commandId: uuidv4(),
+        actAs: [party],
+        readAs: [party]
+      }
+    });
+
+    return summarizeTransaction(data.transaction);
+  }
+
+  return {
+    start,
+    stop,
+    stopAll,
+    stopIdle,
+    stats,
+    describe,
+    get,
+
+    async uploadDar(id, darPath, fileName) {
+      const session = ready(id);
+      await call(session, 'POST', '/v2/packages', await fs.readFile(darPath), 'application/octet-stream');
+      session.dars.push({ fileName });
+      return describe(session);
+    },
+
+    async listParties(id) {
+      const session = ready(id);
+      const data = await call(session, 'GET', '/v2/parties');
+      return (data.partyDetails || []).map(p => ({ party: p.party, isLocal: p.isLocal }));
+    },
+
+    async allocateParty(id, hint) {
+      const session = ready(id);
+      const data = await call(session, 'POST', '/v2/parties', {
+        partyIdHint: hint,
+        identityProviderId: ''
+      });
+      return { party: data.partyDetails.party };
+    },
+
+    async activeContracts(id, party) {
+      const session = ready(id);
+      const { offset } = await call(session, 'GET', '/v2/state/ledger-end');
+
+      const data = await call(session, 'POST', '/v2/state/active-contracts', {
+        filter: {
+          filtersByParty: {
+            [party]: {
+              cumulative: [{
+                identifierFilter: { WildcardFilter: { value: { includeCreatedEventBlob: false } } }
+              }]
+            }
+          }
+        },
+        verbose: true,
+        activeAtOffset: offset
+      });
+
+      return (data || [])
+        .map(entry => entry.contractEntry && entry.contractEntry.JsActiveContract)
+        .filter(Boolean)
+        .map(({ createdEvent }) => ({
+          contractId: createdEvent.contractId,
+          templateId: createdEvent.templateId,
+          payload: createdEvent.createArgument,
+          signatories: createdEvent.signatories,
+          observers: createdEvent.observers
+        }));
+    },
+
+    async createContract(id, party, templateId, createArguments) {
+      const session = ready(id);
+      return submit(session, party, {
+        CreateCommand: { templateId: templateRef(session, templateId), createArguments }
+      });
+    },
+
+    async exercise(id, party, { contractId, templateId, choice, argument }) {
+      const session = ready(id);
+      return submit(session, party, {
+        ExerciseCommand: {
+          templateId: templateRef(session, templateId),
+          contractId,
+          choice,
+          choiceArgument: argument
+        }
+      });
+    }
+  };
+}
+
+// Created and archived contracts of a flat transaction
+function summarizeTransaction(transaction) {
+  const events = (transaction && transaction.events) || [];
+
+  return {
+    updateId: transaction && transaction.updateId,
+    created: events
+      .filter(e => e.CreatedEvent)
+      .map(({ CreatedEvent: e }) => ({ contractId: e.contractId, templateId: e.templateId, payload: e.createArgument })),
+    archived: events
+      .filter(e => e.ArchivedEvent)
+      .map(({ ArchivedEvent: e }) => ({ contractId: e.contractId, templateId: e.templateId }))
+  };
+}
+
+module.exports = { createLedgerManager, LedgerError };
@@ -0,0 +1,53 @@
+// Structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"Job finished","requestId":"...","jobId":"..."}
+// child() adds fields (a request id, a job id, a module name) to every
+// line logged through it. LOG_LEVEL picks the lowest level written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors and spawnWithTimeout rejections ({ error, stdout, stderr }) do not
+// survive JSON.stringify, so log their useful parts instead
+function serializeError(error) {
+  if (error instanceof Error) {
+    return {
+      message: error.message,
+      name: error.name,
+      ...(error.code !== undefined ? { code: error.code } : {}),
+      stack: error.stack
+    };
+  }
+  if (error && typeof error === 'object' && 'error' in error) {
+    return {
+      ...(typeof error.error === 'string' ? { message: error.error } : serializeError(error.error)),
+      ...(error.stderr ? { stderr: String(error.stderr).slice(-2000) } : {})
+    };
+  }
+  return error;
+}
+
+function createLogger({ level = 'info', fields = {}, write = (line) => process.stdout.write(`${line}\n`) } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const log = (name) => (msg, extra = {}) => {
+    if (LEVELS[name] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: name, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = key === 'error' ? serializeError(value) : value;
+    }
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    level,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, write })
+  };
+}
+
+const logger = createLogger({ level: (process.env.LOG_LEVEL || 'info').toLowerCase() });
+
+module.exports = { createLogger, logger, LOG_LEVELS: Object.keys(LEVELS) };
@@ -0,0 +1,99 @@
+// Minimal Prometheus metrics registry: counters, gauges and histograms with
+// labels, rendered in the text exposition format for GET /metrics.
+// Gauges can take a collect() that sets their values at scrape time.
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, create) {
+    const key = seriesKey(metric.labelNames, labels);
+    if (!metric.series.has(key)) {
+      const picked = Object.fromEntries(metric.labelNames.map(name => [name, labels[name] ?? '']));
+      metric.series.set(key, { labels: picked, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc(labels = {}, amount = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const metric = register('gauge', name, help, labelNames);
+    const handle = {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      }
+    };
+    metric.collect = collect && (() => collect(handle));
+    return handle;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Text for a scrape, after running every gauge's collect()
+  async function render() {
+    await Promise.all(metrics.filter(m => m.collect).map(m => m.collect()));
+    return `${metrics.map(renderMetric).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetricsRegistry, CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8' };
@@ -0,0 +1,163 @@
+const path = require('path');
+const YAML = require('yaml');
+
+// Multi-package projects: a root multi-package.yaml lists package
+// directories, each with its own daml.yaml. A package depends on another
+// when one of its data-dependencies points into the other's directory
+// (usually at its .daml/dist DAR), so packages are built in that order.
+//
+//   # multi-package.yaml
+//   packages:
+//     - ./main
+//     - ./lib
+
+const MULTI_PACKAGE_FILE = 'multi-package.yaml';
+
+// "./lib/" -> "lib", "." -> ""
+function normalizePackagePath(packagePath) {
+  const normalized = path.posix.normalize(String(packagePath).trim());
+  return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
+
+// Path of a file inside a package ("" is the project root)
+function packageFile(packagePath, file) {
+  return packagePath ? `${packagePath}/${file}` : file;
+}
+
+// The package's files with paths relative to its directory
+function packageFiles(files, packagePath) {
+  if (!packagePath) return files;
+
+  const prefix = `${packagePath}/`;
+  const result = {};
+  for (const [file, content] of Object.entries(files)) {
+    if (file.startsWith(prefix)) result[file.slice(prefix.length)] = content;
+  }
+  return result;
+}
+
+function parseYaml(content) {
+  try {
+    return YAML.parse(content || '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Packages of a multi-package project in build order, or null for a
+// single-package project. Structural problems (unknown directories,
+// cycles) come back as { file, reason } like rejected project files.
+function readPackages(files) {
+  if (!(MULTI_PACKAGE_FILE in files)) return null;
+
+  const problems = [];
+  const config = parseYaml(files[MULTI_PACKAGE_FILE]);
+  const listed = config && Array.isArray(config.packages) ? config.packages : null;
+
+  if (!listed || listed.length === 0) {
+    problems.push({ file: MULTI_PACKAGE_FILE, reason: `${MULTI_PACKAGE_FILE} must list at least one package under "packages"` });
+    return { packages: [], problems };
+  }
+
+  const packages = [];
+  for (const entry of listed) {
+    const packagePath = normalizePackagePath(entry);
+    if (packagePath === '..' || packagePath.startsWith('../') || packagePath.startsWith('/')) {
+      problems.push({ file: MULTI_PACKAGE_FILE, reason: `Package "${entry}" is outside the project` });
+      continue;
+    }
+    if (packages.some(p => p.path === packagePath)) continue;
+
+    const damlYaml = packageFile(packagePath, 'daml.yaml');
+    if (!(damlYaml in files)) {
+      problems.push({ file: damlYaml, reason: `Package "${entry}" listed in ${MULTI_PACKAGE_FILE} has no daml.yaml` });
+      continue;
+    }
+
+    const packageConfig = parseYaml(files[damlYaml]) || {};
+    packages.push({
+      name: packageConfig.name ? String(packageConfig.name) : (packagePath || 'root'),
+      path: packagePath,
+      dataDependencies: Array.isArray(packageConfig['data-dependencies']) ? packageConfig['data-dependencies'] : []
+    });
+  }
+
+  // Dependencies between listed packages, from data-dependency paths
+  for (const pkg of packages) {
+    pkg.dependencies = packages
+      .filter(other => other !== pkg && pkg.dataDependencies.some(dep => {
+        const target = normalizePackagePath(path.posix.join(pkg.path || '.', String(dep)));
+        return other.path === '' ? !target.startsWith('..') : target.startsWith(`${other.path}/`);
+      }))
+      .map(other => other.path);
+    delete pkg.dataDependencies;
+  }
+
+  const { ordered, cycle } = sortByDependencies(packages);
+  if (cycle) {
+    problems.push({ file: MULTI_PACKAGE_FILE, reason: `Packages depend on each other in a cycle: ${cycle.join(' -> ')}` });
+  }
+
+  return { packages: ordered, problems };
+}
+
+// Dependencies first, otherwise in the order multi-package.yaml lists them
+function sortByDependencies(packages) {
+  const byPath = new Map(packages.map(p => [p.path, p]));
+  const ordered = [];
+  const state = new Map();
+  let cycle = null;
+
+  const visit = (pkg, trail) => {
+    if (state.get(pkg.path) === 'done') return;
+    if (state.get(pkg.path) === 'visiting') {
+      cycle = cycle || [...trail.slice(trail.indexOf(pkg.name)), pkg.name];
+      return;
+    }
+
+    state.set(pkg.path, 'visiting');
+    pkg.dependencies.forEach(dep => visit(byPath.get(dep), [...trail, pkg.name]));
+    state.set(pkg.path, 'done');
+    ordered.push(pkg);
+  };
+
+  packages.forEach(pkg => visit(pkg, []));
+  return { ordered, cycle };
+}
+
+// Steps for running `action` ("build" or "test") on one package, or on
+// every package when target is null. Packages the targets depend on are
+// built first since their DARs are inputs; a target that others depend on
+// is built before it is tested.
+function planPackageRun(packages, target, action) {
+  const byPath = new Map(packages.map(p => [p.path, p]));
+  const targets = target === null ? packages.map(p => p.path) : [target];
+
+  const needed = new Set();
+  const collect = (packagePath) => {
+    if (needed.has(packagePath)) return;
+    needed.add(packagePath);
+    byPath.get(packagePath).dependencies.forEach(collect);
+  };
+  targets.forEach(collect);
+
+  const included = packages.filter(p => needed.has(p.path));
+  const dependedOn = new Set(included.flatMap(p => p.dependencies));
+  const steps = [];
+
+  for (const pkg of included) {
+    const isTarget = targets.includes(pkg.path);
+    if (action === 'build' || dependedOn.has(pkg.path)) steps.push({ package: pkg, action: 'build' });
+    if (isTarget && action !== 'build') steps.push({ package: pkg, action });
+  }
+
+  return steps;
+}
+
+module.exports = {
+  MULTI_PACKAGE_FILE,
+  readPackages,
+  planPackageRun,
+  packageFiles,
+  packageFile
+};
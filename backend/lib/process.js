@@ -0,0 +1,204 @@
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+
+// Running external commands (dpm) without a shell.
+// Arguments are passed as an array, so user input is never interpreted.
+
+// Commands currently running, and an emitter for the metrics: 'timeout'
+// with { command, args, label } whenever a command is killed for taking
+// too long
+const running = new Set();
+const processEvents = new EventEmitter();
+
+// Time a stopped command gets between SIGTERM and SIGKILL
+const KILL_GRACE = 2000;
+
+const MEMORY_CHECK_INTERVAL = 500;
+
+// /proc reports RSS in pages
+const PAGE_SIZE = 4096;
+
+function activeProcesses() {
+  return running.size;
+}
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024
+  ? `${Math.round(bytes / 1024 / 1024)} MB`
+  : `${Math.round(bytes / 1024)} KB`;
+
+// Resident memory of every process in a process group, read from /proc.
+// Returns 0 where there is no /proc.
+async function groupMemory(pgid) {
+  let pids;
+  try {
+    pids = (await fs.readdir('/proc')).filter(name => /^\d+$/.test(name));
+  } catch (error) {
+    return 0;
+  }
+
+  let pages = 0;
+  for (const pid of pids) {
+    try {
+      const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+      // The command name can contain spaces, so count fields after it
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      if (Number(fields[2]) === pgid) pages += Number(fields[21]);
+    } catch (error) {
+      // Exited while we were looking
+    }
+  }
+  return pages * PAGE_SIZE;
+}
+
+// Call onExceeded once the processes in group pgid use more resident memory
+// than memoryBytes. Returns the interval to clear when the group is gone.
+function watchGroupMemory(pgid, memoryBytes, onExceeded) {
+  const timer = setInterval(async () => {
+    if (await groupMemory(pgid) > memoryBytes) {
+      clearInterval(timer);
+      onExceeded();
+    }
+  }, MEMORY_CHECK_INTERVAL);
+  return timer;
+}
+
+// Spawn command and report output line by line as it is produced.
+//
+// limits (all optional):
+//   maxOutputBytes - keep at most this much of each stream, drop the rest
+//   killTree       - run the command in its own process group and stop the
+//                    whole group, so nothing it started outlives it
+//   memoryBytes    - with killTree, stop the group once its processes use
+//                    more resident memory than this
+//   label          - the command as reported to metrics and logs, when
+//                    command is only a wrapper (default: command and the
+//                    first argument)
+//
+// Failures reject with { error, stdout, stderr, truncated } holding the
+// output collected up to that point.
+function spawnWithTimeout(command, args, options, timeout = 60000, onLine = () => {}, limits = {}) {
+  const {
+    maxOutputBytes = Infinity,
+    killTree = false,
+    memoryBytes = 0,
+    label = `${command} ${args[0] || ''}`.trim()
+  } = limits;
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const child = spawn(command, args, { ...options, detached: killTree });
+    running.add(child);
+    const output = { stdout: '', stderr: '' };
+    const partial = { stdout: '', stderr: '' };
+    const kept = { stdout: 0, stderr: 0 };
+    const truncated = { stdout: false, stderr: false };
+    let stoppedFor = null;
+    let killTimer = null;
+
+    const kill = (signal) => {
+      try {
+        if (killTree) {
+          process.kill(-child.pid, signal);
+        } else {
+          child.kill(signal);
+        }
+      } catch (error) {
+        // Already gone
+      }
+    };
+
+    // Stop the command for a reason ('timeout' or 'memory')
+    const stop = (reason) => {
+      if (stoppedFor) return;
+      stoppedFor = reason;
+      kill('SIGTERM');
+      killTimer = setTimeout(() => kill('SIGKILL'), KILL_GRACE);
+    };
+
+    // Output past the cap is read (so the command never blocks on a full
+    // pipe) but thrown away
+    const collect = (stream) => (chunk) => {
+      if (truncated[stream]) return;
+
+      let text = chunk.toString();
+      if (kept[stream] + chunk.length > maxOutputBytes) {
+        text = chunk.subarray(0, maxOutputBytes - kept[stream]).toString();
+        truncated[stream] = true;
+      }
+      kept[stream] += chunk.length;
+      output[stream] += text;
+
+      const lines = (partial[stream] + text).split('\n');
+      partial[stream] = lines.pop();
+      lines.forEach(line => onLine(stream, line));
+
+      if (truncated[stream]) {
+        if (partial[stream]) onLine(stream, partial[stream]);
+        partial[stream] = '';
+
+        const notice = `[${stream} truncated after ${formatBytes(maxOutputBytes)}]`;
+        output[stream] += `\n${notice}\n`;
+        onLine(stream, notice);
+      }
+    };
+
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    // Timeout handler
+    const timeoutId = setTimeout(() => stop('timeout'), timeout);
+
+    const memoryTimer = killTree && memoryBytes && child.pid
+      ? watchGroupMemory(child.pid, memoryBytes, () => stop('memory'))
+      : null;
+
+    const finish = () => {
+      clearTimeout(timeoutId);
+      clearTimeout(killTimer);
+      clearInterval(memoryTimer);
+      running.delete(child);
+    };
+
+    child.on('error', (error) => {
+      finish();
+      reject({ error, stdout: output.stdout, stderr: output.stderr, truncated: truncated.stdout || truncated.stderr });
+    });
+
+    child.on('close', (code, signal) => {
+      finish();
+
+      // Flush trailing output without a newline
+      ['stdout', 'stderr'].forEach(stream => {
+        if (partial[stream]) onLine(stream, partial[stream]);
+      });
+
+      const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+      const result = { stdout: output.stdout, stderr: output.stderr, truncated: truncated.stdout || truncated.stderr };
+
+      if (stoppedFor === 'timeout') {
+        processEvents.emit('timeout', { command, args, label });
+        reject({
+          ...result,
+          error: 'Command timeout',
+          stderr: `${output.stderr}\nExecution exceeded the ${timeout / 1000} second limit and was stopped after ${seconds} seconds`
+        });
+      } else if (stoppedFor === 'memory') {
+        reject({
+          ...result,
+          error: 'Memory limit exceeded',
+          stderr: `${output.stderr}\nMemory use exceeded the ${formatBytes(memoryBytes)} limit and the command was stopped after ${seconds} seconds`
+        });
+      } else if (code !== 0) {
+        const error = new Error(`Command failed: ${command} ${args.join(' ')}`);
+        error.code = code;
+        error.signal = signal;
+        reject({ ...result, error });
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+module.exports = { spawnWithTimeout, watchGroupMemory, activeProcesses, processEvents };
@@ -0,0 +1,334 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { readPackages, packageFile } = require('./packages');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'project' });
+
+// Turning a client supplied `files` map into a project directory on disk.
+// Every endpoint that writes user files goes through here so paths are
+// confined to the session directory and the same limits apply everywhere.
+
+const DEFAULT_EXTENSIONS = ['.daml', '.yaml', '.yml', '.md', '.txt', '.json'];
+
+const PROJECT_LIMITS = {
+  maxFiles: parseInt(process.env.MAX_PROJECT_FILES, 10) || 200,
+  maxFileBytes: parseInt(process.env.MAX_FILE_BYTES, 10) || 1024 * 1024,
+  maxTotalBytes: parseInt(process.env.MAX_PROJECT_BYTES, 10) || 5 * 1024 * 1024,
+  allowedExtensions: process.env.ALLOWED_FILE_EXTENSIONS
+    ? process.env.ALLOWED_FILE_EXTENSIONS.split(',').map(e => e.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_EXTENSIONS
+};
+
+// Fields dpm needs to build a package
+const REQUIRED_DAML_YAML_FIELDS = ['sdk-version', 'name', 'version', 'source'];
+
+class ProjectValidationError extends Error {
+  constructor(message, rejected = []) {
+    super(message);
+    this.name = 'ProjectValidationError';
+    this.rejected = rejected;
+  }
+}
+
+// Normalize a client path to a safe relative POSIX path, or explain why not
+function normalizeProjectPath(filename) {
+  if (typeof filename !== 'string' || !filename.trim()) {
+    return { reason: 'File name is empty' };
+  }
+  if (filename.includes('\0')) {
+    return { reason: 'File name contains a NUL byte' };
+  }
+  if (filename.includes('\\')) {
+    return { reason: 'Use forward slashes in file paths' };
+  }
+  if (filename.startsWith('/') || /^[a-zA-Z]:/.test(filename)) {
+    return { reason: 'Absolute paths are not allowed' };
+  }
+
+  const normalized = path.posix.normalize(filename.trim());
+  const segments = normalized.split('/');
+
+  if (segments.includes('..')) {
+    return { reason: 'Path escapes the project directory' };
+  }
+  if (segments.some(segment => segment.startsWith('.'))) {
+    return { reason: 'Hidden files and directories are not allowed' };
+  }
+
+  return { path: normalized };
+}
+
+// Check a files map against the limits. Returns the normalized entries or
+// throws a ProjectValidationError listing every rejected file.
+function validateProjectFiles(files, limits = PROJECT_LIMITS) {
+  if (!files || typeof files !== 'object' || Array.isArray(files)) {
+    throw new ProjectValidationError('Request must include a files object', []);
+  }
+
+  const rejected = [];
+  const entries = [];
+  const seen = new Set();
+  let totalBytes = 0;
+
+  const names = Object.keys(files);
+  if (names.length > limits.maxFiles) {
+    throw new ProjectValidationError(
+      `Too many files: ${names.length} (limit ${limits.maxFiles})`,
+      []
+    );
+  }
+
+  for (const filename of names) {
+    const content = files[filename];
+    const { path: normalized, reason } = normalizeProjectPath(filename);
+
+    if (reason) {
+      rejected.push({ file: filename, reason });
+      continue;
+    }
+
+    const extension = path.posix.extname(normalized).toLowerCase();
+    if (!limits.allowedExtensions.includes(extension)) {
+      rejected.push({
+        file: filename,
+        reason: `File type "${extension || 'none'}" is not allowed (allowed: ${limits.allowedExtensions.join(', ')})`
+      });
+      continue;
+    }
+
+    if (typeof content !== 'string') {
+      rejected.push({ file: filename, reason: 'File content must be a string' });
+      continue;
+    }
+
+    if (seen.has(normalized)) {
+      rejected.push({ file: filename, reason: `Duplicate of ${normalized}` });
+      continue;
+    }
+    seen.add(normalized);
+
+    const bytes = Buffer.byteLength(content, 'utf8');
+    if (bytes > limits.maxFileBytes) {
+      rejected.push({ file: filename, reason: `File is ${bytes} bytes (limit ${limits.maxFileBytes})` });
+      continue;
+    }
+
+    totalBytes += bytes;
+    entries.push({ path: normalized, content });
+  }
+
+  if (totalBytes > limits.maxTotalBytes) {
+    rejected.push({
+      file: '*',
+      reason: `Project is ${totalBytes} bytes in total (limit ${limits.maxTotalBytes})`
+    });
+  }
+
+  // A multi-package project needs a daml.yaml per package instead of one
+  // at the root
+  const byPath = Object.fromEntries(entries.map(entry => [entry.path, entry.content]));
+  const multiPackage = readPackages(byPath);
+  const damlYamls = multiPackage
+    ? multiPackage.packages.map(pkg => packageFile(pkg.path, 'daml.yaml'))
+    : ['daml.yaml'];
+
+  if (multiPackage) rejected.push(...multiPackage.problems);
+
+  for (const file of damlYamls) {
+    if (!(file in byPath)) {
+      rejected.push({ file, reason: 'daml.yaml is required' });
+    } else {
+      rejected.push(...validateDamlYaml(byPath[file]).map(reason => ({ file, reason })));
+    }
+  }
+
+  if (rejected.length > 0) {
+    throw new ProjectValidationError('Invalid project files', rejected);
+  }
+
+  return entries;
+}
+
+// Problems with a daml.yaml, as a list of messages
+function validateDamlYaml(content) {
+  let config;
+  try {
+    config = YAML.parse(content);
+  } catch (error) {
+    return [`daml.yaml does not parse: ${error.message.split('\n')[0]}`];
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['daml.yaml must be a mapping of settings'];
+  }
+
+  return REQUIRED_DAML_YAML_FIELDS
+    .filter(field => config[field] === undefined || config[field] === null || config[field] === '')
+    .map(field => `daml.yaml is missing the "${field}" field`);
+}
+
+// Split a files map from a source we do not control (such as a template)
+// into the files whose type a project may contain and the ones it may not
+function partitionByType(files, limits = PROJECT_LIMITS) {
+  const kept = {};
+  const skipped = [];
+
+  for (const [filename, content] of Object.entries(files)) {
+    const extension = path.posix.extname(filename).toLowerCase();
+    if (limits.allowedExtensions.includes(extension)) {
+      kept[filename] = content;
+    } else {
+      skipped.push(filename);
+    }
+  }
+
+  return { files: kept, skipped };
+}
+
+// Resolve a relative path inside projectDir, refusing anything outside it
+function resolveInside(projectDir, relativePath) {
+  const root = path.resolve(projectDir);
+  const target = path.resolve(root, relativePath);
+
+  if (target !== root && !target.startsWith(root + path.sep)) {
+    throw new ProjectValidationError('Invalid project files', [
+      { file: relativePath, reason: 'Path escapes the project directory' }
+    ]);
+  }
+
+  return target;
+}
+
+// Validate the files map and write it into projectDir
+async function materializeProject(projectDir, files, limits = PROJECT_LIMITS) {
+  const entries = validateProjectFiles(files, limits);
+
+  await fs.mkdir(projectDir, { recursive: true });
+
+  for (const entry of entries) {
+    const filePath = resolveInside(projectDir, entry.path);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, entry.content, 'utf8');
+  }
+
+  return entries;
+}
+
+// Make projectDir match the files map, touching only what changed.
+// Unchanged files keep their timestamps and hidden directories (such as
+// the .daml build cache) are left alone, so dpm can build incrementally.
+async function syncProject(projectDir, files, limits = PROJECT_LIMITS) {
+  const entries = validateProjectFiles(files, limits);
+  const wanted = new Set(entries.map(entry => entry.path));
+  const result = { written: [], deleted: [], unchanged: 0 };
+
+  await fs.mkdir(projectDir, { recursive: true });
+
+  for (const entry of entries) {
+    const filePath = resolveInside(projectDir, entry.path);
+
+    let current = null;
+    try {
+      current = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      // New file
+    }
+
+    if (current === entry.content) {
+      result.unchanged++;
+      continue;
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, entry.content, 'utf8');
+    result.written.push(entry.path);
+  }
+
+  for (const existing of await listProjectPaths(projectDir)) {
+    if (!wanted.has(existing)) {
+      await fs.rm(resolveInside(projectDir, existing), { force: true });
+      result.deleted.push(existing);
+    }
+  }
+
+  await removeEmptyDirs(projectDir);
+  return result;
+}
+
+// Relative paths of every non-hidden file under dir
+async function listProjectPaths(dir, prefix = '') {
+  const paths = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      paths.push(...await listProjectPaths(path.join(dir, entry.name), relativePath));
+    } else {
+      paths.push(relativePath);
+    }
+  }
+
+  return paths;
+}
+
+// Remove directories left empty by deleted files (never the root itself)
+async function removeEmptyDirs(dir, isRoot = true) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
+      await removeEmptyDirs(path.join(dir, entry.name), false);
+    }
+  }
+
+  if (!isRoot && (await fs.readdir(dir)).length === 0) {
+    await fs.rmdir(dir);
+  }
+}
+
+// Read all files from a project directory into a files map
+async function readProjectFiles(dir, prefix = '') {
+  const files = {};
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    
+    // Skip hidden files and directories
+    if (entry.name.startsWith('.')) continue;
+    
+    if (entry.isDirectory()) {
+      const subFiles = await readProjectFiles(fullPath, relativePath);
+      Object.assign(files, subFiles);
+    } else {
+      try {
+        const content = await fs.readFile(fullPath, 'utf-8');
+        files[relativePath] = content;
+      } catch (error) {
+        log.error('Could not read project file', { file: relativePath, error });
+      }
+    }
+  }
+  
+  return files;
+}
+
+module.exports = {
+  PROJECT_LIMITS,
+  REQUIRED_DAML_YAML_FIELDS,
+  ProjectValidationError,
+  normalizeProjectPath,
+  validateProjectFiles,
+  validateDamlYaml,
+  partitionByType,
+  resolveInside,
+  materializeProject,
+  syncProject,
+  readProjectFiles
+};
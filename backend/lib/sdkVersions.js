@@ -0,0 +1,106 @@
+const YAML = require('yaml');
+const { spawnWithTimeout } = require('./process');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'sdk' });
+
+// Daml SDK versions installed for dpm.
+//
+// dpm resolves the SDK from the project's daml.yaml `sdk-version`, so a
+// project can only build against versions installed on this server. The
+// list comes from `dpm version` and is kept in memory for a while since it
+// only changes when someone runs `dpm install`.
+
+const VERSION_RE = /\b(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)\b/;
+
+// One version per line; the active one is marked "(active)" or with "*"
+function parseVersionList(stdout) {
+  const versions = [];
+
+  for (const line of stdout.split('\n')) {
+    const match = line.match(VERSION_RE);
+    if (!match || versions.some(v => v.version === match[1])) continue;
+    versions.push({ version: match[1], active: /\bactive\b|^\s*\*/i.test(line) });
+  }
+
+  return versions;
+}
+
+// sdk-version in a daml.yaml, or null
+function sdkVersionOf(content) {
+  try {
+    const config = YAML.parse(content || '');
+    const version = config && config['sdk-version'];
+    return version === undefined || version === null ? null : String(version);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Every daml.yaml in the project: the root one, or one per package
+function damlYamlFiles(files) {
+  return Object.keys(files)
+    .filter(file => file === 'daml.yaml' || file.endsWith('/daml.yaml'))
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+}
+
+// sdk-version from the project's daml.yaml (the first package's in a
+// multi-package project), or null
+function projectSdkVersion(files) {
+  const [first] = damlYamlFiles(files);
+  return first ? sdkVersionOf(files[first]) : null;
+}
+
+function createSdkVersionCatalog({ ttl }) {
+  let cached = null;
+  let pending = null;
+
+  async function fetchVersions() {
+    const { stdout } = await spawnWithTimeout('dpm', ['version'], {}, 30000);
+    return parseVersionList(stdout);
+  }
+
+  // { versions: [{ version, active }], fetchedAt } or { versions: [], warning }
+  async function list({ refresh = false } = {}) {
+    if (cached && !refresh && Date.now() - cached.fetchedAtMs < ttl) return cached.result;
+
+    if (!pending) {
+      pending = fetchVersions()
+        .then(versions => {
+          const result = { versions, fetchedAt: new Date().toISOString() };
+          cached = { result, fetchedAtMs: Date.now() };
+          return result;
+        })
+        .catch(error => {
+          log.error('Could not list SDK versions', { error });
+          return { versions: [], warning: 'Installed SDK versions could not be listed' };
+        })
+        .finally(() => { pending = null; });
+    }
+    return pending;
+  }
+
+  // Reason a project cannot be built with its sdk-version, or null. When
+  // dpm cannot list versions the check is skipped and dpm reports instead.
+  async function checkProject(files) {
+    const used = damlYamlFiles(files)
+      .map(file => ({ file, version: sdkVersionOf(files[file]) }))
+      .filter(entry => entry.version);
+    if (used.length === 0) return null;
+
+    const { versions } = await list();
+    const missing = used.find(entry => !versions.some(v => v.version === entry.version));
+    if (versions.length === 0 || !missing) return null;
+
+    return {
+      error: `Daml SDK ${missing.version} (sdk-version in ${missing.file}) is not installed on this server. ` +
+        `Installed: ${versions.map(v => v.version).join(', ')}`,
+      sdkVersion: missing.version,
+      installed: versions.map(v => v.version)
+    };
+  }
+
+  return { list, checkProject };
+}
+
+module.exports = { createSdkVersionCatalog, parseVersionList, projectSdkVersion };
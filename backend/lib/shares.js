@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Shared projects: immutable copies of a `files` map behind a short id.
+// Ids are derived from the content, so sharing the same files twice gives
+// the same link. Each share is stored as <id>.json; its modification time
+// is when it was last shared and drives expiry.
+
+const SHARE_ID_LENGTH = 10;
+const SHARE_ID_RE = /^[A-Za-z0-9_-]{10}$/;
+
+class ShareStoreError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ShareStoreError';
+    this.status = status;
+  }
+}
+
+// Stable id for a files map: hash of its entries in path order
+function shareIdFor(files) {
+  const entries = Object.keys(files).sort().map(name => [name, files[name]]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(entries))
+    .digest('base64url')
+    .slice(0, SHARE_ID_LENGTH);
+}
+
+function createShareStore({ rootDir, ttl, maxShares, maxTotalBytes }) {
+  const sharePath = (id) => path.join(rootDir, `${id}.json`);
+
+  // Stored shares with their size and age
+  async function entries() {
+    let names = [];
+    try {
+      names = await fs.readdir(rootDir);
+    } catch (error) {
+      return [];
+    }
+
+    const result = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        const stats = await fs.stat(path.join(rootDir, name));
+        result.push({ id: path.basename(name, '.json'), size: stats.size, mtimeMs: stats.mtimeMs });
+      } catch (error) {
+        // Removed while listing
+      }
+    }
+    return result;
+  }
+
+  const isExpired = (mtimeMs) => ttl > 0 && Date.now() - mtimeMs > ttl;
+
+  // Store a files map (already validated) and return { id, createdAt, expiresAt }
+  async function save(files) {
+    const id = shareIdFor(files);
+    await fs.mkdir(rootDir, { recursive: true });
+
+    const existing = await get(id);
+    if (existing) {
+      // Sharing the same files again keeps the link alive for longer
+      const now = new Date();
+      await fs.utimes(sharePath(id), now, now);
+      return { id, createdAt: existing.createdAt, expiresAt: expiresAt(now.getTime()) };
+    }
+
+    const share = { id, files, createdAt: new Date().toISOString() };
+    const body = JSON.stringify(share);
+    const size = Buffer.byteLength(body);
+
+    await evictExpired();
+    const stored = await entries();
+    if (maxShares > 0 && stored.length >= maxShares) {
+      throw new ShareStoreError('Share storage is full, try again later', 507);
+    }
+    if (maxTotalBytes > 0 && stored.reduce((sum, e) => sum + e.size, 0) + size > maxTotalBytes) {
+      throw new ShareStoreError('Share storage is full, try again later', 507);
+    }
+
+    // Write then rename so readers never see a partial file
+    const tempPath = `${sharePath(id)}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, body, 'utf8');
+    await fs.rename(tempPath, sharePath(id));
+
+    return { id, createdAt: share.createdAt, expiresAt: expiresAt(Date.now()) };
+  }
+
+  // The share, or null when unknown or expired
+  async function get(id) {
+    if (typeof id !== 'string' || !SHARE_ID_RE.test(id)) return null;
+
+    try {
+      const stats = await fs.stat(sharePath(id));
+      if (isExpired(stats.mtimeMs)) return null;
+
+      const share = JSON.parse(await fs.readFile(sharePath(id), 'utf8'));
+      return { ...share, expiresAt: expiresAt(stats.mtimeMs) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function expiresAt(mtimeMs) {
+    return ttl > 0 ? new Date(mtimeMs + ttl).toISOString() : null;
+  }
+
+  // Remove shares older than the TTL. Returns the removed ids.
+  async function evictExpired() {
+    const removed = [];
+    for (const entry of await entries()) {
+      if (isExpired(entry.mtimeMs)) {
+        await fs.rm(sharePath(entry.id), { force: true });
+        removed.push(entry.id);
+      }
+    }
+    return removed;
+  }
+
+  return { save, get, evictExpired };
+}
+
+module.exports = { createShareStore, shareIdFor, ShareStoreError };
@@ -0,0 +1,356 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { spawnWithTimeout } = require('./process');
+const {
+  PROJECT_LIMITS,
+  ProjectValidationError,
+  validateProjectFiles,
+  partitionByType,
+  readProjectFiles
+} = require('./project');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'templates' });
+
+// Registry of project templates: templates on disk plus `dpm new` ones.
+//
+// Disk templates live in templateDirs, one folder per template named after
+// its id, holding the project files and a template.json with { name,
+// description, category, order }. They are read on every request, so
+// templates dropped into a directory show up without a restart. A disk
+// template hides a dpm template with the same id, and later directories
+// win over earlier ones.
+//
+// `dpm new --list` and `dpm new --template` are slow, so both the list and
+// each generated template's file set are stored as JSON under cacheDir and
+// reused until they are older than the TTL (or a refresh is requested).
+//
+// Template files are held to the same rules as user projects: files of
+// other types (Java or TypeScript clients, images) are left out, and a
+// template that still would not pass validation is refused with a
+// TemplateError instead of failing on the user's first build.
+
+const METADATA_FILE = 'template.json';
+
+// Gallery categories, matched against dpm template ids in order
+const CATEGORY_RULES = [
+  ['tutorial', /^daml-intro-/],
+  ['finance', /^finance-|-finance$/],
+  ['integration', /^quickstart-|-java$|codegen|json-api/],
+  ['patterns', /patterns|upgrades|multi-package|script-example/],
+  ['starter', /skeleton/]
+];
+
+// dpm template ids are lowercase words joined by dashes
+const TEMPLATE_ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+class TemplateError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+  }
+}
+
+function createTemplateCatalog({ cacheDir, workDir, ttl, templateDirs = [], limits = PROJECT_LIMITS }) {
+  const listFile = path.join(cacheDir, 'list.json');
+  const filesDir = path.join(cacheDir, 'files');
+
+  // Concurrent requests for the same template share one dpm run
+  const inFlight = new Map();
+
+  async function readCache(file) {
+    try {
+      const cached = JSON.parse(await fs.readFile(file, 'utf8'));
+      const age = Date.now() - new Date(cached.fetchedAt).getTime();
+      return { ...cached, fresh: age < ttl };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function writeCache(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const cached = { ...data, fetchedAt: new Date().toISOString() };
+
+    // Write then rename so readers never see a half written file
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(cached), 'utf8');
+    await fs.rename(tmp, file);
+    return cached;
+  }
+
+  function once(key, task) {
+    if (!inFlight.has(key)) {
+      inFlight.set(key, task().finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+  }
+
+  // Disk templates by id, with the folder they were read from
+  async function loadLocalTemplates() {
+    const found = new Map();
+
+    for (const rootDir of templateDirs) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(rootDir, { withFileTypes: true });
+      } catch (error) {
+        log.warn('Template directory is not readable', { dir: rootDir, error });
+        continue;
+      }
+
+      for (const entry of entries.filter(e => e.isDirectory() && TEMPLATE_ID_RE.test(e.name))) {
+        const dir = path.join(rootDir, entry.name);
+        try {
+          const meta = JSON.parse(await fs.readFile(path.join(dir, METADATA_FILE), 'utf8'));
+          if (typeof meta.name !== 'string' || !meta.name) throw new Error('"name" is required');
+
+          found.set(entry.name, {
+            dir,
+            template: {
+              id: entry.name,
+              name: meta.name,
+              description: meta.description || `${meta.name} template`,
+              category: meta.category || 'other',
+              source: 'local',
+              ...(typeof meta.order === 'number' ? { order: meta.order } : {})
+            }
+          });
+        } catch (error) {
+          log.warn('Skipping template', { dir, error: error.message });
+        }
+      }
+    }
+
+    return found;
+  }
+
+  async function fetchDpmTemplates() {
+    const { stdout } = await spawnWithTimeout('dpm', ['new', '--list'], {}, 30000);
+    const ids = parseTemplateList(stdout);
+    log.debug('Listed dpm templates', { templates: ids });
+
+    return ids.map(id => ({
+      id,
+      name: formatTemplateName(id),
+      description: getTemplateDescription(id),
+      category: getTemplateCategory(id),
+      source: 'dpm'
+    }));
+  }
+
+  // dpm templates from the cache, or from dpm when the cache is stale
+  async function listDpm({ refresh = false } = {}) {
+    const cached = await readCache(listFile);
+
+    if (cached && cached.fresh && !refresh) {
+      return { templates: cached.templates, fetchedAt: cached.fetchedAt, cached: true };
+    }
+
+    try {
+      const fresh = await once('list', async () => writeCache(listFile, { templates: await fetchDpmTemplates() }));
+      return { templates: fresh.templates, fetchedAt: fresh.fetchedAt, cached: false };
+    } catch (error) {
+      log.error('Could not list dpm templates', { error });
+
+      // A stale list beats no list
+      if (cached) {
+        return {
+          templates: cached.templates,
+          fetchedAt: cached.fetchedAt,
+          cached: true,
+          warning: 'DPM templates could not be refreshed; showing cached list'
+        };
+      }
+
+      return { templates: [], cached: false, warning: 'DPM templates unavailable' };
+    }
+  }
+
+  // Full template list: disk templates, then whatever dpm offers
+  async function list(options) {
+    const [local, dpm] = await Promise.all([loadLocalTemplates(), listDpm(options)]);
+    return { ...dpm, templates: merge([...local.values()].map(l => l.template), dpm.templates) };
+  }
+
+  // Is this a template we can produce files for?
+  async function isKnownTemplate(id) {
+    if (typeof id !== 'string' || !TEMPLATE_ID_RE.test(id)) return false;
+
+    const { templates } = await list();
+    return templates.some(t => t.id === id);
+  }
+
+  // Files of a template, limited to what a project may contain. `skipped`
+  // lists the files that were left out.
+  async function getFiles(id, options) {
+    const result = await readTemplateFiles(id, options);
+    const { files, skipped } = partitionByType(result.files, limits);
+
+    if (skipped.length > 0) {
+      log.debug('Left out template files', { template: id, skipped });
+    }
+
+    try {
+      validateProjectFiles(files, limits);
+    } catch (error) {
+      if (!(error instanceof ProjectValidationError)) throw error;
+      const reasons = error.rejected.map(({ file, reason }) => `${file}: ${reason}`).join('; ');
+      throw new TemplateError(`Template "${id}" cannot be used: ${reasons || error.message}`, 422);
+    }
+
+    return { ...result, files, skipped };
+  }
+
+  // Raw files of a template: read from its folder, or generated by
+  // `dpm new --template <id>`
+  async function readTemplateFiles(id, options) {
+    const local = (await loadLocalTemplates()).get(id);
+    if (local) {
+      const files = await readProjectFiles(local.dir);
+      delete files[METADATA_FILE];
+      return { files, cached: false };
+    }
+    return getDpmFiles(id, options);
+  }
+
+  async function getDpmFiles(id, { refresh = false } = {}) {
+    const cacheFile = path.join(filesDir, `${id}.json`);
+    const cached = await readCache(cacheFile);
+
+    if (cached && cached.fresh && !refresh) {
+      return { files: cached.files, fetchedAt: cached.fetchedAt, cached: true };
+    }
+
+    const fresh = await once(`files:${id}`, async () => {
+      const projectDir = path.join(workDir, `template-${uuidv4()}`);
+
+      try {
+        // dpm new creates the directory itself
+        const { stdout, stderr } = await spawnWithTimeout(
+          'dpm',
+          ['new', projectDir, '--template', id],
+          {},
+          60000
+        );
+        log.debug('Generated template', { template: id, stdout, stderr });
+
+        return writeCache(cacheFile, { files: await readProjectFiles(projectDir) });
+      } finally {
+        await fs.rm(projectDir, { recursive: true, force: true });
+      }
+    });
+
+    return { files: fresh.files, fetchedAt: fresh.fetchedAt, cached: false };
+  }
+
+  // Drop everything cached and fetch the list again
+  async function refresh() {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+    return list({ refresh: true });
+  }
+
+  return { list, isKnownTemplate, getFiles, refresh };
+}
+
+// Disk templates (by order, then name) followed by the dpm templates they
+// do not replace
+function merge(localTemplates, dpmTemplates) {
+  const local = [...localTemplates].sort((a, b) =>
+    (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name)
+  );
+  const localIds = new Set(local.map(t => t.id));
+
+  // Lists cached before categories existed get them here
+  const dpm = dpmTemplates
+    .filter(t => !localIds.has(t.id))
+    .map(t => ({ ...t, category: t.category || getTemplateCategory(t.id) }));
+
+  return [...local, ...dpm];
+}
+
+// Parse template names from `dpm new --list` output
+function parseTemplateList(stdout) {
+  const ids = [];
+  let inTemplateList = false;
+
+  for (const line of stdout.split('\n')) {
+    // Check for header line
+    if (line.includes('following templates are available') ||
+        line.includes('Available templates:') ||
+        line.includes('available templates:')) {
+      inTemplateList = true;
+      continue;
+    }
+
+    if (!inTemplateList || !line.trim()) continue;
+
+    // Indented names, or dash-prefixed in some versions
+    const name = line.trim().startsWith('-')
+      ? line.trim().substring(1).trim()
+      : line.startsWith('  ') ? line.trim() : null;
+
+    if (name && TEMPLATE_ID_RE.test(name) && !ids.includes(name)) {
+      ids.push(name);
+    }
+  }
+
+  return ids;
+}
+
+// Helper: Format template name
+function formatTemplateName(templateId) {
+  return templateId
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Helper: Get template description
+function getTemplateDescription(templateId) {
+  const descriptions = {
+    // Tutorial templates
+    'daml-intro-choices': 'Introduction to DAML - Choices',
+    'daml-intro-compose': 'Introduction to DAML - Composing Choices',
+    'daml-intro-constraints': 'Introduction to DAML - Constraints',
+    'daml-intro-contracts': 'Introduction to DAML - Basic Contracts',
+    'daml-intro-daml-scripts': 'Introduction to DAML - Scripts',
+    'daml-intro-data': 'Introduction to DAML - Data Types',
+    'daml-intro-exceptions': 'Introduction to DAML - Exception Handling',
+    'daml-intro-functional-101': 'Introduction to DAML - Functional Programming 101',
+    'daml-intro-parties': 'Introduction to DAML - Parties and Authority',
+    'daml-intro-test': 'Introduction to DAML - Testing',
+
+    // Pattern templates
+    'daml-patterns': 'Common DAML design patterns',
+
+    // Basic templates
+    'empty-skeleton': 'Empty project with minimal structure',
+    'skeleton': 'Basic DAML project structure',
+
+    // Finance templates
+    'finance-lifecycling': 'Financial instrument lifecycling patterns',
+    'finance-payoff-modeling': 'Financial payoff modeling examples',
+    'finance-settlement': 'Settlement workflow patterns',
+    'finance-upgrades': 'Upgrading financial contracts',
+    'quickstart-finance': 'Financial contract quickstart',
+
+    // Other templates
+    'quickstart-java': 'Java integration quickstart',
+    'multi-package-example': 'Multi-package project example',
+    'script-example': 'DAML script examples',
+    'upgrades-example': 'Contract upgrade examples',
+  };
+
+  return descriptions[templateId] || `${formatTemplateName(templateId)} template`;
+}
+
+// Helper: Get the gallery category of a dpm template
+function getTemplateCategory(templateId) {
+  const rule = CATEGORY_RULES.find(([, pattern]) => pattern.test(templateId));
+  return rule ? rule[0] : 'other';
+}
+
+module.exports = { TemplateError, createTemplateCatalog, parseTemplateList };
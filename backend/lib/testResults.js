@@ -0,0 +1,92 @@
+// Turn `dpm test` output into one result row per Daml Script.
+//
+// The test summary looks like:
+//
+//   Test Summary
+//
+//   daml/Main.daml:setup: ok, 1 active contracts, 2 transactions.
+//   daml/Main.daml:broken: failed
+//
+// Failure details are printed earlier as diagnostics whose range points at
+// the script definition, so they are matched back by file and line.
+const SUMMARY_RE = /^\s*(\S+?\.daml):([\w'.]+):\s+(ok|failed)\b(?:,\s*(\d+)\s+active contracts?,\s*(\d+)\s+transactions?)?\.?(?:\s*\((\d+(?:\.\d+)?)\s*(ms|s)\))?/;
+
+function parseTestResults(output, files = {}, diagnostics = []) {
+  const tests = [];
+  const seen = new Set();
+
+  for (const line of String(output || '').split('\n')) {
+    const match = line.match(SUMMARY_RE);
+    if (!match) continue;
+
+    const [, file, name, outcome, active, transactions, duration, unit] = match;
+    const key = `${file}:${name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const definitionLines = findDefinitionLines(files[file], name);
+
+    tests.push({
+      file,
+      name,
+      line: definitionLines[0] || null,
+      definitionLines,
+      status: outcome === 'ok' ? 'passed' : 'failed',
+      activeContracts: active !== undefined ? Number(active) : null,
+      transactions: transactions !== undefined ? Number(transactions) : null,
+      // damlc does not always report timings; null means unknown
+      durationMs: duration !== undefined ? Number(duration) * (unit === 's' ? 1000 : 1) : null,
+      message: null
+    });
+  }
+
+  attachFailureMessages(tests, diagnostics);
+  tests.forEach(test => delete test.definitionLines);
+
+  const passed = tests.filter(t => t.status === 'passed').length;
+  return {
+    tests,
+    summary: { total: tests.length, passed, failed: tests.length - passed }
+  };
+}
+
+// Lines (1-based) of a top-level script's signature and equations
+function findDefinitionLines(source, name) {
+  if (typeof source !== 'string') return [];
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const definition = new RegExp(`^${escaped}\\s*(:|=|\\s)`);
+  return source
+    .split('\n')
+    .map((l, i) => (definition.test(l) ? i + 1 : null))
+    .filter(Boolean);
+}
+
+function attachFailureMessages(tests, diagnostics) {
+  const unused = diagnostics.filter(d => d.severity === 'error');
+
+  const take = (predicate) => {
+    const index = unused.findIndex(predicate);
+    return index === -1 ? null : unused.splice(index, 1)[0];
+  };
+
+  // Exact matches on the definition line first
+  tests.filter(t => t.status === 'failed').forEach(test => {
+    const diagnostic = take(d => d.file === test.file && test.definitionLines.includes(d.line));
+    if (diagnostic) test.message = diagnostic.message;
+  });
+
+  // Then hand out remaining script errors in the same file, in order
+  tests.filter(t => t.status === 'failed' && !t.message).forEach(test => {
+    const diagnostic = take(d => d.file === test.file && /script/i.test(d.source || ''));
+    if (diagnostic) test.message = diagnostic.message;
+  });
+}
+
+// Build a --test-pattern that selects exactly one script by name
+function scriptPattern(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return `(^|[:.])${escaped}$`;
+}
+
+module.exports = { parseTestResults, scriptPattern };
@@ -0,0 +1,306 @@
+// Structured trace of Daml Script runs, parsed from the transaction view
+// that `dpm test --transactions-output <file>` writes. Each script section
+// looks like:
+//
+//   daml/Main.daml:setup
+//   Transactions:
+//     TX 0 1970-01-01T00:00:00Z (Main:20:3)
+//     #0:0
+//     │   disclosed to (since): 'Alice' (0), 'Bob' (1)
+//     │   consumed by: #1:0
+//     └─> 'Alice' creates Main:Token
+//                 with
+//                   owner = 'Alice'; amount = 100.0
+//
+//     TX 1 1970-01-01T00:00:00Z (Main:23:3)
+//     #1:0
+//     │   disclosed to (since): 'Alice' (1), 'Bob' (1)
+//     └─> 'Alice' exercises Transfer on #0:0 (Main:Token)
+//                 with
+//                   newOwner = 'Bob'
+//         children:
+//         #1:1
+//         ...
+//
+//   Active contracts:  #1:1
+//
+//   Return value: {}
+//
+// Every submit becomes a step with its node tree, the contracts it created
+// and archived, and which active contracts each party could see after it.
+
+const TX_RE = /^\s*TX\s+(\d+)\s+(\S+)(?:\s+\((.+)\))?/;
+const FAILED_TX_RE = /^\s*(?:TX\s+\d+\s+\S+\s+)?mustFailAt\b(.*)$/;
+const NODE_RE = /^(\s*)#(\d+:\d+)\s*$/;
+const DISCLOSED_RE = /(?:disclosed|known) to \(since\):\s*(.*)$/;
+const CONSUMED_RE = /(?:consumed|archived) by:?\s*#(\d+:\d+)/;
+const ACTION_RE = /└─>\s*(.*)$/;
+const PARTY_RE = /'([^']+)'/g;
+
+function parseTransactionTrace(text) {
+  const sections = splitSections(String(text || ''));
+  return sections.map(({ header, lines }) => parseScript(header, lines));
+}
+
+// Split the file into one section per script. Without headers (a single
+// script), the whole file is one section.
+function splitSections(text) {
+  const sections = [];
+  let current = { header: null, lines: [] };
+
+  for (const line of text.split('\n')) {
+    const isHeader = /^\S/.test(line) &&
+      !/^(Transactions|Active contracts|Return value|Trace|Warning)\b/.test(line) &&
+      !TX_RE.test(line) && !NODE_RE.test(line);
+
+    if (isHeader) {
+      if (current.header || current.lines.some(l => l.trim())) sections.push(current);
+      current = { header: line.trim().replace(/:$/, ''), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+
+  if (current.header || current.lines.some(l => l.trim())) sections.push(current);
+  return sections;
+}
+
+function parseScript(header, lines) {
+  const steps = [];
+  const nodes = new Map();
+  let step = null;
+  let activeContracts = null;
+  let returnValue = null;
+
+  // Node stack by indentation, so children end up under their exercise
+  let stack = [];
+  let node = null;
+  let inPayload = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const active = line.match(/^\s*Active contracts:\s*(.*)$/);
+    if (active) {
+      activeContracts = (active[1].match(/#\d+:\d+/g) || []).map(id => id.slice(1));
+      step = null;
+      continue;
+    }
+
+    const returned = line.match(/^\s*Return value:\s*(.*)$/);
+    if (returned) {
+      returnValue = returned[1].trim();
+      step = null;
+      continue;
+    }
+
+    const tx = line.match(TX_RE);
+    if (tx && !FAILED_TX_RE.test(line)) {
+      step = {
+        index: Number(tx[1]),
+        time: tx[2],
+        location: tx[3] || null,
+        failed: false,
+        nodes: []
+      };
+      steps.push(step);
+      stack = [];
+      node = null;
+      inPayload = false;
+      continue;
+    }
+
+    const failed = line.match(FAILED_TX_RE);
+    if (failed) {
+      // Nothing is committed, so the step shares the previous ledger state
+      const actAs = failed[1].match(/actAs:\s*\{([^}]*)\}/);
+      const location = failed[1].match(/\(([^()]+)\)\s*$/);
+      steps.push({
+        index: steps.length ? steps[steps.length - 1].index : -1,
+        time: null,
+        location: location ? location[1] : null,
+        failed: true,
+        submitters: matchParties(actAs ? actAs[1] : failed[1]),
+        nodes: []
+      });
+      step = null;
+      continue;
+    }
+
+    if (!step) continue;
+
+    const nodeStart = line.match(NODE_RE);
+    if (nodeStart) {
+      const indent = nodeStart[1].length;
+      node = {
+        id: nodeStart[2],
+        kind: 'other',
+        actors: [],
+        templateId: null,
+        contractId: nodeStart[2],
+        choice: null,
+        payload: null,
+        disclosedTo: {},
+        consumedBy: null,
+        children: []
+      };
+      nodes.set(node.id, node);
+
+      while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+      const parent = stack[stack.length - 1];
+      (parent ? parent.node.children : step.nodes).push(node);
+      stack.push({ indent, node });
+      inPayload = false;
+      continue;
+    }
+
+    if (!node) continue;
+
+    const disclosed = line.match(DISCLOSED_RE);
+    if (disclosed) {
+      for (const match of disclosed[1].matchAll(/'([^']+)'\s*\((\d+)\)/g)) {
+        node.disclosedTo[match[1]] = Number(match[2]);
+      }
+      continue;
+    }
+
+    const consumed = line.match(CONSUMED_RE);
+    if (consumed) {
+      node.consumedBy = consumed[1];
+      continue;
+    }
+
+    const action = line.match(ACTION_RE);
+    if (action) {
+      Object.assign(node, parseAction(action[1]));
+      inPayload = false;
+      continue;
+    }
+
+    if (/^\s*with\s*$/.test(line)) {
+      inPayload = true;
+      node.payload = '';
+      continue;
+    }
+
+    if (/^\s*children:\s*$/.test(line) || !line.trim()) {
+      inPayload = false;
+      continue;
+    }
+
+    if (inPayload) {
+      node.payload += (node.payload ? '\n' : '') + line.trim();
+    }
+  }
+
+  return { ...describeScript(header), ...summarizeSteps(steps, nodes), activeContracts, returnValue };
+}
+
+// "'Alice' and 'Bob' exercises Transfer on #0:0 (Main:Token)"
+function parseAction(text) {
+  const actors = matchParties(text.split(/\s(?:creates|exercises|fetches|looks up|ensures)\b/)[0]);
+
+  let match = text.match(/\bcreates\s+(\S+)/);
+  if (match) return { kind: 'create', actors, templateId: match[1] };
+
+  match = text.match(/\bexercises\s+(\S+)\s+on\s+#(\d+:\d+)(?:\s+\((\S+)\))?/);
+  if (match) {
+    return { kind: 'exercise', actors, choice: match[1], contractId: match[2], templateId: match[3] || null };
+  }
+
+  match = text.match(/\bfetches\s+#(\d+:\d+)(?:\s+\((\S+)\))?/);
+  if (match) return { kind: 'fetch', actors, contractId: match[1], templateId: match[2] || null };
+
+  match = text.match(/\blooks up by key\s+(\S+)/);
+  if (match) return { kind: 'lookup', actors, templateId: match[1], contractId: null };
+
+  return { kind: 'other', actors, description: text.trim() };
+}
+
+function matchParties(text) {
+  return [...String(text || '').matchAll(PARTY_RE)].map(m => m[1]);
+}
+
+// "daml/Main.daml:setup" -> file and script name
+function describeScript(header) {
+  if (!header) return { script: null, file: null };
+
+  const match = header.match(/^(?:(\S+?\.daml):)?(?:[\w.]+:)?([\w']+)$/);
+  return match
+    ? { script: match[2], file: match[1] || null }
+    : { script: header, file: null };
+}
+
+// Contracts, per-step changes and per-party views of the active contracts
+function summarizeSteps(steps, nodes) {
+  const contracts = {};
+  const parties = new Set();
+
+  const walk = (list, visit) => list.forEach(node => {
+    visit(node);
+    walk(node.children, visit);
+  });
+
+  steps.forEach(step => {
+    walk(step.nodes, node => {
+      Object.keys(node.disclosedTo).forEach(party => parties.add(party));
+      node.actors.forEach(party => parties.add(party));
+
+      if (node.kind === 'create') {
+        contracts[node.id] = {
+          id: node.id,
+          templateId: node.templateId,
+          payload: node.payload,
+          createdAt: step.index,
+          archivedAt: null,
+          disclosedTo: node.disclosedTo
+        };
+      }
+    });
+  });
+
+  // A contract is archived by the step of the node that consumed it
+  nodes.forEach(node => {
+    if (node.kind === 'create' && node.consumedBy && contracts[node.id]) {
+      contracts[node.id].archivedAt = Number(node.consumedBy.split(':')[0]);
+    }
+    if (node.kind === 'exercise' && node.choice === 'Archive' && contracts[node.contractId]) {
+      contracts[node.contractId].archivedAt = Number(node.id.split(':')[0]);
+    }
+  });
+
+  const contractList = Object.values(contracts);
+
+  const summarized = steps.map(step => {
+    const submitters = step.submitters || [...new Set(step.nodes.flatMap(node => node.actors))];
+    const exercised = [];
+    walk(step.nodes, node => {
+      if (node.kind === 'exercise') {
+        exercised.push({ contractId: node.contractId, choice: node.choice, actors: node.actors, templateId: node.templateId });
+      }
+    });
+
+    // What each party could see once this step was committed
+    const visibleTo = {};
+    parties.forEach(party => {
+      visibleTo[party] = contractList
+        .filter(c => c.createdAt <= step.index &&
+          (c.archivedAt === null || c.archivedAt > step.index) &&
+          c.disclosedTo[party] !== undefined && c.disclosedTo[party] <= step.index)
+        .map(c => c.id);
+    });
+
+    return {
+      ...step,
+      submitters,
+      created: step.failed ? [] : contractList.filter(c => c.createdAt === step.index).map(c => c.id),
+      archived: step.failed ? [] : contractList.filter(c => c.archivedAt === step.index).map(c => c.id),
+      exercised,
+      visibleTo
+    };
+  });
+
+  return { parties: [...parties].sort(), contracts, steps: summarized };
+}
+
+module.exports = { parseTransactionTrace };
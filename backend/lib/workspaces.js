@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Persistent per-session workspaces.
+//
+// A browser session keeps the same workspace id, so its project directory
+// (and the .daml build cache inside it) survives between builds. Runs on
+// one workspace are serialized, and idle workspaces are evicted by the
+// periodic cleanup.
+
+const WORKSPACE_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Marker file whose mtime records the last time a workspace was used, so
+// idle times survive a server restart
+const LAST_USED_FILE = '.last-used';
+
+function createWorkspaceManager({ rootDir, idleTimeout }) {
+  const locks = new Map();
+  const active = new Set();
+
+  function isValidId(id) {
+    return typeof id === 'string' && WORKSPACE_ID_RE.test(id);
+  }
+
+  // Ids are case-insensitive, so directories, locks and the active set are
+  // all keyed on the lowercase form
+  function keyFor(id) {
+    if (!isValidId(id)) {
+      throw new Error(`Invalid workspace id: ${id}`);
+    }
+    return id.toLowerCase();
+  }
+
+  function dirFor(id) {
+    return path.join(rootDir, keyFor(id));
+  }
+
+  async function touch(id) {
+    const dir = dirFor(id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const marker = path.join(dir, LAST_USED_FILE);
+    const now = new Date();
+    try {
+      await fs.utimes(marker, now, now);
+    } catch (error) {
+      await fs.writeFile(marker, '', 'utf8');
+    }
+  }
+
+  // Run task(dir) with exclusive use of the workspace
+  function withWorkspace(id, task) {
+    const key = keyFor(id);
+    const dir = dirFor(key);
+    const previous = locks.get(key) || Promise.resolve();
+
+    const run = previous.catch(() => {}).then(async () => {
+      active.add(key);
+      try {
+        await touch(key);
+        return await task(dir);
+      } finally {
+        active.delete(key);
+        await touch(key).catch(() => {});
+      }
+    });
+
+    // Only the tail of the chain is kept, so finished runs are released
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+
+    return run;
+  }
+
+  async function lastUsed(id) {
+    try {
+      const stats = await fs.stat(path.join(rootDir, id, LAST_USED_FILE));
+      return stats.mtimeMs;
+    } catch (error) {
+      const stats = await fs.stat(path.join(rootDir, id));
+      return stats.mtimeMs;
+    }
+  }
+
+  // Delete workspaces nobody has used for idleTimeout. Returns evicted ids.
+  async function evictIdle() {
+    const evicted = [];
+    let ids = [];
+
+    try {
+      ids = await fs.readdir(rootDir);
+    } catch (error) {
+      return evicted;
+    }
+
+    const now = Date.now();
+    for (const id of ids) {
+      // Directories are only ever created under the lowercase key
+      if (!isValidId(id) || id !== keyFor(id) || active.has(id) || locks.has(id)) continue;
+
+      if (now - await lastUsed(id) > idleTimeout) {
+        await fs.rm(path.join(rootDir, id), { recursive: true, force: true });
+        evicted.push(id);
+      }
+    }
+
+    return evicted;
+  }
+
+  return { isValidId, keyFor, dirFor, touch, withWorkspace, evictIdle };
+}
+
+module.exports = { createWorkspaceManager };
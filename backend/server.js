@@ -1,608 +1,1467 @@
 const express = require('express');
 const cors = require('cors');
-const { exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
+const { WebSocketServer } = require('ws');
 require('dotenv').config();
+const { createJobQueue } = require('./lib/jobQueue');
+const { spawnWithTimeout, activeProcesses, processEvents } = require('./lib/process');
+const { createTemplateCatalog, TemplateError } = require('./lib/templateCatalog');
+const { parseDiagnostics } = require('./lib/diagnostics');
+const { parseTestResults, scriptPattern } = require('./lib/testResults');
+const {
+  PROJECT_LIMITS,
+  REQUIRED_DAML_YAML_FIELDS,
+  materializeProject,
+  syncProject,
+  validateProjectFiles,
+  ProjectValidationError
+} = require('./lib/project');
+const { createWorkspaceManager } = require('./lib/workspaces');
+const { createArtifactStore, findBuiltDar } = require('./lib/artifacts');
+const { inspectDar } = require('./lib/darInspector');
+const { createLedgerManager, LedgerError } = require('./lib/ledger');
+const { parseTransactionTrace } = require('./lib/transactionTrace');
+const { createLanguageServerManager } = require('./lib/languageServer');
+const { createShareStore, ShareStoreError } = require('./lib/shares');
+const { createSdkVersionCatalog, projectSdkVersion } = require('./lib/sdkVersions');
+const { readPackages, planPackageRun, packageFiles, packageFile } = require('./lib/packages');
+const { createCodeGenerator, CODEGEN_LANGUAGES } = require('./lib/codegen');
+const { createAccessControl, AccessError } = require('./lib/access');
+const { createExecutor } = require('./lib/executor');
+const { logger } = require('./lib/logger');
+const { createMetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy every request arrives from the proxy. TRUST_PROXY
+// says which proxies may set X-Forwarded-For, so req.ip (anonymous quotas,
+// rate limits) is the real client: a hop count, a comma separated list of
+// addresses or subnets ("loopback", "10.0.0.0/8"), or true for any.
+function trustProxySetting(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+// Prometheus metrics, served at GET /metrics. Gauges read at scrape time
+// are registered further down, next to the things they measure.
+const metrics = createMetricsRegistry({ prefix: 'canton_ide_' });
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const jobsTotal = metrics.counter('jobs_total', 'Finished build, test and codegen jobs', ['type', 'outcome']);
+const jobDuration = metrics.histogram(
+  'job_duration_seconds',
+  'How long build, test and codegen jobs ran',
+  ['type'],
+  [1, 2.5, 5, 10, 20, 30, 60, 90, 120, 180]
+);
+const jobFailures = metrics.counter('job_failures_total', 'Failed jobs by reason', ['type', 'reason']);
+const templatesTotal = metrics.counter('templates_created_total', 'Projects created from templates', ['template', 'outcome']);
+const processTimeouts = metrics.counter('process_timeouts_total', 'Commands killed for running past their timeout', ['command']);
+
+processEvents.on('timeout', ({ label }) => {
+  processTimeouts.inc({ command: label });
+  logger.warn('Command timed out', { command: label });
+});
+
 // Middleware
 app.use(cors());
+
+// Every request gets an id: the caller's X-Request-Id when it looks sane,
+// else a new one. It is echoed back and added to everything logged through
+// req.log, including the jobs the request queues.
+app.use((req, res, next) => {
+  const given = req.headers['x-request-id'];
+  req.id = typeof given === 'string' && /^[\w.:-]{1,128}$/.test(given) ? given : uuidv4();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+
+    // Probes and scrapes would drown out everything else
+    const urlPath = req.originalUrl.split('?')[0];
+    const level = urlPath === '/health' || urlPath === '/metrics' ? 'debug' : 'info';
+    req.log[level]('Request finished', {
+      method: req.method,
+      path: urlPath,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  next();
+});
+
 app.use(express.json({ limit: '10mb' }));
 
-// Rate limiting - 10 builds per 10 minutes per IP
-const buildLimiter = rateLimit({
+// Ledger sandboxes start a JVM - 10 sessions per 10 minutes per IP
+const ledgerLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many ledger sessions. Please try again in 10 minutes.' }
+});
+
+// Manual template cache refreshes run dpm, so keep them rare
+const refreshLimiter = rateLimit({
   windowMs: 10 * 60 * 1000,
+  max: 5,
+  message: { error: 'Too many refresh requests. Please try again in 10 minutes.' }
+});
+
+// Template previews are free, but a dpm template that is not cached yet
+// runs `dpm new`
+const previewLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: { error: 'Too many template previews. Please try again in a minute.' }
+});
+
+// Sharing creates files on disk, so keep it to a handful per minute
+const shareLimiter = rateLimit({
+  windowMs: 60 * 1000,
   max: 10,
-  message: { error: 'Too many build requests. Please try again in 10 minutes.' }
+  message: { error: 'Too many share requests. Please try again in a minute.' }
+});
+
+// API keys and quotas. Keys are optional unless API_KEYS_REQUIRED is set;
+// callers without one share quotas per IP. Quotas of 0 are unlimited.
+const quotaFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+const access = createAccessControl({
+  filePath: process.env.ACCESS_DATA_FILE || path.join(__dirname, 'data', 'access.json'),
+  windowMs: (parseFloat(process.env.QUOTA_WINDOW_MINUTES) || 60) * 60 * 1000,
+  requireKey: process.env.API_KEYS_REQUIRED === 'true',
+  keyQuotas: {
+    build: quotaFromEnv('QUOTA_BUILDS', 100),
+    test: quotaFromEnv('QUOTA_TESTS', 100),
+    template: quotaFromEnv('QUOTA_TEMPLATES', 50)
+  },
+  anonymousQuotas: {
+    build: quotaFromEnv('ANONYMOUS_QUOTA_BUILDS', 20),
+    test: quotaFromEnv('ANONYMOUS_QUOTA_TESTS', 20),
+    template: quotaFromEnv('ANONYMOUS_QUOTA_TEMPLATES', 20)
+  }
+});
+
+// Requests addressed by an unguessable id need no key, so EventSource
+// streams and download links (which cannot send headers) keep working
+const OPEN_API_ROUTES = [
+  /^\/jobs\/[^/]+(\/events)?$/,
+  /^\/artifacts\/[^/]+(\/download)?$/,
+  /^\/share\/[^/]+$/
+];
+
+// Helper: Token from an "Authorization: Bearer <token>" header
+function bearerToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Helper: The API key sent with a request (X-API-Key or bearer), if any
+function apiKeyOf(req) {
+  return req.headers['x-api-key'] || bearerToken(req);
+}
+
+// Work out who is calling every /api request (admin routes check the
+// admin token instead)
+app.use('/api', async (req, res, next) => {
+  if (req.path.startsWith('/admin/')) return next();
+  if (req.method === 'GET' && OPEN_API_ROUTES.some(route => route.test(req.path))) return next();
+
+  try {
+    req.caller = await access.identify(apiKeyOf(req), req.ip);
+    next();
+  } catch (error) {
+    if (!(error instanceof AccessError)) req.log.error('Access check failed', { error });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
 });
 
+// Count a request against the caller's quota for action, answering 429
+// with the quota (remaining and reset time) once it is used up. Routes call
+// this after validating the request, so rejected requests cost nothing.
+// Returns true when the request may go ahead.
+function chargeQuota(req, res, action) {
+  const usage = access.consume(req.caller, action);
+  const { allowed, ...details } = usage;
+
+  if (details.limit) {
+    res.set({
+      'X-Quota-Limit': String(details.limit),
+      'X-Quota-Remaining': String(details.remaining),
+      'X-Quota-Reset': details.resetAt
+    });
+  }
+
+  if (!allowed) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(details.resetAt) - Date.now()) / 1000))));
+    res.status(429).json({
+      success: false,
+      error: `${action[0].toUpperCase()}${action.slice(1)} quota used up (${details.limit} per window). ` +
+        `It resets at ${details.resetAt}.`,
+      quota: details
+    });
+    return false;
+  }
+  return true;
+}
+
+// Admin endpoints need ADMIN_TOKEN as a bearer token; without one set
+// they are disabled
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(404).json({ success: false, error: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)' });
+  }
+
+  const given = Buffer.from(bearerToken(req) || '');
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    return res.status(403).json({ success: false, error: 'Admin token required' });
+  }
+  next();
+}
+
 // Temp directory for user projects
 const TEMP_DIR = path.join(__dirname, 'temp');
 
+// On-disk cache of dpm templates
+const CACHE_DIR = process.env.TEMPLATE_CACHE_DIR || path.join(__dirname, 'cache', 'templates');
+
 // Ensure temp directory exists
-fs.mkdir(TEMP_DIR, { recursive: true }).catch(console.error);
+fs.mkdir(TEMP_DIR, { recursive: true }).catch(error => logger.error('Could not create temp directory', { error }));
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Canton IDE Backend is running' });
+// Persistent per-session workspaces, kept until idle
+const WORKSPACES_DIR = path.join(TEMP_DIR, 'workspaces');
+const workspaces = createWorkspaceManager({
+  rootDir: WORKSPACES_DIR,
+  idleTimeout: (parseFloat(process.env.WORKSPACE_IDLE_MINUTES) || 60) * 60 * 1000
 });
 
-// Execute command with timeout
-function execWithTimeout(command, options, timeout = 60000) {
-  return new Promise((resolve, reject) => {
-    const child = exec(command, options, (error, stdout, stderr) => {
-      if (error) {
-        reject({ error, stdout, stderr });
-      } else {
-        resolve({ stdout, stderr });
-      }
-    });
+// Built DARs, downloadable by artifact id
+const ARTIFACTS_DIR = path.join(TEMP_DIR, 'artifacts');
+const artifacts = createArtifactStore({
+  rootDir: ARTIFACTS_DIR,
+  ttl: (parseFloat(process.env.ARTIFACT_TTL_HOURS) || 24) * 60 * 60 * 1000
+});
+
+// Shared projects, kept outside TEMP_DIR so the hourly cleanup leaves them
+// alone. A TTL of 0 keeps shares forever.
+const shares = createShareStore({
+  rootDir: process.env.SHARE_DIR || path.join(__dirname, 'data', 'shares'),
+  ttl: (parseFloat(process.env.SHARE_TTL_DAYS) || 0) * 24 * 60 * 60 * 1000,
+  maxShares: parseInt(process.env.MAX_SHARES, 10) || 10000,
+  maxTotalBytes: (parseFloat(process.env.MAX_SHARE_STORAGE_MB) || 500) * 1024 * 1024
+});
+
+// Templates bundled in ./templates, plus any extra directories listed in
+// TEMPLATE_DIRS (separated like PATH) for team templates
+const templateCatalog = createTemplateCatalog({
+  cacheDir: CACHE_DIR,
+  workDir: TEMP_DIR,
+  ttl: (parseFloat(process.env.TEMPLATE_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  templateDirs: [
+    path.join(__dirname, 'templates'),
+    ...(process.env.TEMPLATE_DIRS || '').split(path.delimiter).filter(Boolean)
+  ]
+});
+
+// How dpm runs for anything that handles user code (see lib/executor.js):
+// as EXEC_UID, without network unless EXEC_NETWORK=host, and with CPU,
+// memory and output limits (0 is unlimited)
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+const executor = createExecutor({
+  rootDir: TEMP_DIR,
+  uid: process.env.EXEC_UID ? parseInt(process.env.EXEC_UID, 10) : null,
+  gid: process.env.EXEC_UID ? parseInt(process.env.EXEC_GID || process.env.EXEC_UID, 10) : null,
+  network: process.env.EXEC_NETWORK === 'host',
+  ...(process.env.EXEC_DPM_HOME ? { dpmHome: process.env.EXEC_DPM_HOME } : {}),
+  cpuSeconds: numberFromEnv('EXEC_CPU_SECONDS', 300),
+  memoryBytes: numberFromEnv('EXEC_MEMORY_MB', 4096) * 1024 * 1024,
+  maxOutputBytes: numberFromEnv('EXEC_MAX_OUTPUT_KB', 1024) * 1024
+});
+
+// Local sandbox ledgers, one per Ledger panel session, each in its own
+// directory under LEDGERS_DIR
+const LEDGERS_DIR = path.join(TEMP_DIR, 'ledgers');
+const ledger = createLedgerManager({
+  executor,
+  workDir: LEDGERS_DIR,
+  maxSessions: parseInt(process.env.MAX_LEDGER_SESSIONS, 10) || 2,
+  idleTimeout: (parseFloat(process.env.LEDGER_IDLE_MINUTES) || 15) * 60 * 1000
+});
+
+// JS/TS and Java bindings for built DARs
+const codeGenerator = createCodeGenerator({
+  executor,
+  workDir: TEMP_DIR,
+  timeout: 120000,
+  maxFiles: parseInt(process.env.MAX_CODEGEN_FILES, 10) || 2000,
+  maxTotalBytes: (parseFloat(process.env.MAX_CODEGEN_MB) || 20) * 1024 * 1024
+});
+
+// Daml language servers, one per connected editor, run by the executor
+const languageServers = createLanguageServerManager({
+  maxServers: parseInt(process.env.MAX_LANGUAGE_SERVERS, 10) || 4,
+  executor,
+  onActivity: (workspaceId) => workspaces.touch(workspaceId)
+    .catch(error => logger.error('Could not touch workspace', { workspaceId, error }))
+});
+
+// Installed Daml SDK versions, re-read from dpm every few minutes
+const sdkVersions = createSdkVersionCatalog({ ttl: 5 * 60 * 1000 });
+
+// Build/test jobs - caps how many dpm processes run in parallel
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2
+});
+
+// Commands every build needs, checked by running them. "sandbox" runs dpm
+// the way user builds do (see lib/executor.js). Results are kept for a
+// minute so health probes do not start a JVM each time.
+const TOOL_CHECKS = {
+  dpm: () => checkTool('dpm', ['version']),
+  java: () => checkTool('java', ['-version']),
+  sandbox: () => executor.check()
+};
+const TOOL_CHECK_TTL = 60 * 1000;
+let toolCheck = null;
+
+async function checkTool(command, args) {
+  try {
+    const { stdout, stderr } = await spawnWithTimeout(command, args, {}, 15000);
+    // java -version prints to stderr
+    const version = `${stdout}\n${stderr}`.split('\n').map(line => line.trim()).find(Boolean) || null;
+    return { usable: true, version };
+  } catch (error) {
+    const reason = error.error?.code === 'ENOENT' ? 'not installed'
+      : typeof error.error === 'string' ? error.error
+        : `exited with code ${error.error?.code}`;
+    return { usable: false, error: `${command} ${args.join(' ')}: ${reason}` };
+  }
+}
+
+function checkTools() {
+  if (!toolCheck || Date.now() - toolCheck.checkedAt > TOOL_CHECK_TTL) {
+    toolCheck = {
+      checkedAt: Date.now(),
+      tools: Promise.all(Object.entries(TOOL_CHECKS).map(async ([name, check]) => [name, await check()]))
+        .then(Object.fromEntries)
+    };
+  }
+  return toolCheck.tools;
+}
+
+// Health check. The server answers 200 either way; status is "degraded"
+// when dpm, Java or the build sandbox cannot be run (including when builds
+// cannot be isolated), since nothing can be built then.
+app.get('/health', async (req, res) => {
+  const tools = await checkTools();
+  const usable = Object.values(tools).every(tool => tool.usable);
+
+  res.json({
+    status: usable ? 'ok' : 'degraded',
+    message: usable ? 'Canton IDE Backend is running' : 'Canton IDE Backend is running, but cannot build projects',
+    tools,
+    execution: executor.settings(),
+    queue: jobQueue.stats(),
+    languageServers: languageServers.stats()
+  });
+});
+
+// Helper: Total size of the files under dir (0 if it does not exist)
+async function dirSize(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return 0;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await dirSize(entryPath);
+    } else if (entry.isFile()) {
+      total += await fs.stat(entryPath).then(stats => stats.size, () => 0);
+    }
+  }
+  return total;
+}
+
+// Walking the workspaces is not free, so the size is measured at most
+// once a minute
+let tempDirUsage = { bytes: 0, measuredAt: 0 };
+
+metrics.gauge('temp_dir_bytes', 'Disk space used under the temp directory (projects, workspaces, artifacts)', [], async (gauge) => {
+  if (Date.now() - tempDirUsage.measuredAt > 60 * 1000) {
+    tempDirUsage = { bytes: await dirSize(TEMP_DIR), measuredAt: Date.now() };
+  }
+  gauge.set({}, tempDirUsage.bytes);
+});
 
-    // Timeout handler
-    const timeoutId = setTimeout(() => {
-      child.kill();
-      reject({ error: 'Command timeout', stdout: '', stderr: 'Execution exceeded 60 seconds' });
-    }, timeout);
+metrics.gauge('child_processes', 'Child processes currently running', ['kind'], (gauge) => {
+  gauge.set({ kind: 'command' }, activeProcesses());
+  gauge.set({ kind: 'ledger' }, ledger.stats().running);
+  gauge.set({ kind: 'language_server' }, languageServers.stats().running);
+});
 
-    child.on('exit', () => clearTimeout(timeoutId));
+metrics.gauge('jobs', 'Jobs waiting for or holding a slot', ['status'], (gauge) => {
+  const { running, queued } = jobQueue.stats();
+  gauge.set({ status: 'running' }, running);
+  gauge.set({ status: 'queued' }, queued);
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(await metrics.render());
+});
+
+// Helper: Guess which dpm phase a line of output belongs to
+function detectPhase(line) {
+  if (/^Compiling\b/i.test(line.trim())) return 'compiling';
+  if (/^Created .*\.dar/i.test(line.trim())) return 'packaging';
+  if (/Test Summary/i.test(line) || /^Running (script|test)/i.test(line.trim())) return 'running-scripts';
+  return null;
+}
+
+// Helper: Open a Server-Sent Events stream on the response
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
   });
+  res.flushHeaders();
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 }
 
-// ========== NEW: DPM TEMPLATE ENDPOINTS ==========
+// Daml SDK versions a project's sdk-version can be set to
+app.get('/api/sdk/versions', async (req, res) => {
+  res.json({ success: true, ...await sdkVersions.list() });
+});
+
+// File rules applied to every project, so the frontend can check imports
+// before sending them
+app.get('/api/project/rules', (req, res) => {
+  res.json({
+    success: true,
+    rules: {
+      ...PROJECT_LIMITS,
+      requiredDamlYamlFields: REQUIRED_DAML_YAML_FIELDS
+    }
+  });
+});
 
-// List available DPM templates dynamically
+// ========== API KEYS AND QUOTAS ==========
+
+// The caller's quotas: limit, used, remaining and reset time per action
+app.get('/api/quota', (req, res) => {
+  res.json({
+    success: true,
+    caller: { name: req.caller.name, anonymous: req.caller.anonymous },
+    quotas: access.usage(req.caller)
+  });
+});
+
+app.use('/api/admin', requireAdmin);
+
+// Issued keys (never the keys themselves) with their current usage
+app.get('/api/admin/keys', async (req, res) => {
+  res.json({ success: true, keys: await access.listKeys() });
+});
+
+// Issue a key: { name, quotas?: { build, test, template } }. The key is
+// only ever returned here.
+app.post('/api/admin/keys', async (req, res) => {
+  try {
+    const key = await access.issueKey(req.body || {});
+    req.log.info('Issued API key', { keyId: key.id, keyName: key.name });
+    res.status(201).json({ success: true, ...key });
+  } catch (error) {
+    if (!(error instanceof AccessError)) req.log.error('API key change failed', { error });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/keys/:id', async (req, res) => {
+  try {
+    const key = await access.revokeKey(req.params.id);
+    req.log.info('Revoked API key', { keyId: key.id, keyName: key.name });
+    res.json({ success: true, key });
+  } catch (error) {
+    if (!(error instanceof AccessError)) req.log.error('API key change failed', { error });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ========== END API KEYS AND QUOTAS ==========
+
+// ========== TEMPLATE ENDPOINTS ==========
+
+// List available templates: disk templates and dpm ones (see lib/templateCatalog.js)
 app.get('/api/templates/list', async (req, res) => {
-  console.log('Listing available DPM templates...');
-  
+  const { templates, fetchedAt, cached, warning } = await templateCatalog.list();
+
+  req.log.debug('Listed templates', { count: templates.length, cached });
+
+  res.json({
+    success: true,
+    templates,
+    fetchedAt,
+    cached,
+    ...(warning ? { warning } : {})
+  });
+});
+
+// Drop the template cache and ask dpm again
+app.post('/api/templates/refresh', refreshLimiter, async (req, res) => {
+  req.log.info('Refreshing dpm template cache');
+
+  const { templates, fetchedAt, warning } = await templateCatalog.refresh();
+
+  res.json({
+    success: true,
+    templates,
+    fetchedAt,
+    cached: false,
+    ...(warning ? { warning } : {})
+  });
+});
+
+// A template's files for the gallery preview. Nothing is created, so no
+// quota is charged; `dpm new` only runs when the files are not cached yet.
+app.get('/api/templates/:name/preview', previewLimiter, async (req, res) => {
+  const { name } = req.params;
+  if (!(await templateCatalog.isKnownTemplate(name))) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
   try {
-    // Run dpm new --list
-    const { stdout } = await execWithTimeout('dpm new --list', {}, 30000);
-    
-    console.log('DPM output:', stdout);
-    
-    // Parse template names from output
-    const templates = [];
-    const lines = stdout.split('\n');
-    let inTemplateList = false;
-    
-    for (const line of lines) {
-      // Check for header line
-      if (line.includes('following templates are available') || 
-          line.includes('Available templates:') || 
-          line.includes('available templates:')) {
-        inTemplateList = true;
-        continue;
-      }
-      
-      // Skip empty lines
-      if (!line.trim()) {
-        continue;
-      }
-      
-      // If we're in the template list and line is indented (starts with spaces)
-      if (inTemplateList && line.startsWith('  ') && line.trim().length > 0) {
-        const templateName = line.trim();
-        if (templateName && !templateName.includes(':')) {
-          templates.push({
-            id: templateName,
-            name: formatTemplateName(templateName),
-            description: getTemplateDescription(templateName),
-            source: 'dpm'
-          });
-        }
-      }
-      
-      // Also handle dash-prefixed format (some versions might use this)
-      if (inTemplateList && line.trim().startsWith('-')) {
-        const templateName = line.trim().substring(1).trim();
-        if (templateName) {
-          templates.push({
-            id: templateName,
-            name: formatTemplateName(templateName),
-            description: getTemplateDescription(templateName),
-            source: 'dpm'
-          });
-        }
-      }
-    }
-    
-    console.log('Parsed templates:', templates.map(t => t.id));
-    
-    // Always include empty template first
-    templates.unshift({
-      id: 'empty',
-      name: 'Empty Template',
-      description: 'Start from scratch with an empty project',
-      source: 'built-in'
-    });
-    
-    // Include existing hardcoded token-basic template
-    templates.push({
-      id: 'token-basic',
-      name: 'Basic Token',
-      description: 'Simple fungible token with transfer functionality',
-      source: 'built-in'
-    });
-    
-    console.log('Found templates:', templates.map(t => t.id));
-    
-    res.json({
-      success: true,
-      templates
-    });
-    
+    const { files, skipped, cached } = await templateCatalog.getFiles(name);
+    res.json({ success: true, files, skipped, template: name, cached });
   } catch (error) {
-    console.error('Error listing DPM templates:', error);
-    
-    // Fallback to built-in templates
-    res.json({
-      success: true,
-      templates: [
-        {
-          id: 'empty',
-          name: 'Empty Template',
-          description: 'Start from scratch with an empty project',
-          source: 'built-in'
-        },
-        {
-          id: 'token-basic',
-          name: 'Basic Token',
-          description: 'Simple fungible token with transfer functionality',
-          source: 'built-in'
-        }
-      ],
-      warning: 'DPM templates unavailable'
-    });
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    req.log.error('Could not preview template', { template: name, error });
+    res.status(500).json({ success: false, error: error.stderr || error.error?.message || error.message || 'Template preview failed' });
   }
 });
 
-// Create project from DPM template
+// Files for a new project from any template in the list
 app.post('/api/templates/create', async (req, res) => {
   const { template } = req.body;
   const sessionId = uuidv4();
-  const projectDir = path.join(TEMP_DIR, sessionId);
-  
-  console.log(`[${sessionId}] Creating from template: ${template}`);
-  
+
+  // Only ids from the catalogue ever reach dpm or the file system
+  if (!(await templateCatalog.isKnownTemplate(template))) {
+    templatesTotal.inc({ template: 'unknown', outcome: 'rejected' });
+    return res.status(400).json({
+      success: false,
+      error: `Unknown template: ${typeof template === 'string' ? template : typeof template}`,
+      sessionId
+    });
+  }
+
+  if (!chargeQuota(req, res, 'template')) return;
+
   try {
-    // DON'T create the directory - dpm new creates it!
-    // Just ensure parent TEMP_DIR exists (already done at startup)
-    
-    // Run dpm new with template
-    console.log(`[${sessionId}] Running: dpm new ${projectDir} --template ${template}`);
-    
-    const { stdout, stderr } = await execWithTimeout(
-      `dpm new ${projectDir} --template ${template}`,
-      {},
-      60000
-    );
-    
-    console.log(`[${sessionId}] Template created stdout:`, stdout);
-    if (stderr) console.log(`[${sessionId}] Template created stderr:`, stderr);
-    
-    // Read all files from generated project
-    const files = await readProjectFiles(projectDir);
-    
-    console.log(`[${sessionId}] Read ${Object.keys(files).length} files:`, Object.keys(files));
-    
-    // Cleanup
-    await fs.rm(projectDir, { recursive: true, force: true });
-    
+    const { files, skipped, cached } = await templateCatalog.getFiles(template);
+
+    templatesTotal.inc({ template, outcome: 'success' });
+    req.log.info('Created project from template', { template, cached, files: Object.keys(files).length });
+
     res.json({
       success: true,
       files,
+      skipped,
       sessionId,
-      template
+      template,
+      cached
     });
-    
+
   } catch (error) {
-    console.error(`[${sessionId}] Error creating template:`, error);
-    console.error(`[${sessionId}] Error type:`, typeof error);
-    console.error(`[${sessionId}] Error keys:`, Object.keys(error));
-    console.error(`[${sessionId}] Error message:`, error.message);
-    console.error(`[${sessionId}] Error stack:`, error.stack);
-    console.error(`[${sessionId}] Error stdout:`, error.stdout);
-    console.error(`[${sessionId}] Error stderr:`, error.stderr);
-    console.error(`[${sessionId}] Error error:`, error.error);
-    
-    // Cleanup on error
-    try {
-      await fs.rm(projectDir, { recursive: true, force: true });
-    } catch (cleanupErr) {
-      console.error('Cleanup error:', cleanupErr);
+    if (error instanceof TemplateError) {
+      templatesTotal.inc({ template, outcome: 'rejected' });
+      req.log.warn('Template cannot be used', { template, error: error.message });
+      return res.status(error.status).json({ success: false, error: error.message, sessionId });
     }
-    
-    // Build detailed error message
-    let errorMessage = 'Template creation failed';
-    
-    if (error.stderr) {
-      errorMessage = error.stderr;
-    } else if (error.stdout) {
-      errorMessage = error.stdout;
-    } else if (error.message) {
-      errorMessage = error.message;
-    } else if (error.error && error.error.message) {
-      errorMessage = error.error.message;
-    } else if (error.error) {
-      errorMessage = String(error.error);
-    }
-    
+
+    templatesTotal.inc({ template, outcome: 'failure' });
+    req.log.error('Could not create project from template', { template, error });
+
+    // spawnWithTimeout rejects with { error, stdout, stderr }
+    const errorMessage = error.stderr || error.stdout || error.error?.message ||
+      error.message || 'Template creation failed';
+
     res.status(500).json({
       success: false,
       error: errorMessage,
       details: {
-        message: error.message,
+        message: error.error?.message || error.message,
         stderr: error.stderr,
         stdout: error.stdout,
-        code: error.code,
-        errorType: typeof error
+        code: error.error?.code
       },
       sessionId
     });
   }
 });
 
-// Helper: Read all files from project directory
-async function readProjectFiles(dir, prefix = '') {
-  const files = {};
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
-    
-    // Skip hidden files and directories
-    if (entry.name.startsWith('.')) continue;
-    
-    if (entry.isDirectory()) {
-      const subFiles = await readProjectFiles(fullPath, relativePath);
-      Object.assign(files, subFiles);
-    } else {
-      try {
-        const content = await fs.readFile(fullPath, 'utf-8');
-        files[relativePath] = content;
-      } catch (error) {
-        console.error(`Error reading ${relativePath}:`, error);
-      }
-    }
+// ========== END TEMPLATE ENDPOINTS ==========
+
+// Build or test a DAML project inside a queued job. With a workspace id
+// the persistent workspace is synced and reused; otherwise a throwaway
+// directory is created and removed afterwards.
+async function runProject(job, files, options) {
+  const { workspaceId, log } = options;
+  const run = options.packages ? runPackages : runDpm;
+
+  if (workspaceId) {
+    return workspaces.withWorkspace(workspaceId, (projectDir) =>
+      run(job, projectDir, files, options, async () => {
+        const sync = await syncProject(projectDir, files);
+        log.debug('Synced workspace', {
+          workspaceId,
+          written: sync.written.length,
+          deleted: sync.deleted.length,
+          unchanged: sync.unchanged
+        });
+        return { workspaceId, sync };
+      })
+    );
   }
-  
-  return files;
-}
 
-// Helper: Format template name
-function formatTemplateName(templateId) {
-  return templateId
-    .split('-')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
+  const projectDir = path.join(TEMP_DIR, job.id);
+  try {
+    return await run(job, projectDir, files, options, async () => {
+      await materializeProject(projectDir, files);
+      return {};
+    });
+  } finally {
+    // Clean up
+    try {
+      await fs.rm(projectDir, { recursive: true, force: true });
+    } catch (cleanupErr) {
+      log.error('Could not remove project directory', { error: cleanupErr });
+    }
+  }
 }
 
-// Helper: Get template description
-function getTemplateDescription(templateId) {
-  const descriptions = {
-    // Tutorial templates
-    'daml-intro-choices': 'Introduction to DAML - Choices',
-    'daml-intro-compose': 'Introduction to DAML - Composing Choices',
-    'daml-intro-constraints': 'Introduction to DAML - Constraints',
-    'daml-intro-contracts': 'Introduction to DAML - Basic Contracts',
-    'daml-intro-daml-scripts': 'Introduction to DAML - Scripts',
-    'daml-intro-data': 'Introduction to DAML - Data Types',
-    'daml-intro-exceptions': 'Introduction to DAML - Exception Handling',
-    'daml-intro-functional-101': 'Introduction to DAML - Functional Programming 101',
-    'daml-intro-parties': 'Introduction to DAML - Parties and Authority',
-    'daml-intro-test': 'Introduction to DAML - Testing',
-    
-    // Pattern templates
-    'daml-patterns': 'Common DAML design patterns',
-    
-    // Basic templates
-    'empty-skeleton': 'Empty project with minimal structure',
-    'skeleton': 'Basic DAML project structure',
-    
-    // Finance templates
-    'finance-lifecycling': 'Financial instrument lifecycling patterns',
-    'finance-payoff-modeling': 'Financial payoff modeling examples',
-    'finance-settlement': 'Settlement workflow patterns',
-    'finance-upgrades': 'Upgrading financial contracts',
-    'quickstart-finance': 'Financial contract quickstart',
-    
-    // Other templates
-    'quickstart-java': 'Java integration quickstart',
-    'multi-package-example': 'Multi-package project example',
-    'script-example': 'DAML script examples',
-    'upgrades-example': 'Contract upgrade examples',
-  };
-  
-  return descriptions[templateId] || `${formatTemplateName(templateId)} template`;
-}
+// Executor failures that mean the run hit one of its limits
+const LIMIT_ERRORS = {
+  'Memory limit exceeded': 'memory',
+  'CPU time limit exceeded': 'cpu'
+};
 
-// ========== END NEW ENDPOINTS ==========
+// Write the project with prepare(), then run dpm in projectDir
+async function runDpm(job, projectDir, files, { label, args, timeout, summarize, collect, afterSuccess, log }, prepare) {
+  const sessionId = job.id;
+  const startedAt = Date.now();
+  let extra = {};
 
-// Build DAML project
-app.post('/api/build', buildLimiter, async (req, res) => {
-  const sessionId = uuidv4();
-  const projectDir = path.join(TEMP_DIR, sessionId);
+  // Details derived from the output, shared by success and failure results
+  const analyze = (stdout = '', stderr = '') => {
+    const output = `${stdout}\n${stderr}`;
+    const diagnostics = parseDiagnostics(output, projectDir);
+    return {
+      diagnostics,
+      durationMs: Date.now() - startedAt,
+      ...(summarize ? summarize(output, diagnostics, files) : {}),
+      ...extra
+    };
+  };
 
   try {
-    const { files, template } = req.body;
-
-    if (!files || !files['daml.yaml']) {
-      return res.status(400).json({ 
-        error: 'Missing required files. daml.yaml is required.' 
-      });
-    }
+    job.setPhase('preparing');
 
-    // Create project directory
-    await fs.mkdir(projectDir, { recursive: true });
+    // Write files to disk, confined to the project directory
+    extra = await prepare();
     await fs.mkdir(path.join(projectDir, 'daml'), { recursive: true });
 
-    // Write files to disk
-    for (const [filename, content] of Object.entries(files)) {
-      const filePath = path.join(projectDir, filename);
-      await fs.writeFile(filePath, content, 'utf8');
-    }
+    log.info('Running dpm', { args });
 
-    console.log(`[${sessionId}] Building project...`);
+    const { stdout, stderr, truncated } = await executor.run(args, {
+      cwd: projectDir,
+      timeout,
+      onLine: (stream, line) => {
+        job.setPhase(detectPhase(line));
+        job.emit('output', { stream, line });
+      }
+    });
 
-    // Execute dpm build
-    const { stdout, stderr } = await execWithTimeout(
-      'dpm build',
-      { cwd: projectDir },
-      60000
-    );
+    log.info('dpm finished', { args, durationMs: Date.now() - startedAt });
 
-    console.log(`[${sessionId}] Build completed`);
+    if (collect) {
+      extra = { ...extra, ...await collect(projectDir) };
+    }
 
-    // Clean up
-    await fs.rm(projectDir, { recursive: true, force: true });
+    // Collect anything that has to be taken out of projectDir before cleanup
+    if (afterSuccess) {
+      extra = { ...extra, ...await afterSuccess(projectDir, files) };
+    }
 
-    res.json({
+    return {
       success: true,
       output: stdout,
       errors: stderr,
+      ...(truncated ? { outputTruncated: true } : {}),
+      // Warnings can be reported on successful builds too
+      ...analyze(stdout, stderr),
       sessionId
-    });
+    };
 
   } catch (err) {
-    console.error(`[${sessionId}] Build error:`, err);
+    log.warn('dpm failed', { args, durationMs: Date.now() - startedAt, error: err });
 
-    // Clean up on error
-    try {
-      await fs.rm(projectDir, { recursive: true, force: true });
-    } catch (cleanupErr) {
-      console.error('Cleanup error:', cleanupErr);
+    // Failed runs (e.g. a failing test) can still leave useful output behind
+    if (collect) {
+      try {
+        extra = { ...extra, ...await collect(projectDir) };
+      } catch (collectErr) {
+        log.error('Could not collect output', { args, error: collectErr });
+      }
     }
 
-    res.status(500).json({
+    return {
       success: false,
-      error: err.error?.message || 'Build failed',
+      error: err.error?.message || (typeof err.error === 'string' ? err.error : null) || err.message || `${label} failed`,
       output: err.stdout || '',
-      errors: err.stderr || err.error || 'Unknown error occurred',
+      errors: err.stderr || err.error?.message || err.error || err.message || 'Unknown error occurred',
+      ...(err.error === 'Command timeout' ? { timedOut: true } : {}),
+      ...(LIMIT_ERRORS[err.error] ? { limitExceeded: LIMIT_ERRORS[err.error] } : {}),
+      ...(err.truncated ? { outputTruncated: true } : {}),
+      ...analyze(err.stdout, err.stderr),
       sessionId
-    });
+    };
   }
-});
+}
 
-// Test DAML project
-app.post('/api/test', buildLimiter, async (req, res) => {
-  const sessionId = uuidv4();
-  const projectDir = path.join(TEMP_DIR, sessionId);
+// Build or test a multi-package project one package at a time, in
+// dependency order (see lib/packages.js). Each step is an ordinary runDpm
+// in the package directory; when a package does not build, the packages
+// that depend on it are skipped. Failing tests skip nothing.
+async function runPackages(job, projectDir, files, options, prepare) {
+  const { label, action, packages, target, log } = options;
+  const sessionId = job.id;
+  const startedAt = Date.now();
+  let extra = {};
 
   try {
-    const { files } = req.body;
+    job.setPhase('preparing');
+    extra = await prepare();
+  } catch (err) {
+    log.error('Could not prepare project', { error: err });
+    return {
+      success: false,
+      error: err.message || `${label} failed`,
+      output: '',
+      errors: err.message || 'Unknown error occurred',
+      diagnostics: [],
+      durationMs: Date.now() - startedAt,
+      sessionId
+    };
+  }
+
+  const results = new Map();
+  // Packages without a usable DAR: build failed or skipped
+  const broken = new Set();
+  let timedOut = false;
+  let limitExceeded = null;
+  const nameOf = (packagePath) => packages.find(p => p.path === packagePath).name;
 
-    if (!files || !files['daml.yaml']) {
-      return res.status(400).json({ 
-        error: 'Missing required files. daml.yaml is required.' 
+  for (const step of planPackageRun(packages, target === undefined ? null : target, action)) {
+    const pkg = step.package;
+    if (!results.has(pkg.path)) {
+      results.set(pkg.path, {
+        name: pkg.name,
+        path: pkg.path,
+        dependencies: pkg.dependencies,
+        status: 'success',
+        durationMs: 0,
+        diagnostics: [],
+        output: '',
+        errors: ''
       });
     }
+    const result = results.get(pkg.path);
+    if (broken.has(pkg.path)) continue;
 
-    // Create project directory
-    await fs.mkdir(projectDir, { recursive: true });
-    await fs.mkdir(path.join(projectDir, 'daml'), { recursive: true });
-
-    // Write files to disk
-    for (const [filename, content] of Object.entries(files)) {
-      const filePath = path.join(projectDir, filename);
-      await fs.writeFile(filePath, content, 'utf8');
+    const blockedBy = pkg.dependencies.filter(dep => broken.has(dep));
+    if (blockedBy.length > 0) {
+      broken.add(pkg.path);
+      result.status = 'skipped';
+      result.error = `Skipped because ${blockedBy.map(nameOf).join(', ')} failed`;
+      job.emit('output', { stream: 'stdout', line: `=== ${pkg.name}: skipped (${blockedBy.map(nameOf).join(', ')} failed) ===` });
+      continue;
     }
 
-    console.log(`[${sessionId}] Testing project...`);
+    const header = `=== ${pkg.name}${pkg.path ? ` (${pkg.path})` : ''}: dpm ${step.action} ===`;
+    job.emit('output', { stream: 'stdout', line: header });
 
-    // Execute dpm test
-    const { stdout, stderr } = await execWithTimeout(
-      'dpm test',
-      { cwd: projectDir },
-      90000 // Tests might take longer
+    // Paths in the step's results are relative to the package directory
+    const inProject = (file) => file && path.posix.normalize(packageFile(pkg.path, file));
+    const stepResult = await runDpm(
+      job,
+      path.join(projectDir, pkg.path),
+      packageFiles(files, pkg.path),
+      step.action === action ? options : { ...BUILD_OPTIONS, log },
+      async () => ({})
     );
 
-    console.log(`[${sessionId}] Test completed`);
+    result.durationMs += stepResult.durationMs;
+    timedOut = timedOut || Boolean(stepResult.timedOut);
+    limitExceeded = limitExceeded || stepResult.limitExceeded || null;
+    result.output += `${header}\n${stepResult.output}`;
+    result.errors += stepResult.errors || '';
+    result.diagnostics.push(...stepResult.diagnostics.map(d => ({ ...d, file: inProject(d.file) })));
 
-    // Clean up
-    await fs.rm(projectDir, { recursive: true, force: true });
+    if (stepResult.artifact) {
+      result.artifact = stepResult.artifact;
+      result.package = stepResult.package;
+    }
+    if (stepResult.tests) {
+      result.tests = stepResult.tests.map(t => ({ ...t, file: inProject(t.file), package: pkg.name }));
+      result.summary = stepResult.summary;
+    }
+    if (stepResult.traces) {
+      result.traces = stepResult.traces.map(t => ({ ...t, file: inProject(t.file) }));
+    }
+    if (!stepResult.success) {
+      if (step.action === 'build') broken.add(pkg.path);
+      result.status = 'failed';
+      result.error = stepResult.error;
+    }
+  }
 
-    res.json({
-      success: true,
-      output: stdout,
-      errors: stderr,
-      sessionId
+  const packageResults = [...results.values()];
+  const notOk = packageResults.filter(r => r.status !== 'success');
+  const success = notOk.length === 0;
+
+  // The Package and Ledger panels show one DAR: the requested package's,
+  // else the last one built (nothing else depends on it)
+  const built = packageResults.filter(r => r.artifact);
+  const main = built.find(r => r.path === target) || built[built.length - 1];
+
+  const tests = packageResults.flatMap(r => r.tests || []);
+  const passed = tests.filter(t => t.status === 'passed').length;
+
+  return {
+    success,
+    ...(success ? {} : { error: `${label} failed for ${notOk.map(r => r.name).join(', ')}` }),
+    ...(timedOut ? { timedOut } : {}),
+    ...(limitExceeded ? { limitExceeded } : {}),
+    output: packageResults.map(r => r.output).filter(Boolean).join('\n'),
+    errors: packageResults.map(r => r.errors).filter(Boolean).join('\n'),
+    diagnostics: packageResults.flatMap(r => r.diagnostics),
+    durationMs: Date.now() - startedAt,
+    packages: packageResults.map(({ tests, traces, ...rest }) => rest),
+    ...(action === 'test' ? {
+      tests,
+      summary: { total: tests.length, passed, failed: tests.length - passed },
+      traces: packageResults.flatMap(r => r.traces || [])
+    } : {}),
+    ...(action === 'build' && main ? { artifact: main.artifact, package: main.package } : {}),
+    ...extra,
+    sessionId
+  };
+}
+
+// Helper: Validate a files map, answering 400 with every rejected file.
+// Returns true when the files can be written.
+function checkProjectFiles(files, res) {
+  try {
+    validateProjectFiles(files);
+    return true;
+  } catch (error) {
+    if (!(error instanceof ProjectValidationError)) throw error;
+
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      rejected: error.rejected
     });
+    return false;
+  }
+}
 
-  } catch (err) {
-    console.error(`[${sessionId}] Test error:`, err);
+// Validate the request and queue a build/test job
+async function enqueueProject(req, res, type, options) {
+  const { files, workspaceId, package: target } = req.body;
+
+  if (!checkProjectFiles(files, res)) return;
+
+  if (workspaceId !== undefined && !workspaces.isValidId(workspaceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid workspace id' });
+  }
+
+  // Multi-package projects run package by package; `package` (a package
+  // directory) picks one of them plus what it depends on
+  const multiPackage = readPackages(files);
+  if (target !== undefined && !(multiPackage && multiPackage.packages.some(p => p.path === target))) {
+    return res.status(400).json({ success: false, error: `Unknown package: ${target}` });
+  }
+
+  // dpm uses the project's sdk-version, so refuse versions it cannot run
+  const sdkProblem = await sdkVersions.checkProject(files);
+  if (sdkProblem) {
+    return res.status(400).json({ success: false, ...sdkProblem });
+  }
+
+  // Nothing runs without the isolation the executor is configured for
+  try {
+    await executor.ensureIsolated();
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+
+  // Code generation is charged as the build it starts
+  if (!chargeQuota(req, res, options.action || type)) return;
+
+  // options.followUp(job, result) continues a successful run inside the
+  // same job, e.g. to generate code from the built DAR
+  const { followUp, ...runOptions } = options;
+  const sdkVersion = projectSdkVersion(files);
+  const job = jobQueue.enqueue(type, async (job) => {
+    const log = req.log.child({ jobId: job.id, jobType: type });
+    const startedAt = Date.now();
+    let result;
 
-    // Clean up on error
     try {
-      await fs.rm(projectDir, { recursive: true, force: true });
-    } catch (cleanupErr) {
-      console.error('Cleanup error:', cleanupErr);
+      result = await runProject(job, files, {
+        ...runOptions,
+        workspaceId,
+        action: runOptions.action || type,
+        packages: multiPackage && multiPackage.packages,
+        target,
+        log
+      });
+      result = {
+        ...(followUp && result.success ? await followUp(job, result) : result),
+        sdkVersion
+      };
+      return result;
+    } finally {
+      recordJob(type, result, Date.now() - startedAt, log);
+    }
+  });
+  const { status, position, queueLength } = jobQueue.describe(job);
+
+  req.log.info('Job queued', { jobId: job.id, jobType: type, position });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status,
+    position,
+    queueLength
+  });
+}
+
+// Helper: Why a job failed, as one of a few reasons for the metrics.
+// result is undefined when the job threw.
+function failureReason(result) {
+  if (!result) return 'internal';
+  if (result.timedOut) return 'timeout';
+  if (result.limitExceeded) return `${result.limitExceeded}_limit`;
+  if (result.diagnostics && result.diagnostics.some(d => d.severity === 'error')) return 'compile_error';
+  if (result.summary && result.summary.failed > 0) return 'test_failure';
+  if (result.codegen) return 'codegen_error';
+  return 'dpm_error';
+}
+
+// Helper: Count a finished job in the metrics and log how it went
+function recordJob(type, result, durationMs, log) {
+  const success = Boolean(result && result.success);
+  jobsTotal.inc({ type, outcome: success ? 'success' : 'failure' });
+  jobDuration.observe({ type }, durationMs / 1000);
+
+  if (success) {
+    log.info('Job finished', { durationMs });
+    return;
+  }
+  const reason = failureReason(result);
+  jobFailures.inc({ type, reason });
+  log.warn('Job failed', { durationMs, reason, error: result && result.error });
+}
+
+// Helper: Keep the built DAR as an artifact and summarize its contents
+async function collectDar(projectDir, files) {
+  const darPath = await findBuiltDar(projectDir);
+  if (!darPath) return {};
+
+  const inspection = await inspectDar(darPath, files, { executor, cwd: projectDir });
+  const artifact = await artifacts.save(darPath, { package: inspection });
+
+  return {
+    artifact: {
+      id: artifact.id,
+      fileName: artifact.fileName,
+      size: artifact.size,
+      downloadUrl: `/api/artifacts/${artifact.id}/download`
+    },
+    package: inspection
+  };
+}
+
+// Transaction view written by `dpm test`, relative to the project directory
+const TRACE_FILE = path.join('.daml', 'transactions.txt');
+
+// Read (and remove, so a workspace never serves a stale one) the trace
+async function collectTraces(projectDir) {
+  const tracePath = path.join(projectDir, TRACE_FILE);
+  let text;
+
+  try {
+    text = await fs.readFile(tracePath, 'utf8');
+  } catch (error) {
+    return {};
+  }
+
+  await fs.rm(tracePath, { force: true });
+  return { traces: parseTransactionTrace(text) };
+}
+
+// How a package is built, also used for the dependencies of a package
+// under test in a multi-package project
+const BUILD_OPTIONS = {
+  label: 'Build',
+  args: ['build'],
+  timeout: 60000,
+  afterSuccess: collectDar
+};
+
+// Build DAML project (or, in a multi-package project, every package or the
+// one named by `package`)
+app.post('/api/build', (req, res) => {
+  enqueueProject(req, res, 'build', BUILD_OPTIONS);
+});
+
+// Test DAML project - all scripts, one named script or a --test-pattern filter
+app.post('/api/test', (req, res) => {
+  const { script, pattern } = req.body;
+  const args = ['test', '--transactions-output', TRACE_FILE];
+
+  if (script) {
+    if (typeof script !== 'string' || !/^[a-z_][\w']*$/.test(script)) {
+      return res.status(400).json({ success: false, error: `Invalid script name: ${script}` });
     }
+    args.push('--test-pattern', scriptPattern(script));
+  } else if (pattern) {
+    try {
+      if (typeof pattern !== 'string' || pattern.length > 200) throw new Error('too long');
+      new RegExp(pattern);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: `Invalid test pattern: ${pattern}` });
+    }
+    args.push('--test-pattern', pattern);
+  }
 
-    res.status(500).json({
+  // Tests might take longer
+  enqueueProject(req, res, 'test', {
+    label: 'Test',
+    args,
+    timeout: 90000,
+    summarize: (output, diagnostics, files) => parseTestResults(output, files, diagnostics),
+    collect: collectTraces
+  });
+});
+
+// Build the project, then generate client bindings from its DAR. In a
+// multi-package project the DAR is the one `package` names, else the last
+// one built (which the other packages feed into).
+app.post('/api/codegen', (req, res) => {
+  const languages = req.body.languages === undefined ? Object.keys(CODEGEN_LANGUAGES) : req.body.languages;
+
+  if (!Array.isArray(languages) || languages.length === 0 ||
+      !languages.every(language => Object.prototype.hasOwnProperty.call(CODEGEN_LANGUAGES, language))) {
+    return res.status(400).json({
       success: false,
-      error: err.error?.message || 'Test failed',
-      output: err.stdout || '',
-      errors: err.stderr || err.error || 'Unknown error occurred',
-      sessionId
+      error: `languages must be a list of: ${Object.keys(CODEGEN_LANGUAGES).join(', ')}`
     });
   }
-});
 
-// Get template (existing endpoint - kept for backwards compatibility)
-app.get('/api/templates/:name', (req, res) => {
-  const templates = {
-    'token-basic': {
-      'daml.yaml': `sdk-version: 3.4.10
-name: token-basic
-version: 1.0.0
-source: daml
-dependencies:
-  - daml-prim
-  - daml-stdlib
-  - daml3-script`,
-      'daml/Token.daml': `module Token where
-
-import Daml.Script
-
-template Token
-  with
-    issuer : Party
-    owner : Party
-    symbol : Text
-    amount : Decimal
-  where
-    signatory issuer
-    observer owner
-    
-    ensure amount > 0.0
-    
-    choice Transfer : ContractId Token
-      with
-        newOwner : Party
-      controller owner
-      do
-        create this with owner = newOwner
-
-setup : Script ()
-setup = script do
-  alice <- allocatePartyWithHint "Alice" (PartyIdHint "Alice")
-  bob <- allocatePartyWithHint "Bob" (PartyIdHint "Bob")
-  
-  token <- submit alice do
-    createCmd Token with
-      issuer = alice
-      owner = alice
-      symbol = "ACME"
-      amount = 100.0
-  
-  submit alice do
-    exerciseCmd token Transfer with newOwner = bob
-  
-  return ()`
-    },
-    'nft-simple': {
-      'daml.yaml': `sdk-version: 3.4.10
-name: nft-simple
-version: 1.0.0
-source: daml
-dependencies:
-  - daml-prim
-  - daml-stdlib
-  - daml3-script`,
-      'daml/NFT.daml': `module NFT where
-
-import Daml.Script
-
-template NFT
-  with
-    issuer : Party
-    owner : Party
-    tokenId : Int
-    name : Text
-  where
-    signatory issuer
-    observer owner
-    
-    choice TransferNFT : ContractId NFT
-      with
-        newOwner : Party
-      controller owner
-      do
-        create this with owner = newOwner
-
-setup : Script ()
-setup = script do
-  creator <- allocatePartyWithHint "Creator" (PartyIdHint "Creator")
-  alice <- allocatePartyWithHint "Alice" (PartyIdHint "Alice")
-  
-  nft <- submit creator do
-    createCmd NFT with
-      issuer = creator
-      owner = alice
-      tokenId = 1
-      name = "Cool NFT #1"
-  
-  return ()`
+  enqueueProject(req, res, 'codegen', {
+    ...BUILD_OPTIONS,
+    action: 'build',
+    followUp: async (job, result) => {
+      const artifact = result.artifact && await artifacts.get(result.artifact.id);
+      if (!artifact) {
+        return { ...result, success: false, error: 'The build produced no DAR to generate code from' };
+      }
+
+      job.setPhase('generating');
+      const codegen = await codeGenerator.generate(
+        artifact.path,
+        [...new Set(languages)],
+        (stream, line) => job.emit('output', { stream, line })
+      );
+      const failed = Object.values(codegen).filter(c => !c.success);
+
+      return {
+        ...result,
+        success: failed.length === 0,
+        ...(failed.length > 0 ? { error: `Code generation failed for ${failed.map(c => c.label).join(', ')}` } : {}),
+        errors: [result.errors, ...failed.map(c => c.output || c.error)].filter(Boolean).join('\n'),
+        codegen
+      };
     }
-  };
+  });
+});
 
-  const template = templates[req.params.name];
-  if (!template) {
-    return res.status(404).json({ error: 'Template not found' });
+// Job status - queued/running/finished, queue position and result
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
   }
 
-  res.json(template);
+  res.json({ success: true, job: jobQueue.describe(job) });
 });
 
-// List available templates (old endpoint - kept for backwards compatibility)
-app.get('/api/templates', (req, res) => {
-  res.json({
-    templates: [
-      {
-        id: 'token-basic',
-        name: 'Basic Token',
-        description: 'Simple fungible token with transfer functionality',
-        category: 'tokens'
-      },
-      {
-        id: 'nft-simple',
-        name: 'Simple NFT',
-        description: 'Basic NFT implementation',
-        category: 'nft'
-      }
-    ]
+// Live job events (status, phase, output, done) as Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const send = openEventStream(res);
+  const unsubscribe = jobQueue.subscribe(job, (event, data) => {
+    send(event, data);
+    if (event === 'done') res.end();
   });
+
+  req.on('close', unsubscribe);
 });
 
-// Cleanup old temp directories (runs every hour)
+// Artifact metadata, including the package summary
+app.get('/api/artifacts/:id', async (req, res) => {
+  const artifact = await artifacts.get(req.params.id);
+  if (!artifact) {
+    return res.status(404).json({ success: false, error: 'Artifact not found or expired' });
+  }
+
+  const { path: darPath, ...meta } = artifact;
+  res.json({ success: true, artifact: { ...meta, downloadUrl: `/api/artifacts/${meta.id}/download` } });
+});
+
+// Download the DAR itself
+app.get('/api/artifacts/:id/download', async (req, res) => {
+  const artifact = await artifacts.get(req.params.id);
+  if (!artifact) {
+    return res.status(404).json({ success: false, error: 'Artifact not found or expired' });
+  }
+
+  res.download(artifact.path, artifact.fileName);
+});
+
+// ========== SHARED PROJECTS ==========
+
+// Store an immutable copy of the files and return its short id
+app.post('/api/share', shareLimiter, async (req, res) => {
+  const { files } = req.body;
+  if (!checkProjectFiles(files, res)) return;
+
+  try {
+    const share = await shares.save(files);
+    req.log.info('Shared project', { shareId: share.id, files: Object.keys(files).length });
+    res.json({ success: true, ...share });
+  } catch (error) {
+    if (!(error instanceof ShareStoreError)) req.log.error('Could not share project', { error });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/share/:id', async (req, res) => {
+  const share = await shares.get(req.params.id);
+  if (!share) {
+    return res.status(404).json({ success: false, error: 'Shared project not found or expired' });
+  }
+
+  res.json({ success: true, ...share });
+});
+
+// ========== END SHARED PROJECTS ==========
+
+// ========== LEDGER SANDBOX SESSIONS ==========
+
+// Helper: Send a ledger failure with the status it carries
+function sendLedgerError(req, res, error) {
+  if (!(error instanceof LedgerError)) {
+    req.log.error('Ledger request failed', { error });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    details: error.details || undefined
+  });
+}
+
+// Start a sandbox with a built DAR loaded
+app.post('/api/ledger/sessions', ledgerLimiter, async (req, res) => {
+  try {
+    const artifact = await artifacts.get(req.body.artifactId);
+    if (!artifact) {
+      return res.status(400).json({ success: false, error: 'Build the project first: artifact not found or expired' });
+    }
+
+    const session = await ledger.start({
+      darPath: artifact.path,
+      fileName: artifact.fileName,
+      packageName: artifact.package?.packageName
+    });
+
+    req.log.info('Starting sandbox', { sessionId: session.id, dar: artifact.fileName });
+    res.status(202).json({ success: true, session: ledger.describe(session) });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+app.get('/api/ledger/sessions/:id', (req, res) => {
+  try {
+    res.json({ success: true, session: ledger.describe(ledger.get(req.params.id)) });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+app.delete('/api/ledger/sessions/:id', (req, res) => {
+  const stopped = ledger.stop(req.params.id);
+  res.json({ success: true, stopped });
+});
+
+// Upload a freshly built DAR to a running sandbox
+app.post('/api/ledger/sessions/:id/dars', async (req, res) => {
+  try {
+    const artifact = await artifacts.get(req.body.artifactId);
+    if (!artifact) {
+      return res.status(400).json({ success: false, error: 'Artifact not found or expired' });
+    }
+
+    const session = await ledger.uploadDar(req.params.id, artifact.path, artifact.fileName);
+    res.json({ success: true, session });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+app.get('/api/ledger/sessions/:id/parties', async (req, res) => {
+  try {
+    res.json({ success: true, parties: await ledger.listParties(req.params.id) });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+app.post('/api/ledger/sessions/:id/parties', async (req, res) => {
+  const { hint } = req.body;
+  if (typeof hint !== 'string' || !/^[A-Za-z][\w-]{0,63}$/.test(hint)) {
+    return res.status(400).json({ success: false, error: 'Party hint must be a name like "Alice"' });
+  }
+
+  try {
+    res.json({ success: true, ...await ledger.allocateParty(req.params.id, hint) });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+// Active contracts visible to a party
+app.get('/api/ledger/sessions/:id/contracts', async (req, res) => {
+  const { party } = req.query;
+  if (!party) {
+    return res.status(400).json({ success: false, error: 'party is required' });
+  }
+
+  try {
+    res.json({ success: true, contracts: await ledger.activeContracts(req.params.id, party) });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+app.post('/api/ledger/sessions/:id/contracts', async (req, res) => {
+  const { party, templateId, arguments: createArguments } = req.body;
+  if (!party || !templateId || !createArguments || typeof createArguments !== 'object') {
+    return res.status(400).json({ success: false, error: 'party, templateId and arguments are required' });
+  }
+
+  try {
+    const transaction = await ledger.createContract(req.params.id, party, templateId, createArguments);
+    res.json({ success: true, transaction });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+app.post('/api/ledger/sessions/:id/exercise', async (req, res) => {
+  const { party, contractId, templateId, choice, argument } = req.body;
+  if (!party || !contractId || !templateId || !choice) {
+    return res.status(400).json({ success: false, error: 'party, contractId, templateId and choice are required' });
+  }
+
+  try {
+    const transaction = await ledger.exercise(req.params.id, party, {
+      contractId,
+      templateId,
+      choice,
+      argument: argument || {}
+    });
+    res.json({ success: true, transaction });
+  } catch (error) {
+    sendLedgerError(req, res, error);
+  }
+});
+
+// ========== END LEDGER SANDBOX SESSIONS ==========
+
+// Write the project into a workspace without building it, so the language
+// server sees modules that are not open in the editor
+app.post('/api/workspaces/:id/sync', async (req, res) => {
+  const { id } = req.params;
+  const { files } = req.body;
+
+  if (!workspaces.isValidId(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid workspace id' });
+  }
+  if (!checkProjectFiles(files, res)) return;
+
+  try {
+    const sync = await workspaces.withWorkspace(id, (projectDir) => syncProject(projectDir, files));
+    res.json({
+      success: true,
+      written: sync.written.length,
+      deleted: sync.deleted.length,
+      unchanged: sync.unchanged
+    });
+  } catch (error) {
+    req.log.error('Could not sync workspace', { workspaceId: id, error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cleanup old temp directories, idle workspaces, expired artifacts and shares (runs every hour)
 setInterval(async () => {
   try {
     const files = await fs.readdir(TEMP_DIR);
     const now = Date.now();
     
     for (const file of files) {
+      // Workspaces and artifacts have their own expiry below; sandboxes
+      // remove their directories when they stop
+      if ([WORKSPACES_DIR, ARTIFACTS_DIR, LEDGERS_DIR].some(dir => file === path.basename(dir))) continue;
+
       const filePath = path.join(TEMP_DIR, file);
       const stats = await fs.stat(filePath);
       
       // Delete directories older than 1 hour
       if (now - stats.mtimeMs > 60 * 60 * 1000) {
         await fs.rm(filePath, { recursive: true, force: true });
-        console.log(`Cleaned up old directory: ${file}`);
+        logger.info('Removed old project directory', { dir: file });
       }
     }
+
+    const evicted = await workspaces.evictIdle();
+    evicted.forEach(id => logger.info('Evicted idle workspace', { workspaceId: id }));
+
+    const expired = await artifacts.evictExpired();
+    expired.forEach(id => logger.info('Removed expired artifact', { artifactId: id }));
+
+    const expiredShares = await shares.evictExpired();
+    expiredShares.forEach(id => logger.info('Removed expired share', { shareId: id }));
   } catch (err) {
-    console.error('Cleanup error:', err);
+    logger.error('Cleanup failed', { error: err });
   }
 }, 60 * 60 * 1000);
 
+// Stop idle ledger sessions (checked every minute)
+setInterval(() => {
+  ledger.stopIdle().forEach(id => logger.info('Stopped idle ledger session', { sessionId: id }));
+}, 60 * 1000);
+
+// Don't leave sandbox JVMs behind when the server stops
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    ledger.stopAll();
+    languageServers.stopAll();
+    // Quota counters are saved in batches; write the last ones
+    access.flush()
+      .catch(error => logger.error('Could not save access data', { error }))
+      .finally(() => process.exit(0));
+  });
+});
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Canton IDE Backend running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+const server = app.listen(PORT, () => {
+  logger.info('Canton IDE Backend running', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    logLevel: logger.level
+  });
+
+  if (executor.settings().network === 'host') {
+    logger.warn('Builds run with host network access (EXEC_NETWORK=host)');
+  }
+  executor.probeNetwork().then(reason => {
+    if (reason) {
+      logger.error('Network isolation for builds is unavailable, builds and tests are refused', {
+        reason,
+        fix: 'Give the server CAP_SYS_ADMIN, or set EXEC_NETWORK=host to allow builds network access'
+      });
+    }
+  });
+});
+
+// Language server bridge: ws://host/api/lsp?workspace=<workspace id>[&apiKey=<key>]
+const lspSockets = new WebSocketServer({ server, path: '/api/lsp', maxPayload: PROJECT_LIMITS.maxTotalBytes });
+
+lspSockets.on('connection', async (socket, req) => {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const workspaceId = params.get('workspace');
+
+  if (!workspaces.isValidId(workspaceId)) {
+    socket.close(1008, 'Invalid workspace id');
+    return;
+  }
+
+  // Browsers cannot set headers on WebSockets, so the key comes as ?apiKey=
+  try {
+    await access.identify(params.get('apiKey'), req.socket.remoteAddress);
+  } catch (error) {
+    socket.close(1008, error.message);
+    return;
+  }
+
+  // One language server per workspace, whatever case the id came in
+  const key = workspaces.keyFor(workspaceId);
+  try {
+    await workspaces.touch(key);
+    await languageServers.connect(key, workspaces.dirFor(key), socket);
+  } catch (error) {
+    logger.error('Language server connection failed', { workspaceId, error });
+    socket.close(1011, 'Could not start language server');
+  }
 });
\ No newline at end of file
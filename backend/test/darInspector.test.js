@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDamlModule, stripComments } = require('../lib/darInspector');
+
+const SOURCE = `-- | Tokens that can be issued and transferred
+module Finance.Token where
+
+import Daml.Script
+
+{- Disabled while the audit is pending:
+template OldToken
+  with
+    owner : Party
+  where
+    signatory owner
+-}
+
+template Token
+  with
+    issuer : Party
+    owner : Party
+    amount : Decimal -- always positive
+    note : Text
+  where
+    signatory issuer, owner
+    ensure amount > 0.0 && note /= "-- none --"
+
+    choice Transfer : ContractId Token
+      with
+        newOwner : Party
+      controller owner
+      do create this with owner = newOwner
+
+    {- choice Burn : ()
+      controller owner
+      do pure () -}
+
+    nonconsuming choice Describe : Text
+      with
+        prefix : Text -- shown first
+        separator : Optional
+          Text
+      controller owner
+      do pure (prefix <> "{- not a comment -}")
+`;
+
+test('reads the module name, templates and fields', () => {
+  const module = parseDamlModule(SOURCE);
+
+  assert.equal(module.name, 'Finance.Token');
+  assert.deepEqual(module.templates.map(t => t.name), ['Token']);
+  assert.deepEqual(module.templates[0].fields, [
+    { name: 'issuer', type: 'Party' },
+    { name: 'owner', type: 'Party' },
+    { name: 'amount', type: 'Decimal' },
+    { name: 'note', type: 'Text' }
+  ]);
+});
+
+test('reads choices with their arguments, skipping commented-out ones', () => {
+  const [token] = parseDamlModule(SOURCE).templates;
+
+  assert.deepEqual(token.choices, [
+    {
+      name: 'Transfer',
+      returnType: 'ContractId Token',
+      consuming: true,
+      arguments: [{ name: 'newOwner', type: 'Party' }]
+    },
+    {
+      name: 'Describe',
+      returnType: 'Text',
+      consuming: false,
+      arguments: [{ name: 'prefix', type: 'Text' }, { name: 'separator', type: 'Optional Text' }]
+    },
+    { name: 'Archive', returnType: '()', consuming: true, arguments: [] }
+  ]);
+});
+
+test('finds no module name in a file without a module header', () => {
+  assert.equal(parseDamlModule('{-\nmodule Hidden where\n-}\nx = 1\n').name, null);
+});
+
+test('stripComments blanks comments but keeps lines and strings', () => {
+  const source = 'a = "x -- y" -- note\n{- outer {- inner -}\nstill -} b\n';
+  const stripped = stripComments(source);
+
+  assert.equal(stripped.length, source.length);
+  assert.deepEqual(stripped.split('\n').map(line => line.trimEnd()), ['a = "x -- y"', '', '         b', '']);
+});
+
+test('stripComments leaves operators made of dashes alone', () => {
+  assert.equal(stripComments('f = a --> b'), 'f = a --> b');
+  assert.equal(stripComments('f = a <-- b'), 'f = a <-- b');
+  assert.equal(stripComments('f = a --- b').trimEnd(), 'f = a');
+});
+
+test('stripComments copes with escaped quotes and unterminated input', () => {
+  assert.equal(stripComments('s = "say \\"--\\" twice"'), 's = "say \\"--\\" twice"');
+  assert.equal(stripComments('s = "open\nt = 1 -- x').trimEnd(), 's = "open\nt = 1');
+  assert.equal(stripComments('x = 1 {- never closed\ny = 2').trim(), 'x = 1');
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDiagnostics } = require('../lib/diagnostics');
+
+// `dpm build` output for a project with a type error and an unused import
+const BUILD_OUTPUT = `Running single package build of my-project as no multi-package.yaml was found
+Compiling my-project to a DAR.
+File:     daml/Main.daml
+Hidden:   no
+Range:    3:1-3:18
+Source:   typecheck
+Severity: DsWarning
+Message: 
+  daml/Main.daml:3:1: warning:
+  The import of ‘DA.List’ is redundant
+    except perhaps to import instances from ‘DA.List’
+  To import instances alone, use: import DA.List()
+File:     daml/Main.daml
+Hidden:   no
+Range:    12:17-12:22
+Source:   typecheck
+Severity: DsError
+Message: 
+  daml/Main.daml:12:17: error:
+  • Couldn't match expected type ‘Party’ with actual type ‘Text’
+  • In the expression: owner
+    In the first argument of ‘signatory’, namely ‘owner’
+ERROR: Creation of DAR file failed.
+`;
+
+test('parses every IDE-style block with its range, severity and source', () => {
+  const diagnostics = parseDiagnostics(BUILD_OUTPUT);
+
+  assert.equal(diagnostics.length, 2);
+  assert.deepEqual(
+    diagnostics.map(({ file, line, column, endLine, endColumn, severity, source }) =>
+      ({ file, line, column, endLine, endColumn, severity, source })),
+    [
+      { file: 'daml/Main.daml', line: 3, column: 1, endLine: 3, endColumn: 18, severity: 'warning', source: 'typecheck' },
+      { file: 'daml/Main.daml', line: 12, column: 17, endLine: 12, endColumn: 22, severity: 'error', source: 'typecheck' }
+    ]
+  );
+});
+
+test('keeps multi-line messages with their nesting, without the repeated header', () => {
+  const [warning, error] = parseDiagnostics(BUILD_OUTPUT);
+
+  assert.equal(warning.message, [
+    'The import of ‘DA.List’ is redundant',
+    '  except perhaps to import instances from ‘DA.List’',
+    'To import instances alone, use: import DA.List()'
+  ].join('\n'));
+  assert.equal(error.message, [
+    '• Couldn\'t match expected type ‘Party’ with actual type ‘Text’',
+    '• In the expression: owner',
+    '  In the first argument of ‘signatory’, namely ‘owner’'
+  ].join('\n'));
+});
+
+test('ends a block at the first unindented line', () => {
+  const [, error] = parseDiagnostics(BUILD_OUTPUT);
+  assert.doesNotMatch(error.message, /Creation of DAR file failed/);
+});
+
+test('falls back to GHC-style headers when there are no blocks', () => {
+  const output = [
+    '/tmp/build-1234/daml/Main.daml:5:1: error:',
+    '    parse error on input ‘BROKEN’',
+    '/tmp/build-1234/daml/Lib/Util.daml:(7,3)-(9,12): warning:',
+    '    Defined but not used: ‘helper’',
+    'ERROR: Creation of DAR file failed.'
+  ].join('\n');
+
+  assert.deepEqual(parseDiagnostics(output, '/tmp/build-1234'), [
+    {
+      file: 'daml/Main.daml',
+      line: 5,
+      column: 1,
+      endLine: 5,
+      endColumn: 1,
+      severity: 'error',
+      source: null,
+      message: 'parse error on input ‘BROKEN’'
+    },
+    {
+      file: 'daml/Lib/Util.daml',
+      line: 7,
+      column: 3,
+      endLine: 9,
+      endColumn: 12,
+      severity: 'warning',
+      source: null,
+      message: 'Defined but not used: ‘helper’'
+    }
+  ]);
+});
+
+test('reads a column range on a single line', () => {
+  const [diagnostic] = parseDiagnostics('daml/Main.daml:4:10-15: error:\n    Variable not in scope: amount');
+
+  assert.equal(diagnostic.column, 10);
+  assert.equal(diagnostic.endColumn, 15);
+  assert.equal(diagnostic.message, 'Variable not in scope: amount');
+});
+
+test('reports a problem printed twice only once', () => {
+  const block = BUILD_OUTPUT.split('ERROR:')[0];
+  assert.equal(parseDiagnostics(block + block).length, 2);
+});
+
+test('handles Windows line endings', () => {
+  assert.equal(parseDiagnostics(BUILD_OUTPUT.replace(/\n/g, '\r\n')).length, 2);
+});
+
+test('returns nothing for clean or missing output', () => {
+  assert.deepEqual(parseDiagnostics('Compiling my-project to a DAR.\nCreated .daml/dist/my-project-1.0.0.dar'), []);
+  assert.deepEqual(parseDiagnostics(undefined), []);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readPackages, planPackageRun, packageFiles, packageFile } = require('../lib/packages');
+
+const damlYaml = (name, dataDependencies = []) => [
+  'sdk-version: 3.4.10',
+  `name: ${name}`,
+  'version: 1.0.0',
+  'source: daml',
+  'dependencies:',
+  '  - daml-prim',
+  '  - daml-stdlib',
+  ...(dataDependencies.length > 0 ? ['data-dependencies:', ...dataDependencies.map(dep => `  - ${dep}`)] : [])
+].join('\n');
+
+// main uses lib's DAR, but multi-package.yaml lists main first
+const PROJECT = {
+  'multi-package.yaml': 'packages:\n  - ./main\n  - ./lib/\n',
+  'main/daml.yaml': damlYaml('main', ['../lib/.daml/dist/lib-1.0.0.dar']),
+  'main/daml/Main.daml': 'module Main where\n',
+  'lib/daml.yaml': damlYaml('lib'),
+  'lib/daml/Lib.daml': 'module Lib where\n'
+};
+
+test('treats a project without multi-package.yaml as a single package', () => {
+  assert.equal(readPackages({ 'daml.yaml': damlYaml('app') }), null);
+});
+
+test('orders packages so dependencies build first', () => {
+  const { packages, problems } = readPackages(PROJECT);
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(packages, [
+    { name: 'lib', path: 'lib', dependencies: [] },
+    { name: 'main', path: 'main', dependencies: ['lib'] }
+  ]);
+});
+
+test('keeps the listed order between independent packages', () => {
+  const { packages } = readPackages({
+    'multi-package.yaml': 'packages:\n  - b\n  - a\n  - b\n',
+    'a/daml.yaml': damlYaml('a'),
+    'b/daml.yaml': damlYaml('b')
+  });
+
+  assert.deepEqual(packages.map(p => p.path), ['b', 'a']);
+});
+
+test('reports listed packages that are missing or outside the project', () => {
+  const { packages, problems } = readPackages({
+    ...PROJECT,
+    'multi-package.yaml': 'packages:\n  - ./main\n  - ./lib\n  - ./docs\n  - ../elsewhere\n'
+  });
+
+  assert.deepEqual(packages.map(p => p.path), ['lib', 'main']);
+  assert.deepEqual(problems, [
+    { file: 'docs/daml.yaml', reason: 'Package "./docs" listed in multi-package.yaml has no daml.yaml' },
+    { file: 'multi-package.yaml', reason: 'Package "../elsewhere" is outside the project' }
+  ]);
+});
+
+test('needs at least one package', () => {
+  for (const content of ['packages: []\n', 'packages:\n', 'not: [valid', '']) {
+    const { packages, problems } = readPackages({ 'multi-package.yaml': content });
+    assert.deepEqual(packages, []);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0].reason, /must list at least one package/);
+  }
+});
+
+test('reports packages that depend on each other', () => {
+  const { problems } = readPackages({
+    'multi-package.yaml': 'packages:\n  - a\n  - b\n',
+    'a/daml.yaml': damlYaml('a', ['../b/.daml/dist/b-1.0.0.dar']),
+    'b/daml.yaml': damlYaml('b', ['../a/.daml/dist/a-1.0.0.dar'])
+  });
+
+  assert.deepEqual(problems, [
+    { file: 'multi-package.yaml', reason: 'Packages depend on each other in a cycle: a -> b -> a' }
+  ]);
+});
+
+test('plans a build of every package in dependency order', () => {
+  const { packages } = readPackages(PROJECT);
+  const steps = planPackageRun(packages, null, 'build');
+
+  assert.deepEqual(steps.map(s => [s.action, s.package.path]), [['build', 'lib'], ['build', 'main']]);
+});
+
+test('builds what a tested package depends on before testing it', () => {
+  const { packages } = readPackages(PROJECT);
+
+  assert.deepEqual(
+    planPackageRun(packages, 'main', 'test').map(s => [s.action, s.package.path]),
+    [['build', 'lib'], ['test', 'main']]
+  );
+  assert.deepEqual(
+    planPackageRun(packages, 'lib', 'test').map(s => [s.action, s.package.path]),
+    [['test', 'lib']]
+  );
+  assert.deepEqual(
+    planPackageRun(packages, null, 'test').map(s => [s.action, s.package.path]),
+    [['build', 'lib'], ['test', 'lib'], ['test', 'main']]
+  );
+});
+
+test('gives a package its files relative to its directory', () => {
+  assert.deepEqual(packageFiles(PROJECT, 'lib'), {
+    'daml.yaml': PROJECT['lib/daml.yaml'],
+    'daml/Lib.daml': PROJECT['lib/daml/Lib.daml']
+  });
+  assert.equal(packageFiles(PROJECT, ''), PROJECT);
+  assert.equal(packageFile('lib', 'daml.yaml'), 'lib/daml.yaml');
+  assert.equal(packageFile('', 'daml.yaml'), 'daml.yaml');
+});
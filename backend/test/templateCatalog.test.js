@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createTemplateCatalog, TemplateError } = require('../lib/templateCatalog');
+
+const DAML_YAML = 'sdk-version: 3.4.10\nname: app\nversion: 1.0.0\nsource: daml\n';
+
+async function catalogWith(templates) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+
+  for (const [id, files] of Object.entries(templates)) {
+    const withMeta = { 'template.json': JSON.stringify({ name: id }), ...files };
+    for (const [file, content] of Object.entries(withMeta)) {
+      const filePath = path.join(rootDir, id, file);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    }
+  }
+
+  const catalog = createTemplateCatalog({
+    cacheDir: path.join(rootDir, '.cache'),
+    workDir: rootDir,
+    ttl: 0,
+    templateDirs: [rootDir]
+  });
+  return { catalog, cleanup: () => fs.rm(rootDir, { recursive: true, force: true }) };
+}
+
+test('leaves out template files a project may not contain', async (t) => {
+  const { catalog, cleanup } = await catalogWith({
+    app: {
+      'daml.yaml': DAML_YAML,
+      'daml/Main.daml': 'module Main where\n',
+      'ui/src/App.tsx': 'export default {};\n',
+      'java/Client.java': 'class Client {}\n'
+    }
+  });
+  t.after(cleanup);
+
+  const { files, skipped } = await catalog.getFiles('app');
+  assert.deepEqual(Object.keys(files).sort(), ['daml.yaml', 'daml/Main.daml']);
+  assert.deepEqual(skipped.sort(), ['java/Client.java', 'ui/src/App.tsx']);
+});
+
+test('refuses a template that would not build', async (t) => {
+  const { catalog, cleanup } = await catalogWith({
+    broken: { 'daml/Main.daml': 'module Main where\n' }
+  });
+  t.after(cleanup);
+
+  await assert.rejects(catalog.getFiles('broken'), (error) => {
+    assert.ok(error instanceof TemplateError);
+    assert.equal(error.status, 422);
+    assert.match(error.message, /daml\.yaml is required/);
+    return true;
+  });
+});
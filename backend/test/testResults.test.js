@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDiagnostics } = require('../lib/diagnostics');
+const { parseTestResults, scriptPattern } = require('../lib/testResults');
+
+const MAIN = `module Main where
+
+import Daml.Script
+
+template Token
+  with
+    owner : Party
+    amount : Decimal
+  where
+    signatory owner
+
+setup : Script ()
+setup = script do
+  alice <- allocateParty "Alice"
+  submit alice do createCmd Token with owner = alice; amount = 100.0
+  pure ()
+
+broken : Script ()
+broken = script do
+  assertMsg "expected 100" False
+`;
+
+// `dpm test` output with one passing and one failing script
+const TEST_OUTPUT = `File:     daml/Main.daml
+Hidden:   no
+Range:    18:1-18:7
+Source:   Script
+Severity: DsError
+Message: 
+  daml/Main.daml:18:1: error:
+  Script execution failed on commit at Main:20:3:
+    Unhandled exception:  DA.Exception.AssertionFailed:AssertionFailed@3f4deaf1{ message = "expected 100" }
+Test Summary
+
+daml/Main.daml:setup: ok, 1 active contracts, 2 transactions.
+daml/Main.daml:broken: failed
+`;
+
+const files = { 'daml/Main.daml': MAIN };
+
+test('returns a row per script with its outcome and ledger counts', () => {
+  const { tests, summary } = parseTestResults(TEST_OUTPUT, files);
+
+  assert.deepEqual(summary, { total: 2, passed: 1, failed: 1 });
+  assert.deepEqual(
+    tests.map(({ file, name, line, status, activeContracts, transactions }) =>
+      ({ file, name, line, status, activeContracts, transactions })),
+    [
+      { file: 'daml/Main.daml', name: 'setup', line: 12, status: 'passed', activeContracts: 1, transactions: 2 },
+      { file: 'daml/Main.daml', name: 'broken', line: 18, status: 'failed', activeContracts: null, transactions: null }
+    ]
+  );
+});
+
+test('attaches the error reported at a failed script to it', () => {
+  const { tests } = parseTestResults(TEST_OUTPUT, files, parseDiagnostics(TEST_OUTPUT));
+  const [setup, broken] = tests;
+
+  assert.equal(setup.message, null);
+  assert.match(broken.message, /^Script execution failed on commit at Main:20:3:/);
+  assert.match(broken.message, /message = "expected 100"/);
+});
+
+test('hands out script errors elsewhere in the file to failed scripts in order', () => {
+  const diagnostics = [
+    { file: 'daml/Main.daml', line: 20, severity: 'error', source: 'Script', message: 'Assertion failed' }
+  ];
+  const { tests } = parseTestResults(TEST_OUTPUT, files, diagnostics);
+
+  assert.equal(tests[1].message, 'Assertion failed');
+});
+
+test('ignores warnings when matching failures', () => {
+  const diagnostics = [
+    { file: 'daml/Main.daml', line: 18, severity: 'warning', source: 'typecheck', message: 'Unused binding' }
+  ];
+  const { tests } = parseTestResults(TEST_OUTPUT, files, diagnostics);
+
+  assert.equal(tests[1].message, null);
+});
+
+test('reads durations in milliseconds and seconds when reported', () => {
+  const output = [
+    'daml/Main.daml:setup: ok, 1 active contracts, 2 transactions. (12 ms)',
+    'daml/Main.daml:broken: failed (1.5 s)'
+  ].join('\n');
+  const { tests } = parseTestResults(output, files);
+
+  assert.deepEqual(tests.map(t => t.durationMs), [12, 1500]);
+});
+
+test('leaves the line unknown for scripts in files it was not given', () => {
+  const { tests } = parseTestResults('daml/Other.daml:check: ok, 0 active contracts, 0 transactions.', files);
+
+  assert.equal(tests[0].line, null);
+  assert.equal(tests[0].activeContracts, 0);
+});
+
+test('counts a script listed twice once', () => {
+  const { summary } = parseTestResults(`${TEST_OUTPUT}\ndaml/Main.daml:setup: ok, 1 active contracts, 2 transactions.`, files);
+  assert.equal(summary.total, 2);
+});
+
+test('scriptPattern selects exactly one script', () => {
+  const pattern = new RegExp(scriptPattern('setup'));
+
+  assert.ok(pattern.test('Main:setup'));
+  assert.ok(pattern.test('Tests.Main.setup'));
+  assert.ok(!pattern.test('Main:setupAll'));
+  assert.ok(!pattern.test('Main:resetup'));
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTransactionTrace } = require('../lib/transactionTrace');
+
+// `dpm test --transactions-output` for a script that creates a token,
+// transfers it and checks that Bob cannot take it back
+const SETUP = `daml/Main.daml:setup
+Transactions:
+  TX 0 1970-01-01T00:00:00Z (Main:14:3)
+  #0:0
+  │   disclosed to (since): 'Alice' (0), 'Bob' (0)
+  │   consumed by: #1:0
+  └─> 'Alice' creates Main:Token
+              with
+                owner = 'Alice'; amount = 100.0; observer = 'Bob'
+
+  TX 1 1970-01-01T00:00:00Z (Main:15:3)
+  #1:0
+  │   disclosed to (since): 'Alice' (1), 'Bob' (1)
+  └─> 'Alice' exercises Transfer on #0:0 (Main:Token)
+              with
+                newOwner = 'Bob'
+      children:
+      #1:1
+      │   disclosed to (since): 'Alice' (1), 'Bob' (1)
+      └─> 'Alice' creates Main:Token
+                  with
+                    owner = 'Bob'; amount = 100.0; observer = 'Alice'
+
+  mustFailAt actAs: {'Bob'} readAs: {} (Main:16:3)
+
+Active contracts:  #1:1
+
+Return value: {}
+`;
+
+const ISSUE = `daml/Main.daml:issue
+Transactions:
+  TX 0 1970-01-01T00:00:00Z (Main:22:3)
+  #0:0
+  │   disclosed to (since): 'Bank' (0)
+  └─> 'Bank' creates Main:Token
+              with
+                owner = 'Bank'; amount = 5.0; observer = 'Bank'
+
+Active contracts:  #0:0
+
+Return value: {}
+`;
+
+test('reads the script name and file from the section header', () => {
+  const [trace] = parseTransactionTrace(SETUP);
+
+  assert.equal(trace.script, 'setup');
+  assert.equal(trace.file, 'daml/Main.daml');
+  assert.deepEqual(trace.parties, ['Alice', 'Bob']);
+  assert.deepEqual(trace.activeContracts, ['1:1']);
+  assert.equal(trace.returnValue, '{}');
+});
+
+test('turns each submit into a step with what it created, archived and exercised', () => {
+  const [{ steps }] = parseTransactionTrace(SETUP);
+  const [create, transfer] = steps;
+
+  assert.equal(create.index, 0);
+  assert.equal(create.location, 'Main:14:3');
+  assert.deepEqual(create.submitters, ['Alice']);
+  assert.deepEqual(create.created, ['0:0']);
+  assert.deepEqual(create.archived, []);
+
+  assert.deepEqual(transfer.created, ['1:1']);
+  assert.deepEqual(transfer.archived, ['0:0']);
+  assert.deepEqual(transfer.exercised, [
+    { contractId: '0:0', choice: 'Transfer', actors: ['Alice'], templateId: 'Main:Token' }
+  ]);
+});
+
+test('nests child nodes under the exercise that caused them', () => {
+  const [{ steps }] = parseTransactionTrace(SETUP);
+  const [exercise] = steps[1].nodes;
+
+  assert.equal(exercise.kind, 'exercise');
+  assert.equal(exercise.payload, "newOwner = 'Bob'");
+  assert.equal(exercise.children.length, 1);
+  assert.equal(exercise.children[0].id, '1:1');
+  assert.equal(exercise.children[0].kind, 'create');
+});
+
+test('keeps contract payloads and archiving', () => {
+  const [{ contracts }] = parseTransactionTrace(SETUP);
+
+  assert.deepEqual(contracts['0:0'], {
+    id: '0:0',
+    templateId: 'Main:Token',
+    payload: "owner = 'Alice'; amount = 100.0; observer = 'Bob'",
+    createdAt: 0,
+    archivedAt: 1,
+    disclosedTo: { Alice: 0, Bob: 0 }
+  });
+  assert.equal(contracts['1:1'].archivedAt, null);
+});
+
+test('records a mustFail submit as a failed step that changes nothing', () => {
+  const [{ steps }] = parseTransactionTrace(SETUP);
+  const failed = steps[2];
+
+  assert.equal(failed.failed, true);
+  assert.equal(failed.index, 1);
+  assert.equal(failed.location, 'Main:16:3');
+  assert.deepEqual(failed.submitters, ['Bob']);
+  assert.deepEqual(failed.created, []);
+  assert.deepEqual(failed.archived, []);
+});
+
+test('shows each party the contracts it could see after every step', () => {
+  const [{ steps }] = parseTransactionTrace(SETUP);
+
+  assert.deepEqual(steps[0].visibleTo, { Alice: ['0:0'], Bob: ['0:0'] });
+  assert.deepEqual(steps[1].visibleTo, { Alice: ['1:1'], Bob: ['1:1'] });
+});
+
+test('splits a file with several scripts into one trace each', () => {
+  const traces = parseTransactionTrace(`${SETUP}\n${ISSUE}`);
+
+  assert.deepEqual(traces.map(t => t.script), ['setup', 'issue']);
+  assert.deepEqual(traces[1].parties, ['Bank']);
+  assert.equal(traces[1].steps.length, 1);
+});
+
+test('reads a single script without a header', () => {
+  const [trace] = parseTransactionTrace(ISSUE.split('\n').slice(1).join('\n'));
+
+  assert.equal(trace.script, null);
+  assert.deepEqual(trace.steps[0].created, ['0:0']);
+});
+
+test('returns no traces for empty output', () => {
+  assert.deepEqual(parseTransactionTrace(''), []);
+  assert.deepEqual(parseTransactionTrace(undefined), []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createWorkspaceManager } = require('../lib/workspaces');
+
+const ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+async function managerIn(t, idleTimeout = 60000) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-'));
+  t.after(() => fs.rm(rootDir, { recursive: true, force: true }));
+  return createWorkspaceManager({ rootDir, idleTimeout });
+}
+
+test('runs on the same workspace one at a time, whatever the id case', async (t) => {
+  const workspaces = await managerIn(t);
+  const events = [];
+  let release;
+
+  const first = workspaces.withWorkspace(ID, () => new Promise(resolve => {
+    events.push('first');
+    release = resolve;
+  }));
+  const second = workspaces.withWorkspace(ID.toUpperCase(), (dir) => {
+    events.push('second');
+    return dir;
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(events, ['first']);
+
+  release();
+  await first;
+  assert.equal(await second, workspaces.dirFor(ID));
+  assert.deepEqual(events, ['first', 'second']);
+});
+
+test('does not evict a workspace that is in use under another case', async (t) => {
+  const workspaces = await managerIn(t, -1);
+  let evicted;
+
+  await workspaces.withWorkspace(ID.toUpperCase(), async () => {
+    evicted = await workspaces.evictIdle();
+  });
+
+  assert.deepEqual(evicted, []);
+  assert.deepEqual(await workspaces.evictIdle(), [ID]);
+});
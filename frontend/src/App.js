@@ -1,31 +1,69 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import Editor from '@monaco-editor/react';
 import axios from 'axios';
-import { FaPlay, FaCheckCircle, FaCog, FaCode, FaPlus, FaTrash } from 'react-icons/fa';
+import { followJob } from './jobs';
+import ProblemsPanel from './components/ProblemsPanel';
+import TestResultsPanel from './components/TestResultsPanel';
+import PackagePanel from './components/PackagePanel';
+import PackagesPanel from './components/PackagesPanel';
+import LedgerPanel from './components/LedgerPanel';
+import TracePanel from './components/TracePanel';
+import ImportDialog from './components/ImportDialog';
+import FileExplorer from './components/FileExplorer';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import HistoryPanel from './components/HistoryPanel';
+import SnapshotDiff from './components/SnapshotDiff';
+import TemplateGallery from './components/TemplateGallery';
+import GeneratedCode from './components/GeneratedCode';
+import QuotaStatus from './components/QuotaStatus';
+import { findScripts } from './scripts';
+import { registerDaml, languageForFile } from './damlLanguage';
+import { connectLanguageServer } from './languageServer';
+import { getWorkspaceId } from './workspace';
+import {
+  listProjects, getProject, createProject, updateProject, deleteProject, duplicateProject,
+  getActiveProjectId, setActiveProjectId, migrateLegacyProject,
+  listSnapshots, createSnapshot, deleteSnapshot
+} from './projectStore';
+import {
+  DEFAULT_RULES, loadProjectRules, checkProjectFiles, checkProjectLimits, missingDamlYamlFields, readSdkVersion, withSdkVersion
+} from './projectFiles';
+import { exportProjectZip, readProjectZip, readDroppedItems } from './projectArchive';
+import { loadEmptyTemplate, createFromTemplate, mainModuleOf } from './templates';
+import { readPackages, damlYamlPaths } from './packages';
+import { getApiKey, setApiKey, applyApiKey, fetchQuota } from './apiAccess';
+import { FaPlay, FaCheckCircle, FaCog, FaTrash, FaSync, FaDownload, FaUpload, FaShareAlt, FaCodeBranch, FaThLarge, FaFileCode } from 'react-icons/fa';
 import './App.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
-// Empty template structure (fallback)
-const EMPTY_TEMPLATE = {
-  'daml.yaml': `sdk-version: 3.4.10
-name: my-project
-version: 1.0.0
-source: daml
-dependencies:
-  - daml-prim
-  - daml-stdlib
-  - daml3-script`,
-  'daml/Main.daml': `module Main where
-
-import Daml.Script
-
--- Your code here
-
-setup : Script ()
-setup = script do
-  return ()
-`
+// Send the saved API key (if any) with every request
+applyApiKey();
+
+// Id in a shared project link (/?s=<id>)
+const shareIdFromUrl = () => new URLSearchParams(window.location.search).get('s');
+
+// Delay between the last edit and saving the project
+const SAVE_DELAY = 500;
+
+// Human readable names for the phases reported while dpm runs
+const PHASE_LABELS = {
+  preparing: 'Preparing',
+  compiling: 'Compiling',
+  'running-scripts': 'Running scripts',
+  packaging: 'Packaging DAR',
+  generating: 'Generating code'
+};
+
+// Editor header badge for the language server connection
+const LANGUAGE_SERVER_LABELS = {
+  starting: 'Daml IDE starting…',
+  ready: 'Daml IDE',
+  offline: 'Daml IDE offline',
+  busy: 'Daml IDE busy',
+  replaced: 'Daml IDE open in another tab',
+  invalid: 'Daml IDE waiting for valid project files',
+  unavailable: 'Daml IDE unavailable'
 };
 
 function App() {
@@ -34,31 +72,74 @@ function App() {
   const [templatesLoaded, setTemplatesLoaded] = useState(false);
   
   const [selectedTemplate, setSelectedTemplate] = useState('empty');
-  const [files, setFiles] = useState(() => {
-    // Try to load from localStorage first
-    const saved = localStorage.getItem('canton-ide-files');
-    if (saved) {
-      try {
-        return JSON.parse(saved);
-      } catch (e) {
-        console.error('Failed to load saved files:', e);
-      }
-    }
-    return EMPTY_TEMPLATE;
-  });
-  const [currentFile, setCurrentFile] = useState(() => {
-    const saved = localStorage.getItem('canton-ide-current-file');
-    return saved || 'daml/Main.daml';
-  });
+  const [showGallery, setShowGallery] = useState(false);
+  // Daml SDK versions installed on the backend: { versions, warning }
+  const [sdkVersions, setSdkVersions] = useState({ versions: [], warning: null });
+  // Remaining quota for this API key or IP: { caller, quotas } or { error }
+  const [quotaStatus, setQuotaStatus] = useState(null);
+  const [files, setFiles] = useState({});
+  const [currentFile, setCurrentFile] = useState('');
+  const [projects, setProjects] = useState([]);
+  const [activeProjectId, setActiveProject] = useState(null);
+  // Last content written for the active project, to skip no-op saves
+  const savedRef = useRef(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [diffSnapshot, setDiffSnapshot] = useState(null);
+  // { id, createdAt, expiresAt } while a shared link is open (read-only)
+  const [sharedView, setSharedView] = useState(null);
+  // Files and result of the last build or test, for the status of snapshots
+  const lastRunRef = useRef(null);
   const [output, setOutput] = useState('Loading templates...');
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState('idle');
+  const [phase, setPhase] = useState(null);
+  const [queuePosition, setQueuePosition] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [testResults, setTestResults] = useState(null);
+  const [traces, setTraces] = useState(null);
+  const [lastBuild, setLastBuild] = useState(null);
+  // Last result per package of a multi-package project, by package path
+  const [packageResults, setPackageResults] = useState({});
+  // Bindings from the last code generation, shown in place of the editor
+  const [generatedCode, setGeneratedCode] = useState(null);
+  const [ledgerSession, setLedgerSession] = useState(null);
+  const [projectRules, setProjectRules] = useState(DEFAULT_RULES);
+  const [pendingImport, setPendingImport] = useState(null);
+  const importInputRef = useRef(null);
+  const [outputTab, setOutputTab] = useState('output');
+
+  // Monaco instances, captured once the editor mounts
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const [editorReady, setEditorReady] = useState(false);
+  const pendingReveal = useRef(null);
+
+  // Daml language server connection (hover, definitions, completion)
+  const languageServerRef = useRef(null);
+  const navigateRef = useRef(null);
+  const [languageServerStatus, setLanguageServerStatus] = useState('off');
 
   // NEW: Load available templates on mount
   useEffect(() => {
     loadAvailableTemplates();
+    loadProjectRules(API_URL).then(setProjectRules);
+    axios.get(`${API_URL}/api/sdk/versions`)
+      .then(response => setSdkVersions({ versions: response.data.versions, warning: response.data.warning || null }))
+      .catch(error => setSdkVersions({ versions: [], warning: error.response?.data?.error || error.message }));
+    refreshQuota();
   }, []);
 
+  const refreshQuota = () => fetchQuota(API_URL)
+    .then(setQuotaStatus)
+    .catch(error => setQuotaStatus({ error: error.response?.data?.error || 'Quota unavailable' }));
+
+  const handleChangeApiKey = () => {
+    const key = window.prompt('API key for this server (leave empty to remove it):', getApiKey());
+    if (key === null) return;
+    setApiKey(key.trim());
+    refreshQuota();
+  };
+
   // NEW: Load templates from backend
   const loadAvailableTemplates = async () => {
     try {
@@ -84,12 +165,14 @@ function App() {
           id: 'empty',
           name: 'Empty Template',
           description: 'Start from scratch',
+          category: 'starter',
           source: 'fallback'
         },
         {
           id: 'token-basic',
           name: 'Basic Token',
           description: 'Simple fungible token with transfer functionality',
+          category: 'patterns',
           source: 'fallback'
         }
       ]);
@@ -98,147 +181,346 @@ function App() {
     }
   };
 
-  // Auto-save files to localStorage whenever they change
-  useEffect(() => {
-    localStorage.setItem('canton-ide-files', JSON.stringify(files));
-  }, [files]);
-
-  // Auto-save current file selection
-  useEffect(() => {
-    localStorage.setItem('canton-ide-current-file', currentFile);
-  }, [currentFile]);
+  // Ask the backend to re-read the dpm template list instead of its cache
+  const handleRefreshTemplates = async () => {
+    try {
+      setTemplatesLoaded(false);
+      const response = await axios.post(`${API_URL}/api/templates/refresh`);
 
-  // Load template on change
-  useEffect(() => {
-    if (selectedTemplate === 'empty') {
-      // Don't override if user has custom content
-      const hasCustomContent = localStorage.getItem('canton-ide-files');
-      if (!hasCustomContent) {
-        setFiles(EMPTY_TEMPLATE);
-        setCurrentFile('daml/Main.daml');
-        setOutput('Empty template loaded. Start coding!');
-        setStatus('idle');
+      if (response.data.success && response.data.templates) {
+        setTemplates(response.data.templates);
+        setOutput(response.data.warning
+          ? `⚠️ ${response.data.warning}`
+          : `Template list refreshed (${response.data.templates.length} templates).`);
       }
-    } else {
-      loadTemplate(selectedTemplate);
+    } catch (error) {
+      console.error('Error refreshing templates:', error);
+      setOutput(`❌ Could not refresh templates:\n\n${error.response?.data?.error || error.message}`);
+    } finally {
+      setTemplatesLoaded(true);
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedTemplate]);
+  };
 
-  const loadTemplate = async (templateName) => {
+  const saveProject = useCallback(async (id, projectFiles, projectCurrentFile) => {
+    savedRef.current = { files: projectFiles, currentFile: projectCurrentFile };
     try {
-      setLoading(true);
-      setOutput('Loading template...');
-      
-      console.log('Loading template:', templateName);
-      console.log('API URL:', API_URL);
-      
-      // NEW: Try to load from DPM first
-      const template = templates.find(t => t.id === templateName);
-      
-      if (template && template.source === 'dpm') {
-        // Load from DPM using new endpoint
-        console.log('Loading from DPM:', templateName);
-        
-        const response = await axios.post(`${API_URL}/api/templates/create`, {
-          template: templateName
-        });
-        
-        console.log('DPM template response:', response.data);
-        
-        if (response.data.success && response.data.files) {
-          setFiles(response.data.files);
-          
-          // Set first DAML file as current
-          const fileKeys = Object.keys(response.data.files);
-          const damlFiles = fileKeys.filter(f => f.endsWith('.daml'));
-          
-          if (damlFiles.length > 0) {
-            setCurrentFile(damlFiles[0]);
-          } else if (fileKeys.length > 0) {
-            setCurrentFile(fileKeys[0]);
-          }
-          
-          setOutput(`Template "${template.name}" loaded successfully!`);
-          setStatus('idle');
-          setLoading(false);
+      const updated = await updateProject(id, { files: projectFiles, currentFile: projectCurrentFile });
+      setProjects(prev => prev.map(p => (p.id === id
+        ? { ...p, updatedAt: updated.updatedAt, fileCount: Object.keys(projectFiles).length }
+        : p)));
+    } catch (error) {
+      console.error('Failed to save project:', error);
+    }
+  }, []);
+
+  // Write pending edits before the open project changes
+  const flushProject = async () => {
+    const saved = savedRef.current;
+    if (activeProjectId && !(saved && saved.files === files && saved.currentFile === currentFile)) {
+      await saveProject(activeProjectId, files, currentFile);
+    }
+  };
+
+  const refreshProjects = async () => setProjects(await listProjects());
+
+  // Show a stored project in the editor, clearing results of the previous one
+  const openProject = useCallback((project) => {
+    const paths = Object.keys(project.files);
+    const file = project.currentFile in project.files
+      ? project.currentFile
+      : paths.find(f => f.endsWith('.daml')) || paths[0] || '';
+
+    // Leaving a shared link for a local project
+    if (shareIdFromUrl()) window.history.replaceState(null, '', window.location.pathname);
+    setSharedView(null);
+
+    savedRef.current = { files: project.files, currentFile: file };
+    setActiveProjectId(project.id);
+    setActiveProject(project.id);
+    setFiles(project.files);
+    setCurrentFile(file);
+    setSelectedTemplate(project.template || 'empty');
+    setDiagnostics([]);
+    setTestResults(null);
+    setTraces(null);
+    setLastBuild(null);
+    setPackageResults({});
+    setGeneratedCode(null);
+    setDiffSnapshot(null);
+    lastRunRef.current = null;
+    setStatus('idle');
+  }, []);
+
+  // Show a shared project read-only, without touching the local projects.
+  // Returns false when the link cannot be opened.
+  const openSharedProject = useCallback(async (id) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/share/${encodeURIComponent(id)}`);
+      const { files: sharedFiles, createdAt, expiresAt } = response.data;
+      const paths = Object.keys(sharedFiles);
+
+      savedRef.current = null;
+      setActiveProject(null);
+      setSnapshots([]);
+      setFiles(sharedFiles);
+      setCurrentFile(paths.find(f => f.endsWith('.daml')) || paths[0] || '');
+      setSharedView({ id, createdAt, expiresAt });
+      return true;
+    } catch (error) {
+      console.error('Error opening shared project:', error);
+      window.history.replaceState(null, '', window.location.pathname);
+      window.alert(`Could not open the shared project: ${error.response?.data?.error || error.message}`);
+      return false;
+    }
+  }, []);
+
+  // Open a shared link or the last used project, moving over code saved
+  // before projects existed. Runs once: StrictMode runs effects twice in
+  // development, which would otherwise create the first project twice.
+  const initStarted = useRef(false);
+  useEffect(() => {
+    if (initStarted.current) return;
+    initStarted.current = true;
+
+    const init = async () => {
+      try {
+        const migrated = await migrateLegacyProject();
+        const list = await listProjects();
+        const shareId = shareIdFromUrl();
+        if (shareId && await openSharedProject(shareId)) {
+          setProjects(list);
           return;
         }
+
+        const lastId = getActiveProjectId();
+
+        let project = migrated || (lastId && await getProject(lastId));
+        if (!project && list.length > 0) project = await getProject(list[0].id);
+        if (!project) {
+          let emptyFiles;
+          try {
+            emptyFiles = await loadEmptyTemplate(API_URL);
+          } catch (error) {
+            console.error('Could not load the empty template:', error);
+            setOutput(`⚠️ Could not load the empty template from the backend. Create a project once it is reachable:\n\n${error.message}`);
+            return;
+          }
+          project = await createProject({ name: 'Untitled project', files: emptyFiles, currentFile: mainModuleOf(emptyFiles) || '', template: 'empty' });
+        }
+
+        openProject(project);
+        setProjects(await listProjects());
+      } catch (error) {
+        console.error('Could not open local projects:', error);
+        setOutput(`⚠️ Local project storage is unavailable, changes will not be saved:\n\n${error.message}`);
       }
-      
-      // Fallback to existing hardcoded templates
-      const response = await axios.get(`${API_URL}/api/templates/${templateName}`);
-      
-      console.log('Raw response:', response);
-      console.log('Response data:', response.data);
-      console.log('Response data type:', typeof response.data);
-      console.log('Is array?', Array.isArray(response.data));
-      
-      // Validate response is an object
-      if (!response.data || typeof response.data !== 'object' || Array.isArray(response.data)) {
-        console.error('Invalid template format:', response.data);
-        throw new Error(`Invalid template format. Expected object, got ${typeof response.data}`);
-      }
-      
-      // Check if we have files
-      const fileKeys = Object.keys(response.data);
-      console.log('File keys:', fileKeys);
-      
-      if (fileKeys.length === 0) {
-        throw new Error('Template has no files');
-      }
-      
-      // Verify files have content
-      const firstKey = fileKeys[0];
-      const firstValue = response.data[firstKey];
-      console.log('First file:', firstKey, '=', typeof firstValue);
-      
-      if (typeof firstValue !== 'string') {
-        throw new Error(`Invalid file content. Expected string, got ${typeof firstValue}`);
-      }
-      
-      setFiles(response.data);
-      
-      // Set first DAML file as current
-      const damlFiles = fileKeys.filter(f => f.endsWith('.daml'));
-      
-      if (damlFiles.length > 0) {
-        setCurrentFile(damlFiles[0]);
-      } else if (fileKeys.length > 0) {
-        setCurrentFile(fileKeys[0]);
-      }
-      
-      setOutput('Template loaded successfully!');
-      setStatus('idle');
+    };
+    init();
+  }, [openProject, openSharedProject]);
+
+  // Auto-save the open project shortly after edits
+  useEffect(() => {
+    if (!activeProjectId) return;
+    const saved = savedRef.current;
+    if (saved && saved.files === files && saved.currentFile === currentFile) return;
+
+    const timer = setTimeout(() => saveProject(activeProjectId, files, currentFile), SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [files, currentFile, activeProjectId, saveProject]);
+
+  // Copy the shared files into a new local project that can be edited
+  const handleFork = async () => {
+    const match = (files['daml.yaml'] || '').match(/^name:\s*(\S+)/m);
+    try {
+      await startProject(match ? match[1] : 'Shared project', files, null);
+      setOutput('Forked into your projects. Changes are saved locally from now on.');
     } catch (error) {
-      console.error('Error loading template:', error);
-      console.error('Error response:', error.response);
-      
-      let errorMessage = `❌ Error loading template:\n\n${error.message}`;
-      
-      if (error.response) {
-        errorMessage += `\n\nHTTP Status: ${error.response.status}`;
-        errorMessage += `\nResponse: ${JSON.stringify(error.response.data, null, 2)}`;
-      }
-      
-      if (!navigator.onLine) {
-        errorMessage += '\n\n⚠️ No internet connection!';
-      }
-      
-      if (API_URL.includes('localhost')) {
-        errorMessage += '\n\n⚠️ Backend running on localhost. Make sure it\'s started!';
+      setOutput(`❌ Could not fork project:\n\n${error.message}`);
+    }
+  };
+
+  // Store the current files on the server and copy a link to them
+  const handleShare = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/api/share`, { files });
+      const { id, expiresAt } = response.data;
+      const url = `${window.location.origin}${window.location.pathname}?s=${id}`;
+
+      let copied = false;
+      try {
+        await navigator.clipboard.writeText(url);
+        copied = true;
+      } catch (error) {
+        // Clipboard access can be refused; the link is shown either way
       }
-      
-      errorMessage += '\n\nCheck browser console (F12) for more details.';
-      
-      setOutput(errorMessage);
-      setStatus('error');
-      
-      // Fallback to empty template
-      setFiles(EMPTY_TEMPLATE);
-      setCurrentFile('daml/Main.daml');
+
+      setOutput(`🔗 Share link${copied ? ' (copied to clipboard)' : ''}:\n\n${url}\n\n` +
+        'Anyone with the link can view a read-only copy of the current files' +
+        `${expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : ''}.`);
+    } catch (error) {
+      console.error('Error sharing project:', error);
+      const rejected = error.response?.data?.rejected || [];
+      setOutput(`❌ Could not share project:\n\n${error.response?.data?.error || error.message}` +
+        rejected.map(r => `\n  • ${r.file}: ${r.reason}`).join(''));
+    }
+    setOutputTab('output');
+  };
+
+  // Templates start a new project rather than replacing the open one
+  const startProject = async (name, projectFiles, template) => {
+    await flushProject();
+    const existing = new Set(projects.map(p => p.name));
+    let uniqueName = name;
+    for (let n = 2; existing.has(uniqueName); n++) uniqueName = `${name} ${n}`;
+
+    const project = await createProject({
+      name: uniqueName,
+      files: projectFiles,
+      currentFile: mainModuleOf(projectFiles) || Object.keys(projectFiles)[0] || '',
+      template
+    });
+    openProject(project);
+    await refreshProjects();
+  };
+
+  const handleNewProject = async () => {
+    try {
+      await startProject('Untitled project', await loadEmptyTemplate(API_URL), 'empty');
+      setOutput('New empty project created. Start coding!');
+    } catch (error) {
+      setOutput(`❌ Could not create project:\n\n${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  // From the template gallery: open the template as a new project
+  const handleCreateFromTemplate = async (template) => {
+    setShowGallery(false);
+    try {
+      const templateFiles = await createFromTemplate(API_URL, template.id);
+      await startProject(template.name, templateFiles, template.id);
+      setOutput(`Template "${template.name}" loaded as a new project.`);
+    } catch (error) {
+      setOutput(`❌ Could not create project:\n\n${error.response?.data?.error || error.message}`);
+    }
+    refreshQuota();
+  };
+
+  // ...or swap the open project's files for it, keeping them as a snapshot
+  const handleReplaceWithTemplate = async (template) => {
+    setShowGallery(false);
+    let templateFiles;
+    try {
+      templateFiles = await createFromTemplate(API_URL, template.id);
+    } catch (error) {
+      setOutput(`❌ Could not load template:\n\n${error.response?.data?.error || error.message}`);
+      return;
     } finally {
-      setLoading(false);
+      refreshQuota();
+    }
+    await takeSnapshot({ kind: 'auto', name: `Before loading ${template.name}` });
+    setFiles(templateFiles);
+    setCurrentFile(mainModuleOf(templateFiles) || Object.keys(templateFiles)[0] || '');
+    setSelectedTemplate(template.id);
+    updateProject(activeProjectId, { template: template.id }).catch(console.error);
+    setOutput(`Replaced the project files with template "${template.name}".`);
+    setStatus('idle');
+  };
+
+  const handleSwitchProject = async (id) => {
+    try {
+      await flushProject();
+      const project = await getProject(id);
+      if (!project) throw new Error('Project not found');
+      openProject(project);
+      setOutput(`Opened project "${project.name}".`);
+    } catch (error) {
+      setOutput(`❌ Could not open project:\n\n${error.message}`);
+    }
+  };
+
+  const handleDuplicateProject = async () => {
+    try {
+      await flushProject();
+      const copy = await duplicateProject(activeProjectId);
+      openProject(copy);
+      await refreshProjects();
+      setOutput(`Created "${copy.name}".`);
+    } catch (error) {
+      setOutput(`❌ Could not duplicate project:\n\n${error.message}`);
+    }
+  };
+
+  const handleRenameProject = async (name) => {
+    try {
+      await updateProject(activeProjectId, { name });
+      await refreshProjects();
+    } catch (error) {
+      setOutput(`❌ Could not rename project:\n\n${error.message}`);
+    }
+  };
+
+  const handleDeleteProject = async () => {
+    try {
+      // Nothing left to save for the deleted project
+      savedRef.current = { files, currentFile };
+      await deleteProject(activeProjectId);
+      const remaining = await listProjects();
+      if (remaining.length > 0) {
+        openProject(await getProject(remaining[0].id));
+        setProjects(remaining);
+      } else {
+        await startProject('Untitled project', await loadEmptyTemplate(API_URL), 'empty');
+      }
+      setOutput('Project deleted.');
+    } catch (error) {
+      setOutput(`❌ Could not delete project:\n\n${error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    if (!activeProjectId) return;
+    listSnapshots(activeProjectId)
+      .then(setSnapshots)
+      .catch(error => console.error('Could not load snapshots:', error));
+  }, [activeProjectId]);
+
+  // Save a snapshot of the open project and refresh the history list
+  const takeSnapshot = async ({ kind, name, status = null, files: snapshotFiles = files }) => {
+    if (!activeProjectId) return;
+    try {
+      const snapshot = await createSnapshot({ projectId: activeProjectId, name, kind, status, files: snapshotFiles });
+      if (snapshot) setSnapshots(await listSnapshots(activeProjectId));
+    } catch (error) {
+      console.error('Could not save snapshot:', error);
+    }
+  };
+
+  const handleCreateSnapshot = (name) => {
+    const lastRun = lastRunRef.current;
+    takeSnapshot({ kind: 'manual', name, status: lastRun && lastRun.files === files ? lastRun.status : null });
+  };
+
+  const handleRestoreSnapshot = async (snapshot) => {
+    if (!window.confirm(`Replace the current files with snapshot "${snapshot.name}"? The current files are kept as a snapshot.`)) return;
+
+    await takeSnapshot({ kind: 'auto', name: `Before restoring "${snapshot.name}"` });
+    setFiles(snapshot.files);
+    if (!(currentFile in snapshot.files)) {
+      const paths = Object.keys(snapshot.files);
+      setCurrentFile(paths.find(f => f.endsWith('.daml')) || paths[0] || '');
+    }
+    setDiffSnapshot(null);
+    setOutput(`Restored snapshot "${snapshot.name}".`);
+    setStatus('idle');
+  };
+
+  const handleDeleteSnapshot = async (snapshot) => {
+    try {
+      await deleteSnapshot(snapshot.id);
+      if (diffSnapshot && diffSnapshot.id === snapshot.id) setDiffSnapshot(null);
+      setSnapshots(await listSnapshots(activeProjectId));
+    } catch (error) {
+      setOutput(`❌ Could not delete snapshot:\n\n${error.message}`);
     }
   };
 
@@ -249,37 +531,168 @@ function App() {
     });
   };
 
-  const handleBuild = async () => {
+  const handleEditorMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    setEditorReady(true);
+  };
+
+  // Show diagnostics as squiggles in every open model
+  useEffect(() => {
+    if (!editorReady) return;
+    const monaco = monacoRef.current;
+
+    const severities = {
+      error: monaco.MarkerSeverity.Error,
+      warning: monaco.MarkerSeverity.Warning,
+      info: monaco.MarkerSeverity.Info,
+      hint: monaco.MarkerSeverity.Hint
+    };
+
+    monaco.editor.getModels().forEach(model => {
+      const modelPath = model.uri.path.replace(/^\//, '');
+      const markers = diagnostics
+        .filter(d => d.file === modelPath)
+        .map(d => ({
+          startLineNumber: d.line,
+          startColumn: d.column,
+          endLineNumber: d.endLine,
+          // Zero-width ranges would not be visible
+          endColumn: d.endLine === d.line && d.endColumn <= d.column ? d.column + 1 : d.endColumn,
+          severity: severities[d.severity] || monaco.MarkerSeverity.Error,
+          message: d.message,
+          source: 'damlc'
+        }));
+      monaco.editor.setModelMarkers(model, 'damlc', markers);
+    });
+  }, [diagnostics, currentFile, editorReady]);
+
+  const revealLocation = ({ line, column }) => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    editor.revealLineInCenter(line);
+    editor.setPosition({ lineNumber: line, column });
+    editor.focus();
+  };
+
+  // Move the cursor to a diagnostic once its file is open
+  useEffect(() => {
+    const target = pendingReveal.current;
+    if (!target || target.file !== currentFile) return;
+
+    pendingReveal.current = null;
+    revealLocation(target);
+  }, [currentFile]);
+
+  // Open a file and put the cursor at a location (problems, test results)
+  const handleJumpTo = (location) => {
+    if (!(location.file in files)) {
+      setOutput(prev => `${prev}\n⚠️ ${location.file} is not part of this project`);
+      return;
+    }
+
+    setDiffSnapshot(null);
+    setGeneratedCode(null);
+    if (location.file === currentFile) {
+      revealLocation(location);
+    } else {
+      pendingReveal.current = location;
+      setCurrentFile(location.file);
+    }
+  };
+
+  navigateRef.current = handleJumpTo;
+
+  // Connect the language server once Monaco is available
+  useEffect(() => {
+    if (!editorReady) return undefined;
+
+    const client = connectLanguageServer({
+      apiUrl: API_URL,
+      monaco: monacoRef.current,
+      workspaceId: getWorkspaceId(),
+      onStatus: setLanguageServerStatus,
+      onNavigate: (location) => navigateRef.current(location)
+    });
+    languageServerRef.current = client;
+
+    return () => {
+      client.dispose();
+      languageServerRef.current = null;
+    };
+  }, [editorReady]);
+
+  // Keep the language server's documents in step with the editor
+  useEffect(() => {
+    if (languageServerRef.current) languageServerRef.current.update(files);
+  }, [files, editorReady]);
+
+  // Queue a build or test job, rendering dpm output as it streams in
+  const runProject = async ({ endpoint, status: runningStatus, label, successMessage, failureMessage, body = {}, onResult, snapshot }) => {
+    const runFiles = files;
     setLoading(true);
-    setStatus('building');
-    setOutput('Building project...\n');
+    setStatus(runningStatus);
+    setPhase(null);
+    setDiagnostics([]);
+    setOutput(`${label}...\n`);
 
     try {
-      console.log('Sending build request...');
-      console.log('Files to build:', Object.keys(files));
-      console.log('API URL:', `${API_URL}/api/build`);
-      
-      const response = await axios.post(`${API_URL}/api/build`, {
+      console.log(`Sending ${endpoint} request...`);
+      console.log('Files:', Object.keys(files));
+
+      const response = await axios.post(`${API_URL}/api/${endpoint}`, {
         files,
-        template: selectedTemplate
+        template: selectedTemplate,
+        workspaceId: getWorkspaceId(),
+        ...body
       });
 
-      console.log('Build response:', response.data);
+      const { jobId } = response.data;
+      console.log(`Queued ${endpoint} job:`, jobId);
 
-      if (response.data.success) {
-        setOutput(`✅ Build successful!\n\n${response.data.output}`);
+      const result = await followJob(API_URL, jobId, (event, data) => {
+        if (event === 'status') {
+          setQueuePosition(data.status === 'queued' ? data.position : null);
+        } else if (event === 'phase') {
+          setPhase(data.phase);
+        } else if (event === 'output') {
+          setOutput(prev => `${prev}${data.line}\n`);
+        }
+      });
+
+      console.log(`${endpoint} result:`, result);
+      setDiagnostics(result.diagnostics || []);
+      if (result.packages) {
+        setPackageResults(prev => ({
+          ...prev,
+          ...Object.fromEntries(result.packages.map(pkg => [pkg.path, pkg]))
+        }));
+      }
+      if (onResult) onResult(result);
+
+      lastRunRef.current = { files: runFiles, status: result.success ? snapshot.status : 'failed' };
+      if (result.success) takeSnapshot({ ...snapshot, files: runFiles });
+
+      const sdkNote = result.sdkVersion ? ` (Daml SDK ${result.sdkVersion})` : '';
+      if (result.success) {
+        setOutput(prev => `${successMessage}${sdkNote}\n\n${prev}`);
         setStatus('success');
       } else {
-        setOutput(`❌ Build failed\n\n${response.data.errors}`);
+        setOutput(prev => `${failureMessage}${sdkNote}\n\n${prev}${result.errors && !prev.includes(result.errors) ? `\n${result.errors}` : ''}`);
         setStatus('error');
       }
     } catch (error) {
-      console.error('Build error:', error);
+      console.error(`${endpoint} error:`, error);
       console.error('Error response:', error.response);
       
-      let errorMsg = '❌ Build failed\n\n';
+      let errorMsg = `${failureMessage}\n\n`;
       
-      if (error.response?.data?.errors) {
+      if (error.response?.data?.rejected?.length) {
+        errorMsg += `${error.response.data.error}:\n`;
+        errorMsg += error.response.data.rejected
+          .map(r => `  • ${r.file}: ${r.reason}`)
+          .join('\n');
+      } else if (error.response?.data?.errors) {
         errorMsg += error.response.data.errors;
       } else if (error.response?.data?.error) {
         errorMsg += error.response.data.error;
@@ -294,79 +707,200 @@ function App() {
       setOutput(errorMsg);
       setStatus('error');
     } finally {
+      setPhase(null);
+      setQueuePosition(null);
       setLoading(false);
+      refreshQuota();
     }
   };
 
-  const handleTest = async () => {
-    setLoading(true);
-    setStatus('testing');
-    setOutput('Running tests...\n');
-
-    try {
-      console.log('Sending test request...');
-      console.log('Files to test:', Object.keys(files));
-      
-      const response = await axios.post(`${API_URL}/api/test`, {
-        files
-      });
+  // pkg limits a multi-package build to one package and its dependencies
+  const handleBuild = (pkg = null) => runProject({
+    endpoint: 'build',
+    status: 'building',
+    label: pkg ? `Building ${pkg.name}` : 'Building project',
+    successMessage: pkg ? `✅ Built ${pkg.name}!` : '✅ Build successful!',
+    failureMessage: '❌ Build failed',
+    snapshot: { kind: 'build', name: pkg ? `Built ${pkg.name}` : 'Successful build', status: 'built' },
+    body: pkg ? { package: pkg.path } : {},
+    onResult: (result) => {
+      if (result.artifact) setLastBuild(result);
+    }
+  });
 
-      console.log('Test response:', response.data);
+  // selection is {} for all scripts, { script }, { pattern } or, in a
+  // multi-package project, { package } for one package's scripts
+  const handleTest = (selection = {}) => runProject({
+    endpoint: 'test',
+    status: 'testing',
+    label: selection.script ? `Running ${selection.script}`
+      : selection.package !== undefined ? `Testing ${(packages.find(p => p.path === selection.package) || {}).name}`
+      : 'Running tests',
+    successMessage: '✅ Tests passed!',
+    failureMessage: '❌ Tests failed',
+    snapshot: { kind: 'test', name: selection.script ? `${selection.script} passed` : 'Tests passed', status: 'passed' },
+    body: selection,
+    onResult: (result) => {
+      setTestResults(result.tests ? result : null);
+      setTraces(result.traces || null);
+      if (result.tests && result.tests.length > 0) setOutputTab('tests');
+    }
+  });
 
-      if (response.data.success) {
-        setOutput(`✅ Tests passed!\n\n${response.data.output}`);
-        setStatus('success');
-      } else {
-        setOutput(`❌ Tests failed\n\n${response.data.errors}`);
-        setStatus('error');
+  // Build, then generate JS/TS and Java bindings from the DAR
+  const handleCodegen = () => runProject({
+    endpoint: 'codegen',
+    status: 'building',
+    label: 'Building project and generating code',
+    successMessage: '✅ Code generated!',
+    failureMessage: '❌ Code generation failed',
+    snapshot: { kind: 'build', name: 'Generated code', status: 'built' },
+    onResult: (result) => {
+      if (result.artifact) setLastBuild(result);
+      if (result.codegen) {
+        setDiffSnapshot(null);
+        setGeneratedCode(result.codegen);
       }
-    } catch (error) {
-      console.error('Test error:', error);
-      console.error('Error response:', error.response);
-      
-      let errorMsg = '❌ Tests failed\n\n';
-      
-      if (error.response?.data?.errors) {
-        errorMsg += error.response.data.errors;
-      } else if (error.response?.data?.error) {
-        errorMsg += error.response.data.error;
-      } else if (error.message) {
-        errorMsg += error.message;
-      } else {
-        errorMsg += 'Unknown error';
-      }
-      
-      errorMsg += '\n\nCheck browser console (F12) for details.';
-      
-      setOutput(errorMsg);
-      setStatus('error');
-    } finally {
-      setLoading(false);
     }
+  });
+
+  // Point the project at another installed SDK by rewriting daml.yaml
+  // (every package's, in a multi-package project)
+  const handleSdkVersionChange = (version) => {
+    const targets = damlYamlPaths(files).filter(file => file in files);
+    setFiles({
+      ...files,
+      ...Object.fromEntries(targets.map(file => [file, withSdkVersion(files[file], version)]))
+    });
+    setOutput(`sdk-version set to ${version} in ${targets.join(', ')}. The next build and test use this SDK.`);
   };
 
-  const handleReset = () => {
-    if (window.confirm('Clear all code and reset to empty template? This cannot be undone.')) {
-      localStorage.removeItem('canton-ide-files');
-      localStorage.removeItem('canton-ide-current-file');
-      setFiles(EMPTY_TEMPLATE);
-      setCurrentFile('daml/Main.daml');
+  const handleReset = async () => {
+    if (window.confirm('Clear all code in this project and reset it to the empty template? You can undo this from History.')) {
+      let emptyFiles;
+      try {
+        emptyFiles = await loadEmptyTemplate(API_URL);
+      } catch (error) {
+        setOutput(`❌ Could not load the empty template:\n\n${error.response?.data?.error || error.message}`);
+        return;
+      }
+      await takeSnapshot({ kind: 'auto', name: 'Before reset' });
+      setFiles(emptyFiles);
+      setCurrentFile(mainModuleOf(emptyFiles) || '');
       setOutput('Reset to empty template. Code cleared.');
       setStatus('idle');
     }
   };
 
-  const handleAddFile = () => {
-    const filename = prompt('Enter filename (e.g., daml/NewModule.daml):');
-    if (filename && filename.trim()) {
-      setFiles({
-        ...files,
-        [filename.trim()]: '-- New file\n'
-      });
-      setCurrentFile(filename.trim());
+  // Apply a create/rename/move/delete from the file explorer
+  const handleFilesChange = (nextFiles, renames) => {
+    setFiles(nextFiles);
+
+    if (renames[currentFile]) {
+      setCurrentFile(renames[currentFile]);
+    } else if (!(currentFile in nextFiles)) {
+      const paths = Object.keys(nextFiles);
+      setCurrentFile(paths.find(f => f.endsWith('.daml')) || paths[0] || '');
     }
   };
 
+  // Drop editor models of files that no longer exist, so a new file with
+  // the same name does not pick up stale content. Models without a file
+  // path (the diff view's) are left alone.
+  useEffect(() => {
+    if (!editorReady) return;
+    monacoRef.current.editor.getModels().forEach(model => {
+      const modelPath = model.uri.path.replace(/^\//, '');
+      if (model.uri.scheme === 'file' && !(modelPath in files) && model !== editorRef.current.getModel()) {
+        model.dispose();
+      }
+    });
+  }, [files, editorReady]);
+
+  const packages = React.useMemo(() => readPackages(files), [files]);
+  const sdkVersionFile = damlYamlPaths(files).find(file => file in files);
+  const projectSdkVersion = sdkVersionFile ? readSdkVersion(files[sdkVersionFile]) : null;
+  const sdkVersionMissing = !!projectSdkVersion && !sdkVersions.versions.some(v => v.version === projectSdkVersion);
+
+  // Name used for exported archives, taken from daml.yaml
+  const projectName = React.useMemo(() => {
+    const match = (files['daml.yaml'] || '').match(/^name:\s*(\S+)/m);
+    return match ? match[1] : 'canton-project';
+  }, [files]);
+
+  const handleExport = async () => {
+    try {
+      await exportProjectZip(files, projectName);
+      setOutput(`Exported ${Object.keys(files).length} files to ${projectName}.zip`);
+    } catch (error) {
+      console.error('Export error:', error);
+      setOutput(`❌ Export failed:\n\n${error.message}`);
+    }
+  };
+
+  // Check imported files against the backend rules, then ask how to apply
+  // them. Merging is checked too: the merged project has to stay within the
+  // project-wide limits.
+  const stageImport = (imported, source) => {
+    const { accepted, rejected } = checkProjectFiles(imported, projectRules);
+    const mergeProblems = checkProjectLimits({ ...files, ...accepted }, projectRules);
+    setPendingImport({ accepted, rejected, mergeProblems, source });
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      stageImport(await readProjectZip(file), file.name);
+    } catch (error) {
+      console.error('Import error:', error);
+      setOutput(`❌ Could not read ${file.name}:\n\n${error.message}`);
+    }
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+
+    try {
+      stageImport(await readDroppedItems(e.dataTransfer), 'dropped files');
+    } catch (error) {
+      console.error('Drop error:', error);
+      setOutput(`❌ Could not read dropped files:\n\n${error.message}`);
+    }
+  };
+
+  const importWarnings = (imported) => {
+    const damlYamls = damlYamlPaths(imported);
+    if (damlYamls.length === 0 || !damlYamls.every(file => imported[file])) {
+      return ['The imported files have no daml.yaml; replacing the project would leave it unbuildable.'];
+    }
+
+    return damlYamls.flatMap(file => {
+      const missing = missingDamlYamlFields(imported[file], projectRules);
+      return missing.length > 0 ? [`${file} is missing: ${missing.join(', ')}`] : [];
+    });
+  };
+
+  const applyImport = (merge) => {
+    if (merge && pendingImport.mergeProblems.length > 0) return;
+    const next = merge ? { ...files, ...pendingImport.accepted } : pendingImport.accepted;
+    const paths = Object.keys(next);
+
+    setFiles(next);
+    if (!(currentFile in next)) {
+      setCurrentFile(paths.find(f => f.endsWith('.daml')) || paths[0] || '');
+    }
+    setOutput(`Imported ${Object.keys(pendingImport.accepted).length} files from ${pendingImport.source}` +
+      `${merge ? ' (merged)' : ''}.` +
+      `${pendingImport.rejected.length > 0 ? ` Skipped ${pendingImport.rejected.length}.` : ''}`);
+    setStatus('idle');
+    setPendingImport(null);
+  };
+
+  const scripts = React.useMemo(() => findScripts(files), [files]);
+
   // Safely get file list
   const fileList = React.useMemo(() => {
     if (!files || typeof files !== 'object' || Array.isArray(files)) {
@@ -394,8 +928,19 @@ function App() {
       <header className="header">
         <div className="header-left">
           <h1>Canton Playbox</h1>
+          <ProjectSwitcher
+            projects={projects}
+            activeId={activeProjectId}
+            disabled={loading}
+            onSwitch={handleSwitchProject}
+            onCreate={handleNewProject}
+            onDuplicate={handleDuplicateProject}
+            onRename={handleRenameProject}
+            onDelete={handleDeleteProject}
+          />
         </div>
         <div className="header-right">
+          <QuotaStatus status={quotaStatus} hasKey={!!getApiKey()} onChangeKey={handleChangeApiKey} />
           <a 
             href="https://docs.canton.network" 
             target="_blank" 
@@ -420,23 +965,28 @@ function App() {
         {/* Sidebar */}
         <aside className="sidebar">
           <div className="section">
-            <h3>Templates</h3>
-            <select 
-              value={selectedTemplate}
-              onChange={(e) => setSelectedTemplate(e.target.value)}
-              className="template-select"
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+              <h3 style={{ margin: 0 }}>Templates</h3>
+              <button
+                onClick={handleRefreshTemplates}
+                className="btn-icon"
+                title="Refresh template list"
+                disabled={loading || !templatesLoaded}
+              >
+                <FaSync size={12} className={!templatesLoaded ? 'spin' : ''} />
+              </button>
+            </div>
+            <button
+              onClick={() => setShowGallery(true)}
+              className="template-select template-browse"
               disabled={loading || !templatesLoaded}
+              title="Browse templates"
             >
-              {templatesLoaded ? (
-                templates.map(template => (
-                  <option key={template.id} value={template.id}>
-                    {template.name}
-                  </option>
-                ))
-              ) : (
-                <option>Loading templates...</option>
-              )}
-            </select>
+              <FaThLarge size={12} />
+              {!templatesLoaded
+                ? 'Loading templates...'
+                : (templates.find(t => t.id === selectedTemplate) || {}).name || 'Browse templates'}
+            </button>
             {templatesLoaded && templates.find(t => t.id === selectedTemplate) && (
               <p className="template-description">
                 {templates.find(t => t.id === selectedTemplate).description}
@@ -445,40 +995,89 @@ function App() {
           </div>
 
           <div className="section">
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
-              <h3 style={{ margin: 0 }}>Files</h3>
-              <button
-                onClick={handleAddFile}
-                className="btn-icon"
-                title="Add new file"
-              >
-                <FaPlus size={12} />
-              </button>
-            </div>
-            <div className="file-list">
-              {fileList.length === 0 ? (
-                <div className="file-item" style={{ opacity: 0.5 }}>
-                  No files
-                </div>
-              ) : (
-                fileList.map(filename => (
-                  <div
-                    key={filename}
-                    className={`file-item ${currentFile === filename ? 'active' : ''}`}
-                    onClick={() => setCurrentFile(filename)}
-                  >
-                    <FaCode size={12} />
-                    <span>{filename}</span>
-                  </div>
-                ))
+            <h3>Daml SDK</h3>
+            <select
+              value={projectSdkVersion || ''}
+              onChange={(e) => handleSdkVersionChange(e.target.value)}
+              className="template-select"
+              disabled={loading || !!sharedView || !sdkVersionFile}
+            >
+              {!projectSdkVersion && <option value="" disabled>Not set in daml.yaml</option>}
+              {sdkVersionMissing && (
+                <option value={projectSdkVersion}>{projectSdkVersion} (not installed)</option>
               )}
-            </div>
+              {sdkVersions.versions.map(v => (
+                <option key={v.version} value={v.version}>
+                  {v.version}{v.active ? ' (default)' : ''}
+                </option>
+              ))}
+            </select>
+            {sdkVersionMissing && sdkVersions.versions.length > 0 && (
+              <p className="template-description sdk-warning">
+                This SDK is not installed on the server, so builds and tests will be refused.
+              </p>
+            )}
+            {sdkVersions.warning && (
+              <p className="template-description">{sdkVersions.warning}</p>
+            )}
           </div>
 
+          <FileExplorer
+            files={files}
+            currentFile={currentFile}
+            rules={projectRules}
+            readOnly={!!sharedView}
+            packages={packages}
+            busy={loading}
+            onOpen={setCurrentFile}
+            onChange={handleFilesChange}
+            onExternalDrop={handleDrop}
+            onBuildPackage={handleBuild}
+            onTestPackage={(pkg) => handleTest({ package: pkg.path })}
+            actions={(
+              <>
+                {!sharedView && (
+                  <button
+                    onClick={() => importInputRef.current.click()}
+                    className="btn-icon"
+                    title="Import project (.zip) - or drop a zip or folder on the file list"
+                    disabled={loading}
+                  >
+                    <FaUpload size={12} />
+                  </button>
+                )}
+                <button
+                  onClick={handleExport}
+                  className="btn-icon"
+                  title="Download project as .zip"
+                >
+                  <FaDownload size={12} />
+                </button>
+                <button
+                  onClick={handleShare}
+                  className="btn-icon"
+                  title="Share a read-only link to the current files"
+                  disabled={loading}
+                >
+                  <FaShareAlt size={12} />
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".zip,application/zip"
+                  style={{ display: 'none' }}
+                  onChange={handleImportFile}
+                />
+              </>
+            )}
+          />
+
+          <ProblemsPanel diagnostics={diagnostics} onSelect={handleJumpTo} />
+
           <div className="section">
             <h3>Actions</h3>
             <button
-              onClick={handleBuild}
+              onClick={() => handleBuild()}
               disabled={loading}
               className="btn btn-primary"
             >
@@ -486,17 +1085,26 @@ function App() {
               Build
             </button>
             <button
-              onClick={handleTest}
+              onClick={() => handleTest()}
               disabled={loading}
               className="btn btn-success"
             >
               <FaPlay />
               Test
             </button>
+            <button
+              onClick={handleCodegen}
+              disabled={loading}
+              className="btn btn-secondary"
+              title="Build, then generate JavaScript/TypeScript and Java bindings from the DAR"
+            >
+              <FaFileCode />
+              Generate code
+            </button>
             <button
               onClick={handleReset}
               className="btn btn-danger"
-              disabled={loading}
+              disabled={loading || !!sharedView}
             >
               <FaTrash />
               Reset
@@ -506,38 +1114,193 @@ function App() {
 
         {/* Editor */}
         <div className="editor-container">
-          <div className="editor-header">
-            <span>{currentFile || 'No file selected'}</span>
+          {diffSnapshot && (
+            <SnapshotDiff
+              key={diffSnapshot.id}
+              snapshot={diffSnapshot}
+              files={files}
+              currentFile={currentFile}
+              onRestore={handleRestoreSnapshot}
+              onClose={() => setDiffSnapshot(null)}
+            />
+          )}
+          {generatedCode && !diffSnapshot && (
+            <GeneratedCode
+              codegen={generatedCode}
+              projectName={projectName}
+              onClose={() => setGeneratedCode(null)}
+            />
+          )}
+          {/* Kept mounted while a diff is shown so models and the language server stay attached */}
+          <div className={`editor-pane ${diffSnapshot || generatedCode ? 'hidden' : ''}`}>
+            {sharedView && (
+              <div className="shared-banner">
+                <span>
+                  Shared project · read-only
+                  {sharedView.expiresAt && ` · available until ${new Date(sharedView.expiresAt).toLocaleDateString()}`}
+                </span>
+                <button className="btn btn-primary" onClick={handleFork} disabled={loading}>
+                  <FaCodeBranch />
+                  Fork into my projects
+                </button>
+              </div>
+            )}
+            <div className="editor-header">
+              <span>{currentFile || 'No file selected'}</span>
+              {languageServerStatus !== 'off' && (
+                <span
+                  className={`language-server-status ${languageServerStatus}`}
+                  title="Daml language server: hover, go to definition and completion"
+                >
+                  {LANGUAGE_SERVER_LABELS[languageServerStatus] || languageServerStatus}
+                </span>
+              )}
+            </div>
+            <Editor
+              height="100%"
+              language={languageForFile(currentFile)}
+              theme="vs-dark"
+              path={currentFile}
+              value={files[currentFile] || ''}
+              onChange={handleEditorChange}
+              beforeMount={registerDaml}
+              onMount={handleEditorMount}
+              options={{
+                minimap: { enabled: false },
+                fontSize: 14,
+                lineNumbers: 'on',
+                roundedSelection: false,
+                scrollBeyondLastLine: false,
+                automaticLayout: true,
+                readOnly: !!sharedView,
+              }}
+            />
           </div>
-          <Editor
-            height="100%"
-            language="typescript"
-            theme="vs-dark"
-            value={files[currentFile] || ''}
-            onChange={handleEditorChange}
-            options={{
-              minimap: { enabled: false },
-              fontSize: 14,
-              lineNumbers: 'on',
-              roundedSelection: false,
-              scrollBeyondLastLine: false,
-              automaticLayout: true,
-            }}
-          />
         </div>
 
         {/* Output Panel */}
         <div className="output-container">
           <div className="output-header">
-            <span>Output</span>
+            <div className="output-tabs">
+              <button
+                className={`output-tab ${outputTab === 'output' ? 'active' : ''}`}
+                onClick={() => setOutputTab('output')}
+              >
+                Output
+              </button>
+              <button
+                className={`output-tab ${outputTab === 'tests' ? 'active' : ''}`}
+                onClick={() => setOutputTab('tests')}
+              >
+                Tests
+                {testResults && testResults.summary.total > 0 && ` (${testResults.summary.passed}/${testResults.summary.total})`}
+              </button>
+              <button
+                className={`output-tab ${outputTab === 'trace' ? 'active' : ''}`}
+                onClick={() => setOutputTab('trace')}
+              >
+                Trace
+              </button>
+              <button
+                className={`output-tab ${outputTab === 'package' ? 'active' : ''}`}
+                onClick={() => setOutputTab('package')}
+              >
+                {packages ? 'Packages' : 'Package'}
+              </button>
+              <button
+                className={`output-tab ${outputTab === 'ledger' ? 'active' : ''}`}
+                onClick={() => setOutputTab('ledger')}
+              >
+                Ledger
+              </button>
+              <button
+                className={`output-tab ${outputTab === 'history' ? 'active' : ''}`}
+                onClick={() => setOutputTab('history')}
+              >
+                History
+              </button>
+            </div>
+            {queuePosition ? (
+              <span className="phase-badge">Queued #{queuePosition}</span>
+            ) : phase && (
+              <span className="phase-badge">{PHASE_LABELS[phase] || phase}</span>
+            )}
             {status === 'success' && <FaCheckCircle className="status-icon success" />}
             {status === 'error' && <FaCheckCircle className="status-icon error" />}
           </div>
-          <pre className="output-content">
-            {output || 'Output will appear here...'}
-          </pre>
+          {outputTab === 'output' ? (
+            <pre className="output-content">
+              {output || 'Output will appear here...'}
+            </pre>
+          ) : outputTab === 'trace' ? (
+            <TracePanel traces={traces} fileNames={Object.keys(files)} onSelect={handleJumpTo} />
+          ) : outputTab === 'package' ? (
+            packages ? (
+              <PackagesPanel
+                apiUrl={API_URL}
+                packages={packages}
+                results={packageResults}
+                loading={loading}
+                onBuild={handleBuild}
+                onTest={(pkg) => handleTest({ package: pkg.path })}
+                onSelectDiagnostic={handleJumpTo}
+              />
+            ) : (
+              <PackagePanel apiUrl={API_URL} build={lastBuild} />
+            )
+          ) : outputTab === 'history' ? (
+            <HistoryPanel
+              snapshots={snapshots}
+              comparingId={diffSnapshot && diffSnapshot.id}
+              disabled={loading}
+              onCreate={handleCreateSnapshot}
+              onCompare={setDiffSnapshot}
+              onRestore={handleRestoreSnapshot}
+              onDelete={handleDeleteSnapshot}
+            />
+          ) : outputTab === 'ledger' ? (
+            <LedgerPanel
+              apiUrl={API_URL}
+              build={lastBuild}
+              session={ledgerSession}
+              onSessionChange={setLedgerSession}
+            />
+          ) : (
+            <TestResultsPanel
+              scripts={scripts}
+              results={testResults}
+              loading={loading}
+              onRun={handleTest}
+              onSelect={handleJumpTo}
+            />
+          )}
         </div>
 
+        {showGallery && (
+          <TemplateGallery
+            apiUrl={API_URL}
+            templates={templates}
+            selectedId={selectedTemplate}
+            projectName={(projects.find(p => p.id === activeProjectId) || {}).name}
+            canReplace={!!activeProjectId}
+            hasUnsavedChanges={!snapshots[0] || JSON.stringify(snapshots[0].files) !== JSON.stringify(files)}
+            onCreate={handleCreateFromTemplate}
+            onReplace={handleReplaceWithTemplate}
+            onClose={() => setShowGallery(false)}
+          />
+        )}
+
+        {pendingImport && (
+          <ImportDialog
+            pending={pendingImport}
+            currentFiles={files}
+            warnings={importWarnings(pendingImport.accepted)}
+            onReplace={() => applyImport(false)}
+            onMerge={() => applyImport(true)}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+
         {/* Footer */}
         <footer className="footer">
           NOT official tool, made by <a href="https://x.com/Jpandya26" target="_blank" rel="noopener noreferrer">Jatin</a>, DevRel, <a href="https://canton.foundation" target="_blank" rel="noopener noreferrer">Canton Foundation</a> for community
@@ -0,0 +1,35 @@
+import axios from 'axios';
+
+// API key for the backend. Keys are optional unless the server requires
+// them; with one, quotas are counted per key instead of per IP. The key is
+// kept in localStorage and sent with every axios request.
+
+const API_KEY_KEY = 'canton-ide-api-key';
+
+export function getApiKey() {
+  return localStorage.getItem(API_KEY_KEY) || '';
+}
+
+export function setApiKey(key) {
+  if (key) {
+    localStorage.setItem(API_KEY_KEY, key);
+  } else {
+    localStorage.removeItem(API_KEY_KEY);
+  }
+  applyApiKey();
+}
+
+export function applyApiKey() {
+  const key = getApiKey();
+  if (key) {
+    axios.defaults.headers.common['X-API-Key'] = key;
+  } else {
+    delete axios.defaults.headers.common['X-API-Key'];
+  }
+}
+
+// { caller, quotas: { build, test, template } } for the current key or IP
+export async function fetchQuota(apiUrl) {
+  const response = await axios.get(`${apiUrl}/api/quota`);
+  return { caller: response.data.caller, quotas: response.data.quotas };
+}
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { inputKind, defaultValue, encodeValue } from '../ledgerValues';
+
+// Form generated from a list of { name, type } fields (template fields or
+// choice arguments). Calls onSubmit with the JSON API encoded record.
+function ArgumentForm({ fields, parties, submitLabel, disabled, onSubmit, onCancel }) {
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(fields.map(f => [f.name, defaultValue(f.type)]))
+  );
+  const [error, setError] = useState(null);
+
+  const setValue = (name, value) => setValues(prev => ({ ...prev, [name]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      const record = Object.fromEntries(
+        fields.map(f => [f.name, encodeValue(f.type, values[f.name])])
+      );
+      setError(null);
+      onSubmit(record);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderInput = (field) => {
+    const value = values[field.name];
+    const common = {
+      id: `arg-${field.name}`,
+      disabled,
+      className: 'text-input'
+    };
+
+    switch (inputKind(field.type)) {
+      case 'party':
+        return (
+          <select {...common} className="template-select" value={value} onChange={(e) => setValue(field.name, e.target.value)}>
+            <option value="">Select party…</option>
+            {parties.map(p => <option key={p.party} value={p.party}>{p.party.split('::')[0]}</option>)}
+          </select>
+        );
+      case 'bool':
+        return <input {...common} className="" type="checkbox" checked={value} onChange={(e) => setValue(field.name, e.target.checked)} />;
+      case 'date':
+        return <input {...common} type="date" value={value} onChange={(e) => setValue(field.name, e.target.value)} />;
+      case 'time':
+        return <input {...common} type="datetime-local" value={value} onChange={(e) => setValue(field.name, e.target.value)} />;
+      case 'json':
+        return <textarea {...common} rows={3} value={value} onChange={(e) => setValue(field.name, e.target.value)} />;
+      default:
+        return <input {...common} type="text" value={value} onChange={(e) => setValue(field.name, e.target.value)} />;
+    }
+  };
+
+  return (
+    <form className="argument-form" onSubmit={handleSubmit}>
+      {fields.length === 0 && <div className="package-muted">No arguments</div>}
+      {fields.map(field => (
+        <label key={field.name} htmlFor={`arg-${field.name}`} className="argument-field">
+          <span>{field.name} <span className="package-type">{field.type}</span></span>
+          {renderInput(field)}
+        </label>
+      ))}
+      {error && <div className="argument-error">{error}</div>}
+      <div className="argument-actions">
+        {onCancel && <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>}
+        <button type="submit" className="btn btn-primary" disabled={disabled}>{submitLabel}</button>
+      </div>
+    </form>
+  );
+}
+
+export default ArgumentForm;
@@ -0,0 +1,326 @@
+import React, { useState, useMemo } from 'react';
+import {
+  FaCode, FaFolder, FaFolderOpen, FaFolderPlus, FaPlus, FaPen, FaTrash, FaChevronRight, FaChevronDown,
+  FaBox, FaCog, FaPlay
+} from 'react-icons/fa';
+import {
+  buildFileTree, joinPath, parentOf, checkNewFilePath, checkNewFolderPath, movePath, deletePath, newFileContent
+} from '../fileTree';
+
+// Drags inside the tree carry the dragged path under this type, so they can
+// be told apart from files dropped in from outside (imports)
+const DRAG_TYPE = 'application/x-canton-ide-path';
+
+const isInternalDrag = (e) => Array.from(e.dataTransfer.types).includes(DRAG_TYPE);
+
+// Project files as a folder tree with create, rename, delete and
+// drag-and-drop move. Changes go through onChange(nextFiles, renames),
+// where renames maps old file paths to new ones. With readOnly only
+// browsing is possible. In a multi-package project the package directories
+// are marked with their package name and can be built or tested from the
+// tree.
+function FileExplorer({
+  title = 'Files', files, currentFile, rules, readOnly, actions, packages, busy,
+  onOpen, onChange, onExternalDrop, onBuildPackage, onTestPackage
+}) {
+  // Folders created in the UI that have no files yet
+  const [emptyFolders, setEmptyFolders] = useState([]);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  // { mode: 'file' | 'folder' | 'rename', parent, target, value }
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const paths = Object.keys(files);
+
+  // Rebuild the tree only when paths change, not on every keystroke
+  const pathKey = paths.join('\n');
+  const folderKey = emptyFolders.join('\n');
+  const tree = useMemo(() => {
+    const filePaths = pathKey ? pathKey.split('\n') : [];
+    const folders = folderKey ? folderKey.split('\n') : [];
+    return buildFileTree(filePaths, folders.filter(f => !filePaths.some(p => p.startsWith(`${f}/`))));
+  }, [pathKey, folderKey]);
+
+  const expand = (folder) => setCollapsed(prev => {
+    const next = new Set(prev);
+    for (let f = folder; f; f = parentOf(f)) next.delete(f);
+    return next;
+  });
+
+  const toggle = (folder) => setCollapsed(prev => {
+    const next = new Set(prev);
+    if (next.has(folder)) next.delete(folder);
+    else next.add(folder);
+    return next;
+  });
+
+  const startEditing = (mode, parent, target = null) => {
+    setError(null);
+    if (parent) expand(parent);
+    setEditing({ mode, parent, target, value: target ? target.split('/').pop() : '' });
+  };
+
+  const renameEmptyFolders = (from, to) => setEmptyFolders(prev =>
+    prev.map(f => (f === from || f.startsWith(`${from}/`) ? to + f.slice(from.length) : f))
+  );
+
+  // Move/rename a file or folder, reporting why it cannot be done
+  const move = (from, to) => {
+    const isFile = from in files;
+    if (isFile && to !== from) {
+      const others = { ...files };
+      delete others[from];
+      const check = checkNewFilePath(to, others, rules);
+      if (check.reason) return check.reason;
+    }
+
+    const result = movePath(files, from, to);
+    if (result.reason) return result.reason;
+
+    if (!isFile) renameEmptyFolders(from, to);
+    if (Object.keys(result.renames).length > 0) onChange(result.files, result.renames);
+    expand(parentOf(to));
+    return null;
+  };
+
+  const commitEditing = () => {
+    if (!editing) return;
+    const name = editing.value.trim();
+    if (!name) {
+      setEditing(null);
+      return;
+    }
+
+    const target = joinPath(editing.parent, name);
+    let reason = null;
+
+    if (editing.mode === 'file') {
+      const check = checkNewFilePath(target, files, rules);
+      reason = check.reason;
+      if (!reason) {
+        onChange({ ...files, [check.path]: newFileContent(check.path, files) }, {});
+        onOpen(check.path);
+      }
+    } else if (editing.mode === 'folder') {
+      const check = checkNewFolderPath(target, files);
+      reason = check.reason;
+      if (!reason) {
+        setEmptyFolders(prev => [...prev, check.path]);
+        expand(check.path);
+      }
+    } else {
+      reason = move(editing.target, target);
+    }
+
+    if (reason) {
+      setError(reason);
+    } else {
+      setError(null);
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (node) => {
+    const inside = paths.filter(p => p === node.path || p.startsWith(`${node.path}/`));
+    const question = node.type === 'file'
+      ? `Delete ${node.path}? This cannot be undone.`
+      : `Delete folder ${node.path}${inside.length ? ` and its ${inside.length} file${inside.length === 1 ? '' : 's'}` : ''}? This cannot be undone.`;
+
+    if (!window.confirm(question)) return;
+
+    setEmptyFolders(prev => prev.filter(f => f !== node.path && !f.startsWith(`${node.path}/`)));
+    if (inside.length > 0) onChange(deletePath(files, node.path), {});
+  };
+
+  // --- Drag and drop -----------------------------------------------------
+
+  const handleDragStart = (e, node) => {
+    e.dataTransfer.setData(DRAG_TYPE, node.path);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, folder) => {
+    if (readOnly) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = isInternalDrag(e) ? 'move' : 'copy';
+    setDropTarget(folder);
+  };
+
+  const handleDrop = (e, folder) => {
+    e.stopPropagation();
+    setDropTarget(null);
+
+    if (!isInternalDrag(e)) {
+      onExternalDrop(e);
+      return;
+    }
+
+    e.preventDefault();
+    const from = e.dataTransfer.getData(DRAG_TYPE);
+    if (!from || parentOf(from) === folder) return;
+
+    setError(move(from, joinPath(folder, from.split('/').pop())));
+  };
+
+  // --- Rendering ---------------------------------------------------------
+
+  const renderInput = (depth) => (
+    <div className="tree-row" style={{ paddingLeft: `${0.5 + depth * 0.875}rem` }}>
+      {editing.mode === 'folder' ? <FaFolder size={12} /> : <FaCode size={12} />}
+      <input
+        autoFocus
+        className="tree-input"
+        value={editing.value}
+        placeholder={editing.mode === 'folder' ? 'folder name' : 'File.daml'}
+        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commitEditing();
+          if (e.key === 'Escape') {
+            setEditing(null);
+            setError(null);
+          }
+        }}
+        onBlur={() => {
+          setEditing(null);
+          setError(null);
+        }}
+      />
+    </div>
+  );
+
+  const renderNode = (node, depth) => {
+    const renaming = editing && editing.mode === 'rename' && editing.target === node.path;
+    if (renaming) return <React.Fragment key={node.path}>{renderInput(depth)}</React.Fragment>;
+
+    const rowProps = {
+      draggable: !readOnly,
+      onDragStart: (e) => handleDragStart(e, node),
+      style: { paddingLeft: `${0.5 + depth * 0.875}rem` }
+    };
+
+    if (node.type === 'file') {
+      return (
+        <div
+          key={node.path}
+          {...rowProps}
+          className={`tree-row file-item ${currentFile === node.path ? 'active' : ''}`}
+          onClick={() => onOpen(node.path)}
+          onDragOver={(e) => handleDragOver(e, parentOf(node.path))}
+          onDrop={(e) => handleDrop(e, parentOf(node.path))}
+          title={node.path}
+        >
+          <FaCode size={12} />
+          <span>{node.name}</span>
+          {!readOnly && (
+            <div className="tree-actions" onClick={(e) => e.stopPropagation()}>
+              <button className="tree-action" title="Rename" onClick={() => startEditing('rename', parentOf(node.path), node.path)}>
+                <FaPen size={10} />
+              </button>
+              <button className="tree-action" title="Delete" onClick={() => handleDelete(node)}>
+                <FaTrash size={10} />
+              </button>
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    const open = !collapsed.has(node.path);
+    const creatingHere = editing && editing.mode !== 'rename' && editing.parent === node.path;
+    const pkg = packages && packages.find(p => p.path === node.path);
+
+    return (
+      <div key={node.path}>
+        <div
+          {...rowProps}
+          className={`tree-row file-item folder ${pkg ? 'package' : ''} ${dropTarget === node.path ? 'drop-target' : ''}`}
+          onClick={() => toggle(node.path)}
+          onDragOver={(e) => handleDragOver(e, node.path)}
+          onDragLeave={() => setDropTarget(null)}
+          onDrop={(e) => handleDrop(e, node.path)}
+          title={pkg ? `Package ${pkg.name} (${node.path})` : node.path}
+        >
+          {open ? <FaChevronDown size={9} /> : <FaChevronRight size={9} />}
+          {pkg ? <FaBox size={12} /> : open ? <FaFolderOpen size={12} /> : <FaFolder size={12} />}
+          <span>{node.name}</span>
+          {pkg && pkg.name !== node.name && <span className="tree-package-name">{pkg.name}</span>}
+          <div className="tree-actions" onClick={(e) => e.stopPropagation()}>
+            {pkg && (
+              <>
+                <button className="tree-action" title={`Build ${pkg.name}`} disabled={busy} onClick={() => onBuildPackage(pkg)}>
+                  <FaCog size={10} />
+                </button>
+                <button className="tree-action" title={`Test ${pkg.name}`} disabled={busy} onClick={() => onTestPackage(pkg)}>
+                  <FaPlay size={10} />
+                </button>
+              </>
+            )}
+            {!readOnly && (
+              <>
+                <button className="tree-action" title="New file" onClick={() => startEditing('file', node.path)}>
+                  <FaPlus size={10} />
+                </button>
+                <button className="tree-action" title="New folder" onClick={() => startEditing('folder', node.path)}>
+                  <FaFolderPlus size={10} />
+                </button>
+                <button className="tree-action" title="Rename" onClick={() => startEditing('rename', parentOf(node.path), node.path)}>
+                  <FaPen size={10} />
+                </button>
+                <button className="tree-action" title="Delete" onClick={() => handleDelete(node)}>
+                  <FaTrash size={10} />
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+        {open && (
+          <>
+            {creatingHere && renderInput(depth + 1)}
+            {node.children.map(child => renderNode(child, depth + 1))}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="section">
+      <div className="file-explorer-header">
+        <h3>{title}</h3>
+        <div className="file-actions">
+          {!readOnly && (
+            <>
+              <button onClick={() => startEditing('file', '')} className="btn-icon" title="New file">
+                <FaPlus size={12} />
+              </button>
+              <button onClick={() => startEditing('folder', '')} className="btn-icon" title="New folder">
+                <FaFolderPlus size={12} />
+              </button>
+            </>
+          )}
+          {actions}
+        </div>
+      </div>
+      <div
+        className={`file-list ${dropTarget === '' ? 'drag-over' : ''}`}
+        onDragOver={(e) => handleDragOver(e, '')}
+        onDragLeave={() => setDropTarget(null)}
+        onDrop={(e) => handleDrop(e, '')}
+      >
+        {editing && editing.mode !== 'rename' && editing.parent === '' && renderInput(0)}
+        {tree.children.length === 0 && !editing ? (
+          <div className="file-item" style={{ opacity: 0.5 }}>
+            No files
+          </div>
+        ) : (
+          tree.children.map(node => renderNode(node, 0))
+        )}
+      </div>
+      {error && <div className="tree-error">{error}</div>}
+    </div>
+  );
+}
+
+export default FileExplorer;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import Editor from '@monaco-editor/react';
+import { FaDownload, FaTimes } from 'react-icons/fa';
+import FileExplorer from './FileExplorer';
+import { exportProjectZip } from '../projectArchive';
+
+const LANGUAGES_BY_EXTENSION = {
+  '.ts': 'typescript',
+  '.js': 'javascript',
+  '.java': 'java',
+  '.json': 'json',
+  '.md': 'markdown'
+};
+
+function editorLanguage(file) {
+  const extension = (file.match(/\.[^./]+$/) || [''])[0];
+  return LANGUAGES_BY_EXTENSION[extension] || 'plaintext';
+}
+
+// Client bindings from the last code generation run, one language at a
+// time: a read-only file tree, the selected file and a zip download
+function GeneratedCode({ codegen, projectName, onClose }) {
+  const results = Object.values(codegen);
+  const [language, setLanguage] = useState(() => (results.find(r => r.success) || results[0]).language);
+  const [selected, setSelected] = useState(null);
+
+  const result = codegen[language];
+  const files = result.files || {};
+  const paths = Object.keys(files).sort();
+  const file = selected in files ? selected : paths.find(p => /\.(ts|java)$/.test(p)) || paths[0];
+
+  const handleDownload = () => exportProjectZip(files, `${projectName}-${language}`);
+
+  return (
+    <div className="snapshot-diff generated-code">
+      <div className="editor-header snapshot-diff-header">
+        <span>
+          Generated code <span className="snapshot-diff-muted">
+            {result.success ? `${paths.length} files${result.truncated ? ' (truncated)' : ''}` : 'failed'}
+          </span>
+        </span>
+        <select
+          className="template-select snapshot-diff-select"
+          value={language}
+          onChange={(e) => { setLanguage(e.target.value); setSelected(null); }}
+        >
+          {results.map(r => (
+            <option key={r.language} value={r.language}>{r.label}{r.success ? '' : ' (failed)'}</option>
+          ))}
+        </select>
+        <button className="btn-icon" title="Download as .zip" onClick={handleDownload} disabled={paths.length === 0}>
+          <FaDownload size={12} />
+        </button>
+        <button className="btn-icon" title="Close generated code" onClick={onClose}>
+          <FaTimes size={12} />
+        </button>
+      </div>
+
+      {!result.success ? (
+        <pre className="output-content">{result.error}{result.output ? `\n\n${result.output}` : ''}</pre>
+      ) : (
+        <div className="generated-code-body">
+          <div className="generated-code-tree">
+            <FileExplorer
+              title={result.label}
+              files={files}
+              currentFile={file}
+              readOnly
+              onOpen={setSelected}
+              onChange={() => {}}
+              onExternalDrop={() => {}}
+            />
+            {result.truncated && (
+              <p className="template-description sdk-warning">
+                Only part of the output fits the server's size limit. Run the code generator with a local SDK for the complete bindings.
+              </p>
+            )}
+          </div>
+          {file && (
+            <Editor
+              height="100%"
+              theme="vs-dark"
+              language={editorLanguage(file)}
+              value={files[file]}
+              options={{
+                readOnly: true,
+                minimap: { enabled: false },
+                fontSize: 14,
+                scrollBeyondLastLine: false,
+                automaticLayout: true
+              }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GeneratedCode;
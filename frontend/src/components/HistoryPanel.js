@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { FaCamera, FaColumns, FaUndo, FaTrash } from 'react-icons/fa';
+
+const KIND_LABELS = {
+  build: 'Build',
+  test: 'Test run',
+  manual: 'Saved',
+  auto: 'Automatic'
+};
+
+const STATUS_LABELS = {
+  built: 'Built',
+  passed: 'Tests passed',
+  failed: 'Failed'
+};
+
+// Saved snapshots of the open project, newest first, with compare (diff
+// against the current files), restore and delete
+function HistoryPanel({ snapshots, comparingId, disabled, onCreate, onCompare, onRestore, onDelete }) {
+  const [name, setName] = useState('');
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    onCreate(name.trim() || `Snapshot ${new Date().toLocaleString()}`);
+    setName('');
+  };
+
+  return (
+    <div className="history-panel">
+      <form className="history-form" onSubmit={handleCreate}>
+        <input
+          className="text-input"
+          value={name}
+          placeholder="Snapshot name (optional)"
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit" className="btn-icon" title="Save a snapshot of the current files" disabled={disabled}>
+          <FaCamera size={12} />
+        </button>
+      </form>
+
+      {snapshots.length === 0 && (
+        <p className="panel-empty">
+          No snapshots yet. One is saved after every successful build or test run.
+        </p>
+      )}
+
+      {snapshots.map(snapshot => (
+        <div key={snapshot.id} className={`history-item ${comparingId === snapshot.id ? 'active' : ''}`}>
+          <div className="history-info">
+            <div className="history-name">{snapshot.name}</div>
+            <div className="history-meta">
+              {KIND_LABELS[snapshot.kind] || snapshot.kind}
+              {' · '}
+              {new Date(snapshot.createdAt).toLocaleString()}
+              {' · '}
+              {Object.keys(snapshot.files).length} files
+            </div>
+          </div>
+          <span className={`history-status ${snapshot.status || 'none'}`}>
+            {STATUS_LABELS[snapshot.status] || 'Not built'}
+          </span>
+          <div className="history-actions">
+            <button className="btn-icon" title="Compare with current files" onClick={() => onCompare(snapshot)}>
+              <FaColumns size={12} />
+            </button>
+            <button className="btn-icon" title="Restore this snapshot" onClick={() => onRestore(snapshot)} disabled={disabled}>
+              <FaUndo size={12} />
+            </button>
+            <button
+              className="btn-icon"
+              title="Delete snapshot"
+              onClick={() => {
+                if (window.confirm(`Delete snapshot "${snapshot.name}"?`)) onDelete(snapshot);
+              }}
+            >
+              <FaTrash size={12} />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default HistoryPanel;
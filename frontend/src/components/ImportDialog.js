@@ -0,0 +1,63 @@
+import React from 'react';
+
+// Confirm an import: shows what will be imported, what was rejected by the
+// project file rules, and whether to replace or merge with the current files
+function ImportDialog({ pending, currentFiles, warnings, onReplace, onMerge, onCancel }) {
+  const importedPaths = Object.keys(pending.accepted);
+  const overwritten = importedPaths.filter(p => p in currentFiles);
+  const canMerge = importedPaths.length > 0 && pending.mergeProblems.length === 0;
+
+  return (
+    <div className="modal-backdrop" onClick={onCancel}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Import {pending.source}</h2>
+
+        <p className="modal-text">
+          {importedPaths.length} file{importedPaths.length === 1 ? '' : 's'} can be imported.
+          {overwritten.length > 0 && ` Merging would overwrite ${overwritten.length} existing file${overwritten.length === 1 ? '' : 's'}.`}
+        </p>
+
+        {pending.rejected.length > 0 && (
+          <>
+            <h3>Skipped</h3>
+            <ul className="modal-list">
+              {pending.rejected.map(r => (
+                <li key={`${r.file}:${r.reason}`}><strong>{r.file}</strong>: {r.reason}</li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {importedPaths.length > 0 && pending.mergeProblems.length > 0 && (
+          <>
+            <h3>Cannot merge</h3>
+            <ul className="modal-list">
+              {pending.mergeProblems.map(r => <li key={r.reason}>{r.reason}</li>)}
+            </ul>
+          </>
+        )}
+
+        {warnings.length > 0 && (
+          <>
+            <h3>Warnings</h3>
+            <ul className="modal-list warning">
+              {warnings.map(w => <li key={w}>{w}</li>)}
+            </ul>
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+          <button className="btn btn-primary" onClick={onMerge} disabled={!canMerge}>
+            Merge
+          </button>
+          <button className="btn btn-danger" onClick={onReplace} disabled={importedPaths.length === 0}>
+            Replace
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import axios from 'axios';
+import { FaPlay, FaStop, FaSync, FaUpload } from 'react-icons/fa';
+import ArgumentForm from './ArgumentForm';
+
+const POLL_INTERVAL = 2000;
+
+function errorMessage(error) {
+  return error.response?.data?.error || error.message;
+}
+
+function shortParty(party) {
+  return party.split('::')[0];
+}
+
+// "pkg:Module.Name:Template" -> "Module.Name:Template"
+function qualifiedName(templateId) {
+  return templateId.split(':').slice(-2).join(':');
+}
+
+// Interactive console for a local sandbox ledger running the last built
+// DAR: allocate parties, create contracts and exercise choices on them.
+// The session is kept by App so it survives switching output tabs.
+function LedgerPanel({ apiUrl, build, session, onSessionChange }) {
+  const [parties, setParties] = useState([]);
+  const [party, setParty] = useState('');
+  const [partyHint, setPartyHint] = useState('');
+  const [contracts, setContracts] = useState([]);
+  const [createTemplate, setCreateTemplate] = useState('');
+  const [activeChoice, setActiveChoice] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const sessionUrl = session ? `${apiUrl}/api/ledger/sessions/${session.id}` : null;
+  const ready = session?.status === 'ready';
+
+  // Templates of the built package keyed by "Module:Template"
+  const templates = useMemo(() => {
+    const byName = {};
+    (build?.package?.modules || []).forEach(module => {
+      module.templates.forEach(template => {
+        byName[`${module.name}:${template.name}`] = template;
+      });
+    });
+    return byName;
+  }, [build]);
+
+  // Wait for the sandbox to come up
+  useEffect(() => {
+    if (!session || session.status !== 'starting') return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(sessionUrl);
+        onSessionChange({ ...response.data.session, artifactIds: session.artifactIds });
+      } catch (error) {
+        onSessionChange(null);
+        setMessage({ type: 'error', text: errorMessage(error) });
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [session, sessionUrl, onSessionChange]);
+
+  const loadParties = useCallback(async () => {
+    const response = await axios.get(`${sessionUrl}/parties`);
+    setParties(response.data.parties);
+  }, [sessionUrl]);
+
+  const loadContracts = useCallback(async () => {
+    if (!party) {
+      setContracts([]);
+      return;
+    }
+    const response = await axios.get(`${sessionUrl}/contracts`, { params: { party } });
+    setContracts(response.data.contracts);
+  }, [sessionUrl, party]);
+
+  useEffect(() => {
+    if (ready) loadParties().catch(error => setMessage({ type: 'error', text: errorMessage(error) }));
+  }, [ready, loadParties]);
+
+  useEffect(() => {
+    if (ready) loadContracts().catch(error => setMessage({ type: 'error', text: errorMessage(error) }));
+  }, [ready, loadContracts]);
+
+  // Run a ledger action, showing its error (if any) in the panel
+  const act = async (task, successText) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await task();
+      if (successText) setMessage({ type: 'success', text: successText });
+    } catch (error) {
+      setMessage({ type: 'error', text: errorMessage(error) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () => act(async () => {
+    const response = await axios.post(`${apiUrl}/api/ledger/sessions`, { artifactId: build.artifact.id });
+    onSessionChange({ ...response.data.session, artifactIds: [build.artifact.id] });
+    setParties([]);
+    setParty('');
+    setContracts([]);
+  });
+
+  const handleStop = () => act(async () => {
+    await axios.delete(sessionUrl);
+    onSessionChange(null);
+    setParties([]);
+    setParty('');
+    setContracts([]);
+    setActiveChoice(null);
+  }, 'Ledger stopped');
+
+  const handleUpload = () => act(async () => {
+    const response = await axios.post(`${sessionUrl}/dars`, { artifactId: build.artifact.id });
+    onSessionChange({ ...response.data.session, artifactIds: [...session.artifactIds, build.artifact.id] });
+  }, `Uploaded ${build.artifact.fileName}`);
+
+  const handleAllocate = (e) => {
+    e.preventDefault();
+    act(async () => {
+      const response = await axios.post(`${sessionUrl}/parties`, { hint: partyHint.trim() });
+      setPartyHint('');
+      await loadParties();
+      setParty(response.data.party);
+    }, `Allocated ${partyHint.trim()}`);
+  };
+
+  const describeTransaction = (transaction) =>
+    `${transaction.created.length} created, ${transaction.archived.length} archived`;
+
+  const handleCreate = (createArguments) => act(async () => {
+    const response = await axios.post(`${sessionUrl}/contracts`, {
+      party,
+      templateId: createTemplate,
+      arguments: createArguments
+    });
+    setCreateTemplate('');
+    await loadContracts();
+    setMessage({ type: 'success', text: `Created ${createTemplate}: ${describeTransaction(response.data.transaction)}` });
+  });
+
+  const handleExercise = (argument) => act(async () => {
+    const { contract, choice } = activeChoice;
+    const response = await axios.post(`${sessionUrl}/exercise`, {
+      party,
+      contractId: contract.contractId,
+      templateId: qualifiedName(contract.templateId),
+      choice: choice.name,
+      argument
+    });
+    setActiveChoice(null);
+    await loadContracts();
+    setMessage({ type: 'success', text: `Exercised ${choice.name}: ${describeTransaction(response.data.transaction)}` });
+  });
+
+  if (!build || !build.artifact) {
+    return <p className="panel-empty">Build the project to run it on a local ledger.</p>;
+  }
+
+  if (!session) {
+    return (
+      <div className="ledger-panel">
+        <p className="package-muted">
+          Start a sandbox ledger with {build.artifact.fileName} loaded to create contracts and exercise choices.
+        </p>
+        <button className="btn btn-primary" onClick={handleStart} disabled={busy}>
+          <FaPlay /> Start Ledger
+        </button>
+        {message && <div className={`ledger-message ${message.type}`}>{message.text}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="ledger-panel">
+      <div className="ledger-status">
+        <span className={`ledger-dot ${session.status}`} />
+        <span>Ledger {session.status}</span>
+        <div className="ledger-status-actions">
+          {ready && !session.artifactIds.includes(build.artifact.id) && (
+            <button className="btn-icon" onClick={handleUpload} disabled={busy} title="Upload the latest build">
+              <FaUpload size={12} />
+            </button>
+          )}
+          <button className="btn-icon" onClick={handleStop} disabled={busy} title="Stop ledger">
+            <FaStop size={12} />
+          </button>
+        </div>
+      </div>
+
+      {session.status === 'starting' && (
+        <p className="package-muted">Starting sandbox… this can take a minute.</p>
+      )}
+      {session.status === 'failed' && (
+        <pre className="ledger-error">{session.error}</pre>
+      )}
+      {message && <div className={`ledger-message ${message.type}`}>{message.text}</div>}
+
+      {ready && (
+        <>
+          <div className="ledger-section">
+            <label className="ledger-label" htmlFor="ledger-party">Acting as</label>
+            <select
+              id="ledger-party"
+              className="template-select"
+              value={party}
+              onChange={(e) => setParty(e.target.value)}
+            >
+              <option value="">Select party…</option>
+              {parties.map(p => <option key={p.party} value={p.party}>{shortParty(p.party)}</option>)}
+            </select>
+            <form className="ledger-inline" onSubmit={handleAllocate}>
+              <input
+                className="text-input"
+                placeholder="New party, e.g. Alice"
+                value={partyHint}
+                onChange={(e) => setPartyHint(e.target.value)}
+              />
+              <button type="submit" className="btn btn-secondary" disabled={busy || !partyHint.trim()}>
+                Allocate
+              </button>
+            </form>
+          </div>
+
+          {party && (
+            <div className="ledger-section">
+              <label className="ledger-label" htmlFor="ledger-create">Create contract</label>
+              <select
+                id="ledger-create"
+                className="template-select"
+                value={createTemplate}
+                onChange={(e) => setCreateTemplate(e.target.value)}
+              >
+                <option value="">Select template…</option>
+                {Object.keys(templates).map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+              {createTemplate && (
+                <ArgumentForm
+                  key={createTemplate}
+                  fields={templates[createTemplate].fields}
+                  parties={parties}
+                  submitLabel="Create"
+                  disabled={busy}
+                  onSubmit={handleCreate}
+                  onCancel={() => setCreateTemplate('')}
+                />
+              )}
+            </div>
+          )}
+
+          {party && (
+            <div className="ledger-section">
+              <div className="ledger-label">
+                Active contracts ({contracts.length})
+                <button
+                  className="btn-icon"
+                  onClick={() => act(loadContracts)}
+                  disabled={busy}
+                  title="Refresh contracts"
+                >
+                  <FaSync size={10} />
+                </button>
+              </div>
+              {contracts.length === 0 && <div className="package-muted">No contracts visible to {shortParty(party)}</div>}
+              {contracts.map(contract => {
+                const template = templates[qualifiedName(contract.templateId)];
+                const choosing = activeChoice?.contract.contractId === contract.contractId;
+
+                return (
+                  <div key={contract.contractId} className="ledger-contract">
+                    <div className="package-template-name">{qualifiedName(contract.templateId)}</div>
+                    <div className="package-id" title={contract.contractId}>{contract.contractId}</div>
+                    <pre className="ledger-payload">{JSON.stringify(contract.payload, null, 2)}</pre>
+                    <div className="ledger-choices">
+                      {(template ? template.choices : []).map(choice => (
+                        <button
+                          key={choice.name}
+                          className={`ledger-choice ${choosing && activeChoice.choice.name === choice.name ? 'active' : ''}`}
+                          onClick={() => setActiveChoice({ contract, choice })}
+                          disabled={busy}
+                        >
+                          {choice.name}
+                        </button>
+                      ))}
+                    </div>
+                    {choosing && (
+                      <ArgumentForm
+                        key={activeChoice.choice.name}
+                        fields={activeChoice.choice.arguments}
+                        parties={parties}
+                        submitLabel={`Exercise ${activeChoice.choice.name}`}
+                        disabled={busy}
+                        onSubmit={handleExercise}
+                        onCancel={() => setActiveChoice(null)}
+                      />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LedgerPanel;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { FaDownload } from 'react-icons/fa';
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Contents of the last built DAR: package details, modules, templates and
+// choices, plus a download link for deploying it elsewhere
+function PackagePanel({ apiUrl, build }) {
+  if (!build || !build.artifact) {
+    return <p className="panel-empty">Build the project to inspect its DAR.</p>;
+  }
+
+  const { artifact, package: pkg } = build;
+
+  return (
+    <div className="package-panel">
+      <div className="package-header">
+        <div>
+          <div className="package-name">{pkg.packageName} {pkg.packageVersion}</div>
+          <div className="package-id" title={pkg.packageId || ''}>
+            {pkg.packageId ? `Package ID ${pkg.packageId}` : 'Package ID unavailable'}
+          </div>
+          {pkg.sdkVersion && <div className="package-id">SDK {pkg.sdkVersion}</div>}
+        </div>
+        <a
+          className="btn-icon"
+          href={`${apiUrl}${artifact.downloadUrl}`}
+          download={artifact.fileName}
+          title={`Download ${artifact.fileName} (${formatSize(artifact.size)})`}
+        >
+          <FaDownload size={12} />
+        </a>
+      </div>
+
+      {pkg.modules.length === 0 && <p className="panel-empty">No modules found.</p>}
+
+      {pkg.modules.map(module => (
+        <div key={module.name} className="package-module">
+          <div className="package-module-name">{module.name}</div>
+          {module.templates.length === 0 && <div className="package-muted">No templates</div>}
+          {module.templates.map(template => (
+            <div key={template.name} className="package-template">
+              <div className="package-template-name">template {template.name}</div>
+              {template.fields.map(field => (
+                <div key={field.name} className="package-field">
+                  {field.name} : <span className="package-type">{field.type}</span>
+                </div>
+              ))}
+              {template.choices.map(choice => (
+                <div key={choice.name} className="package-choice">
+                  <span className="package-choice-name">
+                    {choice.consuming ? '' : 'nonconsuming '}choice {choice.name}
+                  </span>
+                  {' : '}<span className="package-type">{choice.returnType}</span>
+                  {choice.arguments.map(arg => (
+                    <div key={arg.name} className="package-field">
+                      {arg.name} : <span className="package-type">{arg.type}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PackagePanel;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { FaCheckCircle, FaTimesCircle, FaMinusCircle, FaCog, FaPlay } from 'react-icons/fa';
+import PackagePanel from './PackagePanel';
+
+const STATUS_ICONS = {
+  success: <FaCheckCircle className="status-icon success" />,
+  failed: <FaTimesCircle className="status-icon error" />,
+  skipped: <FaMinusCircle className="status-icon skipped" />
+};
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Packages of a multi-package project with the outcome of their last build
+// or test. Each can be built or tested on its own (the backend builds what
+// it depends on first); the selected package's DAR is shown below.
+function PackagesPanel({ apiUrl, packages, results, loading, onBuild, onTest, onSelectDiagnostic }) {
+  const [selected, setSelected] = useState(null);
+
+  const nameOf = (path) => (packages.find(p => p.path === path) || {}).name || path;
+  const current = packages.find(p => p.path === selected) || packages.find(p => results[p.path]) || packages[0];
+
+  return (
+    <div className="packages-panel">
+      <div className="packages-list">
+        {packages.length === 0 && (
+          <p className="panel-empty">multi-package.yaml lists no packages with a daml.yaml.</p>
+        )}
+        {packages.map(pkg => {
+          const result = results[pkg.path];
+          const firstError = result && result.diagnostics.find(d => d.severity === 'error');
+
+          return (
+            <div
+              key={pkg.path}
+              className={`packages-row ${result ? result.status : ''} ${current === pkg ? 'active' : ''}`}
+              onClick={() => setSelected(pkg.path)}
+            >
+              <div className="packages-row-header">
+                {result ? STATUS_ICONS[result.status] : <FaMinusCircle className="status-icon" />}
+                <span className="test-name">{pkg.name}</span>
+                <span className="test-file">{pkg.path || '.'}</span>
+                {result && result.status !== 'skipped' && (
+                  <span className="test-duration">{formatDuration(result.durationMs)}</span>
+                )}
+                <button
+                  className="btn-icon"
+                  title={`Build ${pkg.name}${pkg.dependencies.length ? ' and what it depends on' : ''}`}
+                  disabled={loading}
+                  onClick={(e) => { e.stopPropagation(); onBuild(pkg); }}
+                >
+                  <FaCog size={11} />
+                </button>
+                <button
+                  className="btn-icon"
+                  title={`Test ${pkg.name}`}
+                  disabled={loading}
+                  onClick={(e) => { e.stopPropagation(); onTest(pkg); }}
+                >
+                  <FaPlay size={11} />
+                </button>
+              </div>
+              {pkg.dependencies.length > 0 && (
+                <div className="test-stats">Depends on {pkg.dependencies.map(nameOf).join(', ')}</div>
+              )}
+              {result && result.status === 'skipped' && <div className="test-stats">{result.error}</div>}
+              {result && result.summary && (
+                <div className="test-stats">{result.summary.passed} of {result.summary.total} scripts passed</div>
+              )}
+              {firstError && (
+                <div
+                  className="packages-problem"
+                  onClick={(e) => { e.stopPropagation(); onSelectDiagnostic(firstError); }}
+                >
+                  {result.diagnostics.length} problem{result.diagnostics.length === 1 ? '' : 's'} · {firstError.file}:{firstError.line}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {current && <PackagePanel apiUrl={apiUrl} build={results[current.path]} />}
+    </div>
+  );
+}
+
+export default PackagesPanel;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { FaTimesCircle, FaExclamationTriangle, FaInfoCircle } from 'react-icons/fa';
+
+const SEVERITY_ICONS = {
+  error: FaTimesCircle,
+  warning: FaExclamationTriangle,
+  info: FaInfoCircle,
+  hint: FaInfoCircle
+};
+
+// Sidebar list of compiler diagnostics; clicking one jumps to its location
+function ProblemsPanel({ diagnostics, onSelect }) {
+  if (!diagnostics || diagnostics.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="section">
+      <h3>Problems ({diagnostics.length})</h3>
+      <div className="problem-list">
+        {diagnostics.map((diagnostic, index) => {
+          const Icon = SEVERITY_ICONS[diagnostic.severity] || FaTimesCircle;
+          return (
+            <div
+              key={`${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${index}`}
+              className={`problem-item ${diagnostic.severity}`}
+              onClick={() => onSelect(diagnostic)}
+              title={diagnostic.message}
+            >
+              <Icon size={12} className="problem-icon" />
+              <div className="problem-text">
+                <span className="problem-message">{diagnostic.message.split('\n')[0]}</span>
+                <span className="problem-location">
+                  {diagnostic.file}:{diagnostic.line}:{diagnostic.column}
+                </span>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default ProblemsPanel;
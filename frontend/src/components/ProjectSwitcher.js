@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { FaPlus, FaCopy, FaPen, FaTrash } from 'react-icons/fa';
+
+function formatModified(iso) {
+  const date = new Date(iso);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : date.toLocaleDateString();
+}
+
+// Header control for the locally stored projects: switch between them and
+// create, duplicate, rename or delete them. activeId is null while a shared
+// project is open.
+function ProjectSwitcher({ projects, activeId, disabled, onSwitch, onCreate, onDuplicate, onRename, onDelete }) {
+  const [renaming, setRenaming] = useState(null);
+  const active = projects.find(p => p.id === activeId);
+
+  if (!active && projects.length === 0) return null;
+
+  const commitRename = () => {
+    const name = renaming.trim();
+    if (name && name !== active.name) onRename(name);
+    setRenaming(null);
+  };
+
+  return (
+    <div className="project-switcher">
+      {renaming !== null ? (
+        <input
+          autoFocus
+          className="text-input project-name-input"
+          value={renaming}
+          onChange={(e) => setRenaming(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitRename();
+            if (e.key === 'Escape') setRenaming(null);
+          }}
+          onBlur={commitRename}
+        />
+      ) : (
+        <select
+          className="template-select project-select"
+          value={activeId || ''}
+          onChange={(e) => onSwitch(e.target.value)}
+          disabled={disabled}
+          title={active ? `Created ${new Date(active.createdAt).toLocaleString()}, modified ${new Date(active.updatedAt).toLocaleString()}` : ''}
+        >
+          {!active && <option value="" disabled>Shared project (read-only)</option>}
+          {projects.map(project => (
+            <option key={project.id} value={project.id}>
+              {project.name} · {formatModified(project.updatedAt)}
+            </option>
+          ))}
+        </select>
+      )}
+      <button className="btn-icon" onClick={onCreate} disabled={disabled} title="New empty project">
+        <FaPlus size={12} />
+      </button>
+      <button className="btn-icon" onClick={onDuplicate} disabled={disabled || !active} title="Duplicate project">
+        <FaCopy size={12} />
+      </button>
+      <button className="btn-icon" onClick={() => setRenaming(active.name)} disabled={disabled || !active} title="Rename project">
+        <FaPen size={12} />
+      </button>
+      <button
+        className="btn-icon"
+        onClick={() => {
+          if (window.confirm(`Delete project "${active.name}" and all its files? This cannot be undone.`)) onDelete();
+        }}
+        disabled={disabled || !active}
+        title="Delete project"
+      >
+        <FaTrash size={12} />
+      </button>
+    </div>
+  );
+}
+
+export default ProjectSwitcher;
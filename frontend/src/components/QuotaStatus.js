@@ -0,0 +1,43 @@
+import React from 'react';
+import { FaKey } from 'react-icons/fa';
+
+const QUOTA_LABELS = {
+  build: 'Builds',
+  test: 'Tests',
+  template: 'Templates'
+};
+
+// Header summary of the remaining build/test/template quota, plus a button
+// to set or clear the API key. status is { caller, quotas } or { error }.
+function QuotaStatus({ status, hasKey, onChangeKey }) {
+  if (!status) return null;
+
+  const quotas = status.quotas ? Object.values(status.quotas).filter(q => q.limit) : [];
+  const title = status.error
+    ? status.error
+    : `${status.caller.anonymous ? 'No API key: quotas are shared by everyone on your network' : `API key: ${status.caller.name}`}\n` +
+      quotas.map(q => `${QUOTA_LABELS[q.action] || q.action}: ${q.remaining} of ${q.limit} left, resets ${new Date(q.resetAt).toLocaleTimeString()}`).join('\n');
+
+  return (
+    <div className="quota-status" title={title}>
+      {status.error ? (
+        <span className="quota-item low">{status.error}</span>
+      ) : (
+        quotas.map(q => (
+          <span key={q.action} className={`quota-item ${q.remaining === 0 ? 'empty' : q.remaining <= q.limit / 10 ? 'low' : ''}`}>
+            {QUOTA_LABELS[q.action] || q.action} {q.remaining}/{q.limit}
+          </span>
+        ))
+      )}
+      <button
+        className={`btn-icon ${hasKey ? 'active' : ''}`}
+        title={hasKey ? 'Change or remove API key' : 'Set API key'}
+        onClick={onChangeKey}
+      >
+        <FaKey size={12} />
+      </button>
+    </div>
+  );
+}
+
+export default QuotaStatus;
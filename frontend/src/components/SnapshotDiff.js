@@ -0,0 +1,69 @@
+import React, { useState, useMemo } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { FaTimes, FaUndo } from 'react-icons/fa';
+import { languageForFile } from '../damlLanguage';
+
+// Files that differ between a snapshot and the current project
+function changedFiles(before, after) {
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return paths
+    .filter(path => before[path] !== after[path])
+    .map(path => ({
+      path,
+      change: !(path in before) ? 'added' : !(path in after) ? 'removed' : 'modified'
+    }));
+}
+
+// Side-by-side diff of a snapshot (left) against the current files (right)
+function SnapshotDiff({ snapshot, files, currentFile, onRestore, onClose }) {
+  const changes = useMemo(() => changedFiles(snapshot.files, files), [snapshot, files]);
+  const [selected, setSelected] = useState(() =>
+    changes.some(c => c.path === currentFile) ? currentFile : (changes[0] && changes[0].path)
+  );
+
+  const file = changes.some(c => c.path === selected) ? selected : changes[0] && changes[0].path;
+
+  return (
+    <div className="snapshot-diff">
+      <div className="editor-header snapshot-diff-header">
+        <span>
+          {snapshot.name} <span className="snapshot-diff-muted">→ current files</span>
+        </span>
+        {changes.length > 0 && (
+          <select className="template-select snapshot-diff-select" value={file} onChange={(e) => setSelected(e.target.value)}>
+            {changes.map(c => (
+              <option key={c.path} value={c.path}>{c.path} ({c.change})</option>
+            ))}
+          </select>
+        )}
+        <button className="btn-icon" title="Restore this snapshot" onClick={() => onRestore(snapshot)}>
+          <FaUndo size={12} />
+        </button>
+        <button className="btn-icon" title="Close diff" onClick={onClose}>
+          <FaTimes size={12} />
+        </button>
+      </div>
+      {file ? (
+        <DiffEditor
+          height="100%"
+          theme="vs-dark"
+          language={languageForFile(file)}
+          original={snapshot.files[file] || ''}
+          modified={files[file] || ''}
+          options={{
+            readOnly: true,
+            renderSideBySide: true,
+            minimap: { enabled: false },
+            fontSize: 14,
+            scrollBeyondLastLine: false,
+            automaticLayout: true
+          }}
+        />
+      ) : (
+        <p className="panel-empty">The current files are identical to this snapshot.</p>
+      )}
+    </div>
+  );
+}
+
+export default SnapshotDiff;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Editor from '@monaco-editor/react';
+import { FaSearch, FaCode } from 'react-icons/fa';
+import { TEMPLATE_CATEGORIES, fetchTemplatePreview, mainModuleOf, templateMatches } from '../templates';
+import { languageForFile } from '../damlLanguage';
+
+// Modal for picking a project template: search, templates grouped by
+// category, and a preview of the files before anything is loaded. Loading
+// creates a new project; replacing the open project's files asks first.
+function TemplateGallery({
+  apiUrl, templates, selectedId, projectName, canReplace, hasUnsavedChanges, onCreate, onReplace, onClose
+}) {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(selectedId);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [confirmReplace, setConfirmReplace] = useState(false);
+  // Fetched files by template id, so going back and forth stays instant
+  const filesCache = useRef(new Map());
+
+  const template = templates.find(t => t.id === selected);
+
+  useEffect(() => {
+    if (!template) return;
+    let cancelled = false;
+    setConfirmReplace(false);
+    setPreviewError(null);
+
+    const cached = filesCache.current.get(template.id);
+    if (cached) {
+      setPreview(cached);
+      return;
+    }
+
+    setPreview(null);
+    fetchTemplatePreview(apiUrl, template.id)
+      .then(files => {
+        filesCache.current.set(template.id, files);
+        if (!cancelled) setPreview(files);
+      })
+      .catch(error => {
+        console.error('Error loading template preview:', error);
+        if (!cancelled) setPreviewError(error.response?.data?.error || error.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [apiUrl, template]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const matching = templates.filter(t => templateMatches(t, query));
+  const sections = TEMPLATE_CATEGORIES
+    .map(category => ({
+      ...category,
+      templates: matching.filter(t => (TEMPLATE_CATEGORIES.some(c => c.id === t.category) ? t.category : 'other') === category.id)
+    }))
+    .filter(section => section.templates.length > 0);
+
+  const mainModule = preview && mainModuleOf(preview);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal template-gallery" onClick={(e) => e.stopPropagation()}>
+        <div className="gallery-sidebar">
+          <div className="gallery-search">
+            <FaSearch size={12} />
+            <input
+              autoFocus
+              className="text-input"
+              value={query}
+              placeholder="Search templates"
+              onChange={(e) => setQuery(e.target.value)}
+            />
+          </div>
+          <div className="gallery-list">
+            {sections.length === 0 && <p className="panel-empty">No templates match "{query}".</p>}
+            {sections.map(section => (
+              <div key={section.id} className="gallery-section">
+                <h3>{section.label}</h3>
+                {section.templates.map(t => (
+                  <div
+                    key={t.id}
+                    className={`gallery-item ${t.id === selected ? 'active' : ''}`}
+                    onClick={() => setSelected(t.id)}
+                    onDoubleClick={() => preview && t.id === selected && onCreate(t)}
+                  >
+                    <div className="gallery-item-name">{t.name}</div>
+                    <div className="gallery-item-description">{t.description}</div>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="gallery-preview">
+          {!template ? (
+            <p className="panel-empty">Pick a template to preview it.</p>
+          ) : (
+            <>
+              <h2>{template.name}</h2>
+              <p className="modal-text">{template.description}</p>
+
+              {previewError ? (
+                <p className="tree-error">Could not load template: {previewError}</p>
+              ) : !preview ? (
+                <p className="panel-empty">
+                  {template.source === 'dpm' ? 'Generating template with dpm…' : 'Loading template…'}
+                </p>
+              ) : (
+                <>
+                  <h3>{Object.keys(preview).length} files</h3>
+                  <ul className="gallery-files">
+                    {Object.keys(preview).sort().map(file => (
+                      <li key={file} className={file === mainModule ? 'main' : ''}>
+                        <FaCode size={10} /> {file}
+                      </li>
+                    ))}
+                  </ul>
+                  {mainModule && (
+                    <>
+                      <h3>{mainModule}</h3>
+                      <div className="gallery-code">
+                        <Editor
+                          height="100%"
+                          theme="vs-dark"
+                          language={languageForFile(mainModule)}
+                          value={preview[mainModule]}
+                          options={{
+                            readOnly: true,
+                            minimap: { enabled: false },
+                            fontSize: 12,
+                            lineNumbers: 'off',
+                            scrollBeyondLastLine: false,
+                            automaticLayout: true
+                          }}
+                        />
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
+            </>
+          )}
+
+          {confirmReplace ? (
+            <div className="gallery-confirm">
+              <p className="modal-text warning">
+                This replaces all files in "{projectName}" with the {template.name} template.
+                {hasUnsavedChanges
+                  ? ' The project has changes that are not in any snapshot; they will be saved as a snapshot in History first.'
+                  : ' The current files are already saved in History.'}
+              </p>
+              <div className="modal-actions">
+                <button className="btn btn-secondary" onClick={() => setConfirmReplace(false)}>Back</button>
+                <button className="btn btn-danger" onClick={() => onReplace(template)}>
+                  Replace files
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+              {canReplace && (
+                <button className="btn btn-danger" onClick={() => setConfirmReplace(true)} disabled={!preview}>
+                  Replace current files
+                </button>
+              )}
+              <button className="btn btn-primary" onClick={() => onCreate(template)} disabled={!preview}>
+                Create project
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TemplateGallery;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { FaCheckCircle, FaTimesCircle, FaPlay } from 'react-icons/fa';
+
+const ALL = '__all__';
+const FILTER = '__filter__';
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Per-script results of the last test run, plus controls to run one
+// script or a --test-pattern filter instead of the whole suite
+function TestResultsPanel({ scripts, results, loading, onRun, onSelect }) {
+  const [selection, setSelection] = useState(ALL);
+  const [pattern, setPattern] = useState('');
+
+  const handleRun = () => {
+    if (selection === ALL) {
+      onRun({});
+    } else if (selection === FILTER) {
+      onRun(pattern.trim() ? { pattern: pattern.trim() } : {});
+    } else {
+      onRun({ script: selection });
+    }
+  };
+
+  // Scripts with the same name in different modules cannot be told apart
+  // by --test-pattern, so only offer each name once
+  const scriptNames = [...new Set(scripts.map(s => s.name))];
+
+  return (
+    <div className="test-results">
+      <div className="test-controls">
+        <select
+          value={selection}
+          onChange={(e) => setSelection(e.target.value)}
+          className="template-select"
+          disabled={loading}
+        >
+          <option value={ALL}>All scripts</option>
+          {scriptNames.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+          <option value={FILTER}>Filter pattern…</option>
+        </select>
+        {selection === FILTER && (
+          <input
+            type="text"
+            className="text-input"
+            placeholder="Regex, e.g. ^test"
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            disabled={loading}
+          />
+        )}
+        <button onClick={handleRun} disabled={loading} className="btn-icon" title="Run selected tests">
+          <FaPlay size={12} />
+        </button>
+      </div>
+
+      {!results ? (
+        <p className="test-empty">Run tests to see per-script results.</p>
+      ) : results.tests.length === 0 ? (
+        <p className="test-empty">No script results were reported. Check the Output tab.</p>
+      ) : (
+        <>
+          <div className="test-summary">
+            {results.summary.passed} passed, {results.summary.failed} failed
+            {results.durationMs !== undefined && ` in ${formatDuration(results.durationMs)}`}
+          </div>
+          {results.tests.map(test => (
+            <div
+              key={`${test.file}:${test.name}`}
+              className={`test-row ${test.status}`}
+              onClick={() => test.line && onSelect({ file: test.file, line: test.line, column: 1 })}
+            >
+              <div className="test-row-header">
+                {test.status === 'passed'
+                  ? <FaCheckCircle className="status-icon success" />
+                  : <FaTimesCircle className="status-icon error" />}
+                <span className="test-name">{test.name}</span>
+                <span className="test-file">{test.file}</span>
+                <span className="test-duration">{formatDuration(test.durationMs)}</span>
+              </div>
+              {test.transactions !== null && (
+                <div className="test-stats">
+                  {test.transactions} transactions, {test.activeContracts} active contracts
+                </div>
+              )}
+              {test.message && <pre className="test-message">{test.message}</pre>}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TestResultsPanel;
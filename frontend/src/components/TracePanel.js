@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+
+// "Main:20:3" -> { file, line, column }, when the module is in the project
+function resolveLocation(location, fileNames) {
+  const match = location && location.match(/^([\w.]+):(\d+):(\d+)$/);
+  if (!match) return null;
+
+  const suffix = `${match[1].replace(/\./g, '/')}.daml`;
+  const file = fileNames.find(name => name === suffix || name.endsWith(`/${suffix}`));
+  return file ? { file, line: Number(match[2]), column: Number(match[3]) } : null;
+}
+
+function describeStep(step) {
+  if (step.failed) return 'submitMustFail';
+
+  const parts = [];
+  if (step.exercised.length) parts.push(step.exercised.map(e => e.choice).join(', '));
+  if (step.created.length) parts.push(`+${step.created.length}`);
+  if (step.archived.length) parts.push(`−${step.archived.length}`);
+  return parts.join('  ') || 'no changes';
+}
+
+function NodeView({ node }) {
+  const disclosed = Object.keys(node.disclosedTo);
+
+  return (
+    <div className="trace-node">
+      <div className="trace-node-action">
+        <span className="trace-id">#{node.id}</span>{' '}
+        <span className="trace-actors">{node.actors.join(', ')}</span>{' '}
+        {node.kind === 'create' && <>creates <span className="package-type">{node.templateId}</span></>}
+        {node.kind === 'exercise' && (
+          <>
+            exercises <span className="package-choice-name">{node.choice}</span> on #{node.contractId}
+            {node.templateId && <> (<span className="package-type">{node.templateId}</span>)</>}
+          </>
+        )}
+        {node.kind === 'fetch' && <>fetches #{node.contractId}</>}
+        {node.kind === 'lookup' && <>looks up <span className="package-type">{node.templateId}</span> by key</>}
+        {node.kind === 'other' && node.description}
+      </div>
+      {node.payload && <pre className="trace-payload">{node.payload}</pre>}
+      {disclosed.length > 0 && <div className="package-muted">Visible to {disclosed.join(', ')}</div>}
+      {node.children.map(child => <NodeView key={child.id} node={child} />)}
+    </div>
+  );
+}
+
+// Step-by-step timeline of a Daml Script run: what each submit did, and
+// which contracts every party could see once it was committed
+function TracePanel({ traces, fileNames, onSelect }) {
+  const [scriptIndex, setScriptIndex] = useState(0);
+  const [stepIndex, setStepIndex] = useState(0);
+
+  // New results: start again at the first script that submitted anything
+  useEffect(() => {
+    const first = (traces || []).findIndex(trace => trace.steps.length > 0);
+    setScriptIndex(Math.max(first, 0));
+    setStepIndex(0);
+  }, [traces]);
+
+  if (!traces) {
+    return <p className="panel-empty">Run tests to see what each script did on the ledger.</p>;
+  }
+  if (traces.length === 0) {
+    return <p className="panel-empty">No transaction trace was reported. Check the Output tab.</p>;
+  }
+
+  const trace = traces[scriptIndex] || traces[0];
+  const step = trace.steps[stepIndex];
+  const location = step && resolveLocation(step.location, fileNames);
+
+  return (
+    <div className="trace-panel">
+      <select
+        className="template-select"
+        value={scriptIndex}
+        onChange={(e) => {
+          setScriptIndex(Number(e.target.value));
+          setStepIndex(0);
+        }}
+      >
+        {traces.map((t, index) => (
+          <option key={`${t.file}:${t.script}`} value={index}>
+            {t.script || 'Script'} ({t.steps.length} steps)
+          </option>
+        ))}
+      </select>
+
+      {trace.steps.length === 0 ? (
+        <p className="package-muted">This script did not submit any transactions.</p>
+      ) : (
+        <>
+          <ol className="trace-timeline">
+            {trace.steps.map((s, index) => (
+              <li
+                key={index}
+                className={`trace-step ${index === stepIndex ? 'active' : ''} ${s.failed ? 'failed' : ''}`}
+                onClick={() => setStepIndex(index)}
+              >
+                <span className="trace-step-title">
+                  {s.failed ? 'Expected failure' : `TX ${s.index}`} · {s.submitters.join(', ') || 'unknown'}
+                </span>
+                <span className="trace-step-summary">{describeStep(s)}</span>
+              </li>
+            ))}
+          </ol>
+
+          {step && (
+            <div className="trace-detail">
+              <div className="trace-detail-header">
+                <span>{step.failed ? 'Submit expected to fail' : `Transaction ${step.index}`}</span>
+                {step.location && (
+                  <button
+                    className="trace-location"
+                    disabled={!location}
+                    onClick={() => onSelect(location)}
+                    title="Show in editor"
+                  >
+                    {step.location}
+                  </button>
+                )}
+              </div>
+              {step.nodes.map(node => <NodeView key={node.id} node={node} />)}
+
+              <div className="ledger-label">Active contracts per party after this step</div>
+              <div className="trace-parties">
+                {trace.parties.map(party => (
+                  <div key={party} className="trace-party">
+                    <div className="trace-party-name">{party}</div>
+                    {step.visibleTo[party].length === 0 && <div className="package-muted">Nothing visible</div>}
+                    {step.visibleTo[party].map(id => {
+                      const contract = trace.contracts[id];
+                      return (
+                        <div key={id} className={`trace-contract ${step.created.includes(id) ? 'new' : ''}`}>
+                          <span className="trace-id">#{id}</span>{' '}
+                          <span className="package-type">{contract.templateId}</span>
+                          {contract.payload && <pre className="trace-payload">{contract.payload}</pre>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {trace.returnValue && <div className="package-muted">Return value: {trace.returnValue}</div>}
+    </div>
+  );
+}
+
+export default TracePanel;
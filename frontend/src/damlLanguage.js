@@ -0,0 +1,274 @@
+// Daml language support for Monaco: a Monarch tokenizer, bracket, comment
+// and indentation rules, and snippet completions for common skeletons.
+
+export const DAML_LANGUAGE_ID = 'daml';
+
+const KEYWORDS = [
+  'module', 'where', 'import', 'qualified', 'as', 'hiding',
+  'template', 'interface', 'exception', 'with', 'signatory', 'observer',
+  'controller', 'choice', 'nonconsuming', 'preconsuming', 'postconsuming',
+  'ensure', 'key', 'maintainer', 'agreement', 'viewtype', 'implements',
+  'requires', 'message', 'view',
+  'do', 'let', 'in', 'if', 'then', 'else', 'case', 'of',
+  'data', 'type', 'newtype', 'class', 'instance', 'deriving', 'forall',
+  'try', 'catch', 'infix', 'infixl', 'infixr'
+];
+
+// Ledger and script functions worth picking out from ordinary identifiers
+const BUILTINS = [
+  'create', 'exercise', 'exerciseByKey', 'fetch', 'fetchByKey', 'lookupByKey',
+  'archive', 'submit', 'submitMulti', 'submitMustFail', 'submitMultiMustFail',
+  'createCmd', 'exerciseCmd', 'exerciseByKeyCmd', 'createAndExerciseCmd', 'archiveCmd',
+  'query', 'queryContractId', 'queryFilter', 'allocateParty', 'allocatePartyWithHint',
+  'script', 'return', 'pure', 'this', 'self', 'assert', 'assertMsg', 'abort',
+  'throw', 'debug', 'getTime', 'setTime', 'passTime'
+];
+
+// Which Monaco language to use for a project file
+export function languageForFile(fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+
+  switch (extension) {
+    case 'daml': return DAML_LANGUAGE_ID;
+    case 'yaml':
+    case 'yml': return 'yaml';
+    case 'json': return 'json';
+    case 'md': return 'markdown';
+    default: return 'plaintext';
+  }
+}
+
+const languageConfiguration = (monaco) => ({
+  comments: {
+    lineComment: '--',
+    blockComment: ['{-', '-}']
+  },
+  brackets: [
+    ['{', '}'],
+    ['[', ']'],
+    ['(', ')']
+  ],
+  autoClosingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"', notIn: ['string', 'comment'] },
+    { open: '{-', close: ' -}', notIn: ['string'] }
+  ],
+  surroundingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"' }
+  ],
+  // Layout blocks open after these words and after `=` / `->`
+  onEnterRules: [
+    {
+      beforeText: /^\s*(?!--).*(\bwhere|\bwith|\bdo|\bof|\bthen|\belse|=|->)\s*(--.*)?$/,
+      action: { indentAction: monaco.languages.IndentAction.Indent }
+    }
+  ],
+  indentationRules: {
+    increaseIndentPattern: /^\s*(?!--).*(\bwhere|\bwith|\bdo|\bof|=|->)\s*$/,
+    decreaseIndentPattern: /^\s*(then|else)\b/
+  },
+  folding: {
+    offSide: true
+  }
+});
+
+const monarchTokens = {
+  defaultToken: '',
+  keywords: KEYWORDS,
+  builtins: BUILTINS,
+
+  operators: [
+    '=', '->', '<-', '=>', '::', ':', '|', '\\', '@', '~', '.', '$', '<$>', '<*>',
+    '>>=', '>>', '==', '/=', '<', '<=', '>', '>=', '&&', '||', '++', '+', '-',
+    '*', '/', '<>', '!!', '&'
+  ],
+  symbols: /[=><!~?:&|+\-*/^%$@.\\]+/,
+  escapes: /\\(?:[abfnrtv\\"']|x[0-9A-Fa-f]+|\d+)/,
+
+  tokenizer: {
+    root: [
+      // Pragmas before block comments, both start with {-
+      [/\{-#/, 'annotation', '@pragma'],
+      [/\{-/, 'comment', '@comment'],
+      [/--+(?![=><!~?:&|+*/^%$@.\\]).*$/, 'comment'],
+
+      // Module paths and constructors / types
+      [/[A-Z][\w']*(?:\.[A-Z][\w']*)*/, 'type.identifier'],
+
+      [/[a-z_][\w']*/, {
+        cases: {
+          '@keywords': 'keyword',
+          '@builtins': 'predefined',
+          '@default': 'identifier'
+        }
+      }],
+
+      { include: '@whitespace' },
+
+      [/[{}()[\]]/, '@brackets'],
+      [/[,;`]/, 'delimiter'],
+
+      [/@symbols/, {
+        cases: {
+          '@operators': 'operator',
+          '@default': 'operator'
+        }
+      }],
+
+      // Numbers, including Decimal literals like 100.0
+      [/\d+\.\d+([eE][-+]?\d+)?/, 'number.float'],
+      [/0[xX][0-9a-fA-F]+/, 'number.hex'],
+      [/\d+/, 'number'],
+
+      [/"([^"\\]|\\.)*$/, 'string.invalid'],
+      [/"/, 'string', '@string'],
+      [/'(?:[^'\\]|@escapes)'/, 'string']
+    ],
+
+    whitespace: [
+      [/[ \t\r\n]+/, '']
+    ],
+
+    // Block comments nest in Daml
+    comment: [
+      [/[^{-]+/, 'comment'],
+      [/\{-/, 'comment', '@push'],
+      [/-\}/, 'comment', '@pop'],
+      [/[{-]/, 'comment']
+    ],
+
+    pragma: [
+      [/#-\}/, 'annotation', '@pop'],
+      [/[^#]+/, 'annotation'],
+      [/#/, 'annotation']
+    ],
+
+    string: [
+      [/[^\\"]+/, 'string'],
+      [/@escapes/, 'string.escape'],
+      [/\\./, 'string.escape.invalid'],
+      [/"/, 'string', '@pop']
+    ]
+  }
+};
+
+// ${1:name} below are Monaco snippet placeholders, not template literals
+/* eslint-disable no-template-curly-in-string */
+const SNIPPETS = [
+  {
+    label: 'template',
+    detail: 'Template with a signatory and a choice',
+    insertText: [
+      'template ${1:Name}',
+      '  with',
+      '    ${2:owner} : Party',
+      '  where',
+      '    signatory ${2:owner}',
+      '',
+      '    choice ${3:Action} : ContractId ${1:Name}',
+      '      controller ${2:owner}',
+      '      do',
+      '        create this',
+      '$0'
+    ].join('\n')
+  },
+  {
+    label: 'choice',
+    detail: 'Consuming choice',
+    insertText: [
+      'choice ${1:Name} : ${2:()}',
+      '  with',
+      '    ${3:arg} : ${4:Party}',
+      '  controller ${5:owner}',
+      '  do',
+      '    ${0:return ()}'
+    ].join('\n')
+  },
+  {
+    label: 'nonconsuming choice',
+    detail: 'Choice that keeps the contract active',
+    insertText: [
+      'nonconsuming choice ${1:Name} : ${2:()}',
+      '  controller ${3:owner}',
+      '  do',
+      '    ${0:return ()}'
+    ].join('\n')
+  },
+  {
+    label: 'script',
+    detail: 'Daml Script that allocates a party',
+    insertText: [
+      '${1:setup} : Script ()',
+      '${1:setup} = script do',
+      '  ${2:alice} <- allocateParty "${3:Alice}"',
+      '  ${0:return ()}'
+    ].join('\n')
+  },
+  {
+    label: 'submit create',
+    detail: 'Submit a create command',
+    insertText: '${1:cid} <- submit ${2:party} do\n  createCmd ${3:Template} with\n    ${0}'
+  },
+  {
+    label: 'submit exercise',
+    detail: 'Submit an exercise command',
+    insertText: '${1:result} <- submit ${2:party} do\n  exerciseCmd ${3:cid} ${4:Choice} with\n    ${0}'
+  },
+  {
+    label: 'data',
+    detail: 'Record type',
+    insertText: 'data ${1:Name} = ${1:Name}\n  with\n    ${2:field} : ${3:Text}\n  deriving (Eq, Show)'
+  },
+  {
+    label: 'module',
+    detail: 'Module header',
+    insertText: 'module ${1:Main} where\n\nimport Daml.Script\n\n$0'
+  }
+];
+/* eslint-enable no-template-curly-in-string */
+
+// Register the Daml language once per Monaco instance
+export function registerDaml(monaco) {
+  if (monaco.languages.getLanguages().some(language => language.id === DAML_LANGUAGE_ID)) {
+    return;
+  }
+
+  monaco.languages.register({ id: DAML_LANGUAGE_ID, extensions: ['.daml'], aliases: ['Daml', 'daml'] });
+  monaco.languages.setLanguageConfiguration(DAML_LANGUAGE_ID, languageConfiguration(monaco));
+  monaco.languages.setMonarchTokensProvider(DAML_LANGUAGE_ID, monarchTokens);
+
+  monaco.languages.registerCompletionItemProvider(DAML_LANGUAGE_ID, {
+    provideCompletionItems: (model, position) => {
+      const word = model.getWordUntilPosition(position);
+      const range = {
+        startLineNumber: position.lineNumber,
+        endLineNumber: position.lineNumber,
+        startColumn: word.startColumn,
+        endColumn: word.endColumn
+      };
+
+      const snippets = SNIPPETS.map(snippet => ({
+        label: snippet.label,
+        kind: monaco.languages.CompletionItemKind.Snippet,
+        detail: snippet.detail,
+        insertText: snippet.insertText,
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        range
+      }));
+
+      const keywords = KEYWORDS.map(keyword => ({
+        label: keyword,
+        kind: monaco.languages.CompletionItemKind.Keyword,
+        insertText: keyword,
+        range
+      }));
+
+      return { suggestions: [...snippets, ...keywords] };
+    }
+  });
+}
@@ -0,0 +1,138 @@
+import { normalizePath, DEFAULT_RULES } from './projectFiles';
+
+// Pure helpers behind the file explorer. Folders are implied by file
+// paths; empty folders the user just created are passed in separately.
+
+// Nested tree of { name, path, type, children } with folders first
+export function buildFileTree(paths, extraFolders = []) {
+  const root = { name: '', path: '', type: 'folder', children: [] };
+  const folders = new Map([['', root]]);
+
+  const folderFor = (folderPath) => {
+    if (folders.has(folderPath)) return folders.get(folderPath);
+
+    const slash = folderPath.lastIndexOf('/');
+    const parent = folderFor(slash === -1 ? '' : folderPath.slice(0, slash));
+    const folder = { name: folderPath.slice(slash + 1), path: folderPath, type: 'folder', children: [] };
+    parent.children.push(folder);
+    folders.set(folderPath, folder);
+    return folder;
+  };
+
+  extraFolders.forEach(folderFor);
+  paths.forEach(filePath => {
+    const slash = filePath.lastIndexOf('/');
+    folderFor(slash === -1 ? '' : filePath.slice(0, slash)).children.push({
+      name: filePath.slice(slash + 1),
+      path: filePath,
+      type: 'file'
+    });
+  });
+
+  const sort = (node) => {
+    node.children.sort((a, b) =>
+      a.type !== b.type ? (a.type === 'folder' ? -1 : 1) : a.name.localeCompare(b.name)
+    );
+    node.children.filter(child => child.type === 'folder').forEach(sort);
+  };
+  sort(root);
+
+  return root;
+}
+
+export function joinPath(folder, name) {
+  return folder ? `${folder}/${name}` : name;
+}
+
+export function parentOf(filePath) {
+  const slash = filePath.lastIndexOf('/');
+  return slash === -1 ? '' : filePath.slice(0, slash);
+}
+
+const isInside = (filePath, folder) => filePath.startsWith(`${folder}/`);
+
+// Check a new file path; returns { path } or { reason }
+export function checkNewFilePath(filePath, files, rules = DEFAULT_RULES) {
+  const { path, reason } = normalizePath(filePath);
+  if (reason) return { reason };
+
+  const name = path.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  const extension = dot > 0 ? name.slice(dot).toLowerCase() : '';
+  if (!rules.allowedExtensions.includes(extension)) {
+    return { reason: `File type "${extension || 'none'}" is not allowed (use ${rules.allowedExtensions.join(', ')})` };
+  }
+  if (path in files) return { reason: `${path} already exists` };
+  if (Object.keys(files).some(existing => isInside(existing, path))) {
+    return { reason: `${path} is a folder` };
+  }
+  if (Object.keys(files).some(existing => isInside(path, existing))) {
+    return { reason: `${parentOf(path)} is a file` };
+  }
+
+  return { path };
+}
+
+export function checkNewFolderPath(folderPath, files) {
+  const { path, reason } = normalizePath(folderPath);
+  if (reason) return { reason };
+  if (path in files) return { reason: `${path} is a file` };
+  if (Object.keys(files).some(existing => isInside(existing, path))) {
+    return { reason: `${path} already exists` };
+  }
+  if (Object.keys(files).some(existing => isInside(path, existing))) {
+    return { reason: `${parentOf(path)} is a file` };
+  }
+  return { path };
+}
+
+// Move or rename a file or folder. Returns { files, renames } where
+// renames maps each old file path to its new one, or { reason }.
+export function movePath(files, from, to) {
+  const { path: target, reason } = normalizePath(to);
+  if (reason) return { reason };
+  if (target === from) return { files, renames: {} };
+
+  const isFolder = !(from in files);
+  if (isFolder && (target === from || isInside(target, from))) {
+    return { reason: 'A folder cannot be moved into itself' };
+  }
+
+  const renames = {};
+  Object.keys(files).forEach(filePath => {
+    if (filePath === from) renames[filePath] = target;
+    else if (isFolder && isInside(filePath, from)) renames[filePath] = target + filePath.slice(from.length);
+  });
+
+  const moved = new Set(Object.keys(renames));
+  const remaining = Object.keys(files).filter(filePath => !moved.has(filePath));
+  const clash = Object.values(renames).find(newPath =>
+    remaining.includes(newPath) || remaining.some(existing => isInside(newPath, existing) || isInside(existing, newPath))
+  );
+  if (clash) return { reason: `${clash} already exists` };
+
+  const next = {};
+  Object.entries(files).forEach(([filePath, content]) => {
+    next[renames[filePath] || filePath] = content;
+  });
+  return { files: next, renames };
+}
+
+// Remove a file, or a folder with everything in it
+export function deletePath(files, target) {
+  const next = {};
+  Object.entries(files).forEach(([filePath, content]) => {
+    if (filePath !== target && !isInside(filePath, target)) next[filePath] = content;
+  });
+  return next;
+}
+
+// Starting content for a new file: Daml modules get their module header
+export function newFileContent(filePath, files) {
+  if (!filePath.endsWith('.daml')) return '';
+
+  const source = ((files['daml.yaml'] || '').match(/^source:\s*(\S+)/m) || [])[1] || 'daml';
+  const relative = isInside(filePath, source) ? filePath.slice(source.length + 1) : filePath.split('/').pop();
+  const moduleName = relative.replace(/\.daml$/, '').split('/').join('.');
+  return `module ${moduleName} where\n`;
+}
@@ -0,0 +1,120 @@
+import {
+  buildFileTree, joinPath, parentOf, checkNewFilePath, checkNewFolderPath,
+  movePath, deletePath, newFileContent
+} from './fileTree';
+
+const FILES = {
+  'daml.yaml': 'sdk-version: 3.4.10\nname: app\nversion: 1.0.0\nsource: daml\n',
+  'daml/Main.daml': 'module Main where\n',
+  'daml/Lib/Util.daml': 'module Lib.Util where\n',
+  'README.md': '# App\n'
+};
+
+// The tree as nested [name, children] pairs, for readable expectations
+const shape = (node) => node.type === 'file' ? node.name : [node.name, node.children.map(shape)];
+
+describe('buildFileTree', () => {
+  it('nests files under their folders, folders first and sorted by name', () => {
+    expect(shape(buildFileTree(Object.keys(FILES)))).toEqual(
+      ['', [['daml', [['Lib', ['Util.daml']], 'Main.daml']], 'daml.yaml', 'README.md']]
+    );
+  });
+
+  it('keeps full paths on every node', () => {
+    const [daml] = buildFileTree(Object.keys(FILES)).children;
+    expect(daml.path).toBe('daml');
+    expect(daml.children[0].path).toBe('daml/Lib');
+    expect(daml.children[0].children[0].path).toBe('daml/Lib/Util.daml');
+  });
+
+  it('shows empty folders that were just created', () => {
+    expect(shape(buildFileTree(['daml.yaml'], ['tests/unit']))).toEqual(
+      ['', [['tests', [['unit', []]]], 'daml.yaml']]
+    );
+  });
+});
+
+describe('path helpers', () => {
+  it('joins and splits paths at the project root', () => {
+    expect(joinPath('', 'a.daml')).toBe('a.daml');
+    expect(joinPath('daml', 'a.daml')).toBe('daml/a.daml');
+    expect(parentOf('a.daml')).toBe('');
+    expect(parentOf('daml/Lib/Util.daml')).toBe('daml/Lib');
+  });
+});
+
+describe('checkNewFilePath', () => {
+  it('accepts a new file', () => {
+    expect(checkNewFilePath('daml/Lib/New.daml', FILES)).toEqual({ path: 'daml/Lib/New.daml' });
+  });
+
+  it('refuses existing paths, folders and paths under a file', () => {
+    expect(checkNewFilePath('daml/Main.daml', FILES).reason).toBe('daml/Main.daml already exists');
+    expect(checkNewFilePath('daml/Lib', FILES).reason).toMatch(/not allowed/);
+    expect(checkNewFilePath('daml/Lib.daml/X.daml', { 'daml/Lib.daml': '' }).reason).toBe('daml/Lib.daml is a file');
+    expect(checkNewFilePath('docs.md/notes.md', { 'docs.md/notes.md/x.md': '' }).reason).toBe('docs.md/notes.md is a folder');
+  });
+
+  it('refuses file types and paths the backend would reject', () => {
+    expect(checkNewFilePath('run.sh', FILES).reason).toMatch(/^File type "\.sh" is not allowed/);
+    expect(checkNewFilePath('../x.daml', FILES).reason).toMatch(/escapes/);
+  });
+});
+
+describe('checkNewFolderPath', () => {
+  it('accepts a new folder and refuses clashes', () => {
+    expect(checkNewFolderPath('tests', FILES)).toEqual({ path: 'tests' });
+    expect(checkNewFolderPath('daml/Lib', FILES).reason).toBe('daml/Lib already exists');
+    expect(checkNewFolderPath('README.md', FILES).reason).toBe('README.md is a file');
+    expect(checkNewFolderPath('README.md/sub', FILES).reason).toBe('README.md is a file');
+  });
+});
+
+describe('movePath', () => {
+  it('renames a file', () => {
+    const { files, renames } = movePath(FILES, 'README.md', 'docs/README.md');
+
+    expect(renames).toEqual({ 'README.md': 'docs/README.md' });
+    expect(files['docs/README.md']).toBe(FILES['README.md']);
+    expect('README.md' in files).toBe(false);
+  });
+
+  it('moves a folder with everything in it', () => {
+    const { files, renames } = movePath(FILES, 'daml/Lib', 'daml/Common');
+
+    expect(renames).toEqual({ 'daml/Lib/Util.daml': 'daml/Common/Util.daml' });
+    expect(Object.keys(files).sort()).toEqual(['README.md', 'daml.yaml', 'daml/Common/Util.daml', 'daml/Main.daml']);
+  });
+
+  it('does not treat a folder with a longer name as inside the moved one', () => {
+    const { renames } = movePath({ 'daml/Lib/A.daml': '', 'daml/Library/B.daml': '' }, 'daml/Lib', 'lib');
+    expect(renames).toEqual({ 'daml/Lib/A.daml': 'lib/A.daml' });
+  });
+
+  it('refuses moves onto existing files and into the folder itself', () => {
+    expect(movePath(FILES, 'README.md', 'daml/Main.daml').reason).toBe('daml/Main.daml already exists');
+    expect(movePath(FILES, 'daml', 'daml/Lib/daml').reason).toBe('A folder cannot be moved into itself');
+    expect(movePath(FILES, 'README.md', '../README.md').reason).toMatch(/escapes/);
+  });
+
+  it('changes nothing when the path stays the same', () => {
+    expect(movePath(FILES, 'README.md', './README.md')).toEqual({ files: FILES, renames: {} });
+  });
+});
+
+describe('deletePath', () => {
+  it('removes a file or a whole folder', () => {
+    expect(Object.keys(deletePath(FILES, 'README.md'))).not.toContain('README.md');
+    expect(Object.keys(deletePath(FILES, 'daml')).sort()).toEqual(['README.md', 'daml.yaml']);
+    expect(deletePath(FILES, 'dam')).toEqual(FILES);
+  });
+});
+
+describe('newFileContent', () => {
+  it('starts Daml modules with a header named after the path under the source folder', () => {
+    expect(newFileContent('daml/Lib/New.daml', FILES)).toBe('module Lib.New where\n');
+    expect(newFileContent('src/Foo/Bar.daml', { 'daml.yaml': 'source: src\n' })).toBe('module Foo.Bar where\n');
+    expect(newFileContent('other/Thing.daml', FILES)).toBe('module Thing where\n');
+    expect(newFileContent('notes.md', FILES)).toBe('');
+  });
+});
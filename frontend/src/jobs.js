@@ -0,0 +1,46 @@
+import axios from 'axios';
+
+// Follow a queued build/test job until it finishes.
+// Live events come over Server-Sent Events; if the stream breaks we fall
+// back to polling the job status endpoint. Resolves with the job result.
+export function followJob(apiUrl, jobId, onEvent) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${apiUrl}/api/jobs/${jobId}/events`);
+    let finished = false;
+
+    const finish = (result) => {
+      finished = true;
+      source.close();
+      resolve(result);
+    };
+
+    ['status', 'phase', 'output'].forEach(event => {
+      source.addEventListener(event, (e) => onEvent(event, JSON.parse(e.data)));
+    });
+
+    source.addEventListener('done', (e) => finish(JSON.parse(e.data)));
+
+    // EventSource would reconnect and replay every event; poll instead
+    source.onerror = () => {
+      if (finished) return;
+      source.close();
+      pollJob(apiUrl, jobId, onEvent).then(resolve, reject);
+    };
+  });
+}
+
+async function pollJob(apiUrl, jobId, onEvent, interval = 2000) {
+  while (true) {
+    const response = await axios.get(`${apiUrl}/api/jobs/${jobId}`);
+    const { job } = response.data;
+
+    if (job.status === 'finished') {
+      return job.result;
+    }
+
+    onEvent('status', { status: job.status, position: job.position, queueLength: job.queueLength });
+    if (job.phase) onEvent('phase', { phase: job.phase });
+
+    await new Promise(r => setTimeout(r, interval));
+  }
+}
@@ -0,0 +1,407 @@
+import axios from 'axios';
+import { DAML_LANGUAGE_ID, languageForFile } from './damlLanguage';
+import { getApiKey } from './apiAccess';
+
+// Minimal LSP client for the Daml language server the backend runs per
+// workspace (ws://<api>/api/lsp). It keeps the project's .daml files open
+// on the server, shows its diagnostics as markers, and answers Monaco's
+// hover, go-to-definition and completion requests from it.
+
+// The backend maps this root to the workspace directory
+const PROJECT_ROOT = 'file:///project';
+
+const MARKER_OWNER = 'daml-ide';
+const CHANGE_DELAY = 300;
+const RECONNECT_DELAY = 10000;
+// Give up after this many connections in a row that never became ready,
+// until the next edit. Syncs the backend refuses (4xx: files it will not
+// accept) are not failures; they are tried again once the files change.
+const MAX_FAILURES = 3;
+
+// Close codes used by the backend bridge
+const CLOSE_REPLACED = 4000;
+const CLOSE_BUSY = 1013;
+
+const toUri = (file) => `${PROJECT_ROOT}/${file.split('/').map(encodeURIComponent).join('/')}`;
+const fromUri = (uri) => decodeURIComponent(uri.slice(PROJECT_ROOT.length + 1));
+
+// Project path of a Monaco model (models are created with path={file})
+const modelFile = (model) => model.uri.path.replace(/^\//, '');
+
+const toPosition = (position) => ({ line: position.lineNumber - 1, character: position.column - 1 });
+
+const toRange = (range) => ({
+  startLineNumber: range.start.line + 1,
+  startColumn: range.start.character + 1,
+  endLineNumber: range.end.line + 1,
+  endColumn: range.end.character + 1
+});
+
+// LSP hover contents come as a string, MarkedString, MarkupContent or array
+function toMarkdown(contents) {
+  if (!contents) return [];
+  if (Array.isArray(contents)) return contents.flatMap(toMarkdown);
+  if (typeof contents === 'string') return [{ value: contents }];
+  if (contents.language) return [{ value: `\`\`\`${contents.language}\n${contents.value}\n\`\`\`` }];
+  return [{ value: contents.value }];
+}
+
+function completionKind(monaco, kind) {
+  const kinds = monaco.languages.CompletionItemKind;
+  const byLspKind = {
+    2: kinds.Method, 3: kinds.Function, 4: kinds.Constructor, 5: kinds.Field,
+    6: kinds.Variable, 7: kinds.Class, 8: kinds.Interface, 9: kinds.Module,
+    10: kinds.Property, 13: kinds.Enum, 14: kinds.Keyword, 15: kinds.Snippet,
+    20: kinds.EnumMember, 21: kinds.Constant, 22: kinds.Struct, 25: kinds.TypeParameter
+  };
+  return byLspKind[kind] || kinds.Text;
+}
+
+export function connectLanguageServer({ apiUrl, monaco, workspaceId, onStatus, onNavigate }) {
+  let socket = null;
+  let ready = false;
+  let disposed = false;
+  let started = false;
+  let nextId = 1;
+  let files = {};
+  let changeTimer = null;
+  let reconnectTimer = null;
+  let failures = 0;
+  // Waiting for the files to change after the backend refused them
+  let refused = false;
+  let gaveUp = false;
+
+  const pending = new Map();
+  const documents = new Map();
+  const diagnostics = new Map();
+  const disposables = [];
+
+  const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ jsonrpc: '2.0', ...message }));
+    }
+  };
+
+  const notify = (method, params) => send({ method, params });
+
+  const request = (method, params) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    send({ id, method, params });
+  });
+
+  // --- Diagnostics -------------------------------------------------------
+
+  const applyMarkers = (model) => {
+    const list = diagnostics.get(modelFile(model)) || [];
+    const severities = [null, monaco.MarkerSeverity.Error, monaco.MarkerSeverity.Warning,
+      monaco.MarkerSeverity.Info, monaco.MarkerSeverity.Hint];
+
+    monaco.editor.setModelMarkers(model, MARKER_OWNER, list.map(d => ({
+      ...toRange(d.range),
+      severity: severities[d.severity] || monaco.MarkerSeverity.Error,
+      message: d.message,
+      source: d.source || 'damlc'
+    })));
+  };
+
+  const clearMarkers = () => {
+    diagnostics.clear();
+    monaco.editor.getModels().forEach(model => monaco.editor.setModelMarkers(model, MARKER_OWNER, []));
+  };
+
+  disposables.push(monaco.editor.onDidCreateModel(applyMarkers));
+
+  // --- Document sync -----------------------------------------------------
+
+  const damlFiles = () => Object.keys(files).filter(file => file.endsWith('.daml'));
+
+  // Send open/change/close notifications for whatever changed since last time
+  const flushChanges = () => {
+    clearTimeout(changeTimer);
+    changeTimer = null;
+    if (!ready) return;
+
+    const current = new Set(damlFiles());
+
+    documents.forEach((doc, file) => {
+      if (!current.has(file)) {
+        notify('textDocument/didClose', { textDocument: { uri: toUri(file) } });
+        documents.delete(file);
+      }
+    });
+
+    current.forEach(file => {
+      const text = files[file];
+      const doc = documents.get(file);
+
+      if (!doc) {
+        documents.set(file, { version: 1, text });
+        notify('textDocument/didOpen', {
+          textDocument: { uri: toUri(file), languageId: DAML_LANGUAGE_ID, version: 1, text }
+        });
+      } else if (doc.text !== text) {
+        doc.version += 1;
+        doc.text = text;
+        notify('textDocument/didChange', {
+          textDocument: { uri: toUri(file), version: doc.version },
+          contentChanges: [{ text }]
+        });
+      }
+    });
+  };
+
+  // Files on disk matter for daml.yaml and modules the server reads itself
+  const syncWorkspace = () => axios.post(`${apiUrl}/api/workspaces/${workspaceId}/sync`, { files });
+
+  // --- Connection --------------------------------------------------------
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined && !message.method) {
+      const waiting = pending.get(message.id);
+      if (!waiting) return;
+      pending.delete(message.id);
+      if (message.error) waiting.reject(new Error(message.error.message));
+      else waiting.resolve(message.result);
+      return;
+    }
+
+    if (message.method === 'textDocument/publishDiagnostics') {
+      const file = fromUri(message.params.uri);
+      diagnostics.set(file, message.params.diagnostics);
+      const model = monaco.editor.getModel(monaco.Uri.parse(file));
+      if (model) applyMarkers(model);
+      return;
+    }
+
+    // Requests from the server (configuration, progress, registrations)
+    // need an answer, but nothing here depends on them
+    if (message.id !== undefined) {
+      send({ id: message.id, result: null });
+    }
+  };
+
+  const handleClose = (event) => {
+    ready = false;
+    socket = null;
+    documents.clear();
+    pending.forEach(({ reject }) => reject(new Error('Language server disconnected')));
+    pending.clear();
+    clearMarkers();
+
+    if (disposed) return;
+
+    if (event.code === CLOSE_REPLACED) {
+      onStatus('replaced');
+      return;
+    }
+
+    retry(event.code === CLOSE_BUSY ? 'busy' : 'offline');
+  };
+
+  const retry = (status) => {
+    failures += 1;
+    if (failures >= MAX_FAILURES) {
+      gaveUp = true;
+      onStatus('unavailable');
+      return;
+    }
+    onStatus(status);
+    reconnectTimer = setTimeout(start, RECONNECT_DELAY);
+  };
+
+  async function start() {
+    if (disposed) return;
+    onStatus('starting');
+
+    try {
+      await syncWorkspace();
+    } catch (error) {
+      console.error('Workspace sync failed:', error);
+      const status = error.response?.status;
+      if (status >= 400 && status < 500 && status !== 429) {
+        refused = true;
+        onStatus('invalid');
+      } else {
+        retry('offline');
+      }
+      return;
+    }
+    if (disposed) return;
+
+    // WebSockets cannot carry headers, so the API key goes in the URL
+    const apiKey = getApiKey();
+    const url = `${apiUrl.replace(/^http/, 'ws')}/api/lsp?workspace=${encodeURIComponent(workspaceId)}` +
+      (apiKey ? `&apiKey=${encodeURIComponent(apiKey)}` : '');
+    socket = new WebSocket(url);
+    socket.onmessage = handleMessage;
+    socket.onclose = handleClose;
+
+    socket.onopen = async () => {
+      try {
+        await request('initialize', {
+          processId: null,
+          rootUri: PROJECT_ROOT,
+          capabilities: {
+            textDocument: {
+              synchronization: { dynamicRegistration: false },
+              hover: { contentFormat: ['markdown', 'plaintext'] },
+              completion: { completionItem: { snippetSupport: true } },
+              definition: {},
+              publishDiagnostics: {}
+            }
+          }
+        });
+        notify('initialized', {});
+        ready = true;
+        failures = 0;
+        flushChanges();
+        onStatus('ready');
+      } catch (error) {
+        console.error('Language server initialize failed:', error);
+      }
+    };
+  }
+
+  // --- Monaco providers --------------------------------------------------
+
+  // Requests need the server to have seen the latest text first
+  const ask = (method, model, position) => {
+    if (!ready) return Promise.resolve(null);
+    flushChanges();
+    return request(method, {
+      textDocument: { uri: toUri(modelFile(model)) },
+      position: toPosition(position)
+    }).catch(() => null);
+  };
+
+  disposables.push(monaco.languages.registerHoverProvider(DAML_LANGUAGE_ID, {
+    provideHover: async (model, position) => {
+      const hover = await ask('textDocument/hover', model, position);
+      if (!hover || !hover.contents) return null;
+      return {
+        contents: toMarkdown(hover.contents),
+        range: hover.range ? toRange(hover.range) : undefined
+      };
+    }
+  }));
+
+  disposables.push(monaco.languages.registerDefinitionProvider(DAML_LANGUAGE_ID, {
+    provideDefinition: async (model, position) => {
+      const result = await ask('textDocument/definition', model, position);
+      const locations = Array.isArray(result) ? result : result ? [result] : [];
+
+      return locations
+        .map(location => ({
+          file: fromUri(location.uri || location.targetUri),
+          range: location.range || location.targetSelectionRange
+        }))
+        .filter(({ file }) => file in files)
+        .map(({ file, range }) => {
+          // Peek and go-to need a model for the target file
+          const uri = monaco.Uri.parse(file);
+          if (!monaco.editor.getModel(uri)) {
+            monaco.editor.createModel(files[file], languageForFile(file), uri);
+          }
+          return { uri, range: toRange(range) };
+        });
+    }
+  }));
+
+  disposables.push(monaco.languages.registerCompletionItemProvider(DAML_LANGUAGE_ID, {
+    triggerCharacters: ['.'],
+    provideCompletionItems: async (model, position) => {
+      const result = await ask('textDocument/completion', model, position);
+      const items = Array.isArray(result) ? result : (result && result.items) || [];
+      const word = model.getWordUntilPosition(position);
+      const range = {
+        startLineNumber: position.lineNumber,
+        endLineNumber: position.lineNumber,
+        startColumn: word.startColumn,
+        endColumn: word.endColumn
+      };
+
+      return {
+        suggestions: items.map(item => ({
+          label: item.label,
+          kind: completionKind(monaco, item.kind),
+          detail: item.detail,
+          documentation: item.documentation && toMarkdown(item.documentation)[0],
+          insertText: (item.textEdit && item.textEdit.newText) || item.insertText || item.label,
+          insertTextRules: item.insertTextFormat === 2
+            ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+            : undefined,
+          sortText: item.sortText,
+          filterText: item.filterText,
+          range
+        }))
+      };
+    }
+  }));
+
+  // Jumping to a definition in another file switches the open file
+  if (monaco.editor.registerEditorOpener) {
+    disposables.push(monaco.editor.registerEditorOpener({
+      openCodeEditor: (source, resource, selectionOrPosition) => {
+        const file = resource.path.replace(/^\//, '');
+        if (!(file in files)) return false;
+
+        const position = selectionOrPosition && (selectionOrPosition.startLineNumber
+          ? { lineNumber: selectionOrPosition.startLineNumber, column: selectionOrPosition.startColumn }
+          : selectionOrPosition);
+        onNavigate({ file, line: position ? position.lineNumber : 1, column: position ? position.column : 1 });
+        return true;
+      }
+    }));
+  }
+
+  return {
+    // Called with the full project on every edit
+    update(nextFiles) {
+      const structureChanged = Object.keys(nextFiles).join('\n') !== Object.keys(files).join('\n') ||
+        nextFiles['daml.yaml'] !== files['daml.yaml'];
+      files = nextFiles;
+
+      if (!started) {
+        started = true;
+        start();
+        return;
+      }
+
+      if (refused) {
+        refused = false;
+        reconnectTimer = setTimeout(start, CHANGE_DELAY);
+        return;
+      }
+      if (gaveUp) {
+        // One more attempt; a failure gives up again right away
+        gaveUp = false;
+        failures = MAX_FAILURES - 1;
+        reconnectTimer = setTimeout(start, RECONNECT_DELAY);
+        return;
+      }
+
+      if (ready && structureChanged) {
+        syncWorkspace().catch(error => console.error('Workspace sync failed:', error));
+      }
+      if (!changeTimer) changeTimer = setTimeout(flushChanges, CHANGE_DELAY);
+    },
+
+    dispose() {
+      disposed = true;
+      clearTimeout(changeTimer);
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+      clearMarkers();
+      disposables.forEach(d => d.dispose());
+    }
+  };
+}
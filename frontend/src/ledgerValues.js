@@ -0,0 +1,64 @@
+// Form inputs for Daml values and their JSON Ledger API encoding.
+// Types come from the package summary as written in the source
+// (e.g. "Party", "Decimal", "Optional Text", "[Party]").
+
+function stripParens(type) {
+  const trimmed = type.trim();
+  return /^\(.*\)$/.test(trimmed) ? trimmed.slice(1, -1).trim() : trimmed;
+}
+
+// Which form control to render for a type
+export function inputKind(type) {
+  const t = stripParens(type);
+
+  if (t === 'Party') return 'party';
+  if (t === 'Bool') return 'bool';
+  if (t === 'Int') return 'int';
+  if (t === 'Decimal' || /^Numeric\b/.test(t)) return 'decimal';
+  if (t === 'Text') return 'text';
+  if (t === 'Date') return 'date';
+  if (t === 'Time') return 'time';
+  if (/^ContractId\b/.test(t)) return 'text';
+  if (/^Optional\b/.test(t)) return 'optional';
+  return 'json';
+}
+
+export function defaultValue(type) {
+  switch (inputKind(type)) {
+    case 'bool': return false;
+    case 'json': return /^\[/.test(stripParens(type)) ? '[]' : '{}';
+    default: return '';
+  }
+}
+
+// Convert a form value to the JSON API encoding; throws on bad input
+export function encodeValue(type, raw) {
+  const t = stripParens(type);
+
+  switch (inputKind(t)) {
+    case 'bool':
+      return Boolean(raw);
+    case 'int':
+      if (!/^-?\d+$/.test(String(raw).trim())) throw new Error(`"${raw}" is not an Int`);
+      return String(raw).trim();
+    case 'decimal':
+      if (!/^-?\d+(\.\d+)?$/.test(String(raw).trim())) throw new Error(`"${raw}" is not a Decimal`);
+      return String(raw).trim();
+    case 'time': {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) throw new Error(`"${raw}" is not a Time`);
+      return date.toISOString();
+    }
+    case 'optional':
+      return String(raw).trim() === '' ? null : encodeValue(t.replace(/^Optional\s+/, ''), raw);
+    case 'json':
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        throw new Error(`Value for ${t} must be JSON`);
+      }
+    default:
+      if (String(raw).trim() === '') throw new Error(`A ${t} value is required`);
+      return String(raw);
+  }
+}
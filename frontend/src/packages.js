@@ -0,0 +1,76 @@
+// Multi-package projects (see backend/lib/packages.js): a root
+// multi-package.yaml lists package directories, each with a daml.yaml.
+// The YAML is read with line scans, which covers the plain lists dpm
+// generates; the backend does the real parsing before building.
+
+export const MULTI_PACKAGE_FILE = 'multi-package.yaml';
+
+// Items of a top-level block list ("key:" followed by "- item" lines)
+function listItems(content, key) {
+  const lines = (content || '').split('\n');
+  const start = lines.findIndex(line => new RegExp(`^${key}\\s*:\\s*$`).test(line));
+  if (start === -1) return [];
+
+  const items = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*(#.*)?$/.test(line)) continue;
+    const match = line.match(/^\s*-\s*["']?([^"'#]*?)["']?\s*(#.*)?$/);
+    if (!match) break;
+    items.push(match[1]);
+  }
+  return items;
+}
+
+// Join and normalize POSIX paths; "" is the project root, and paths that
+// leave it keep their leading ".."
+function resolvePath(...parts) {
+  const segments = [];
+  for (const segment of parts.join('/').split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') segments.pop();
+    else segments.push(segment);
+  }
+  return segments.join('/');
+}
+
+export function packageFile(packagePath, file) {
+  return packagePath ? `${packagePath}/${file}` : file;
+}
+
+// [{ name, path, dependencies }] in multi-package.yaml order, or null for
+// a single-package project. Listed directories without a daml.yaml are
+// left out.
+export function readPackages(files) {
+  if (!(MULTI_PACKAGE_FILE in files)) return null;
+
+  const packages = [];
+  for (const entry of listItems(files[MULTI_PACKAGE_FILE], 'packages')) {
+    const path = resolvePath(entry);
+    const damlYaml = files[packageFile(path, 'daml.yaml')];
+    if (damlYaml === undefined || path.startsWith('..') || packages.some(p => p.path === path)) continue;
+
+    const name = (damlYaml.match(/^name\s*:\s*["']?([^"'\s#]+)/m) || [])[1];
+    packages.push({
+      name: name || path || 'root',
+      path,
+      dataDependencies: listItems(damlYaml, 'data-dependencies')
+    });
+  }
+
+  return packages.map(({ dataDependencies, ...pkg }) => ({
+    ...pkg,
+    dependencies: packages
+      .filter(other => other.path !== pkg.path && dataDependencies.some(dep => {
+        const target = resolvePath(pkg.path, dep);
+        return other.path === '' ? !target.startsWith('..') : target.startsWith(`${other.path}/`);
+      }))
+      .map(other => other.path)
+  }));
+}
+
+// Every daml.yaml the project is configured by, the root one first
+export function damlYamlPaths(files) {
+  const packages = readPackages(files);
+  const paths = packages ? packages.map(pkg => packageFile(pkg.path, 'daml.yaml')) : ['daml.yaml'];
+  return paths.sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+}
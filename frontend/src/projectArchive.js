@@ -0,0 +1,109 @@
+import JSZip from 'jszip';
+
+// Export the files map as a .zip (directories become zip folders)
+export async function exportProjectZip(files, projectName) {
+  const zip = new JSZip();
+  const root = zip.folder(projectName);
+
+  Object.entries(files).forEach(([filePath, content]) => {
+    root.file(filePath, content);
+  });
+
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+  downloadBlob(blob, `${projectName}.zip`);
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Generated and OS metadata entries that are silently left out on import
+function isIgnored(filePath) {
+  return filePath.split('/').some(segment =>
+    segment === '__MACOSX' || segment === '.daml' || segment === '.DS_Store' || segment === 'node_modules'
+  );
+}
+
+// Archives usually wrap the project in one top-level folder; drop it when
+// every file shares it
+function stripCommonRoot(files) {
+  const paths = Object.keys(files);
+  if (paths.length === 0) return files;
+
+  const first = paths[0].split('/')[0];
+  const shared = paths.every(p => p.includes('/') && p.split('/')[0] === first);
+  if (!shared) return files;
+
+  return Object.fromEntries(
+    Object.entries(files).map(([p, content]) => [p.slice(first.length + 1), content])
+  );
+}
+
+// Read a .zip into a files map
+export async function readProjectZip(file) {
+  const zip = await JSZip.loadAsync(file);
+  const files = {};
+
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && !isIgnored(entry.name));
+  for (const entry of entries) {
+    files[entry.name] = await entry.async('string');
+  }
+
+  return stripCommonRoot(files);
+}
+
+// Read whatever was dropped: a .zip, a folder, or loose files
+export async function readDroppedItems(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  // A single dropped zip
+  if (entries.length === 1 && entries[0].isFile && entries[0].name.toLowerCase().endsWith('.zip')) {
+    return readProjectZip(await entryFile(entries[0]));
+  }
+
+  const files = {};
+  for (const entry of entries) {
+    await readEntry(entry, '', files);
+  }
+
+  return stripCommonRoot(files);
+}
+
+async function readEntry(entry, prefix, files) {
+  const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+  if (isIgnored(entryPath)) return;
+
+  if (entry.isFile) {
+    const file = await entryFile(entry);
+    files[entryPath] = await file.text();
+  } else if (entry.isDirectory) {
+    for (const child of await readDirectory(entry)) {
+      await readEntry(child, entryPath, files);
+    }
+  }
+}
+
+function entryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+// readEntries returns results in batches until it yields an empty one
+async function readDirectory(directory) {
+  const reader = directory.createReader();
+  const all = [];
+
+  while (true) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return all;
+    all.push(...batch);
+  }
+}
@@ -0,0 +1,128 @@
+import axios from 'axios';
+
+// Client-side copy of the backend's project file rules (see
+// backend/lib/project.js). The backend publishes its configured values at
+// /api/project/rules; these defaults are used when it cannot be reached.
+export const DEFAULT_RULES = {
+  maxFiles: 200,
+  maxFileBytes: 1024 * 1024,
+  maxTotalBytes: 5 * 1024 * 1024,
+  allowedExtensions: ['.daml', '.yaml', '.yml', '.md', '.txt', '.json'],
+  requiredDamlYamlFields: ['sdk-version', 'name', 'version', 'source']
+};
+
+export async function loadProjectRules(apiUrl) {
+  try {
+    const response = await axios.get(`${apiUrl}/api/project/rules`);
+    return { ...DEFAULT_RULES, ...response.data.rules };
+  } catch (error) {
+    console.warn('Could not load project rules, using defaults:', error);
+    return DEFAULT_RULES;
+  }
+}
+
+function extensionOf(filePath) {
+  const name = filePath.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot).toLowerCase() : '';
+}
+
+// Normalize a path the way the backend does, or return a rejection reason
+export function normalizePath(filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    return { reason: 'File name is empty' };
+  }
+  if (filePath.includes('\\')) {
+    return { reason: 'Use forward slashes in file paths' };
+  }
+  if (filePath.startsWith('/') || /^[a-zA-Z]:/.test(filePath)) {
+    return { reason: 'Absolute paths are not allowed' };
+  }
+
+  const segments = [];
+  for (const segment of filePath.trim().split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') return { reason: 'Path escapes the project directory' };
+    if (segment.startsWith('.')) return { reason: 'Hidden files and directories are not allowed' };
+    segments.push(segment);
+  }
+
+  return segments.length > 0 ? { path: segments.join('/') } : { reason: 'File name is empty' };
+}
+
+const byteSize = (content) => new Blob([content]).size;
+
+// Project-wide limits (file count and total size) a files map breaks, as
+// rejections for the file '*'
+export function checkProjectLimits(files, rules = DEFAULT_RULES) {
+  const problems = [];
+  const count = Object.keys(files).length;
+  if (count > rules.maxFiles) {
+    problems.push({ file: '*', reason: `Too many files: ${count} (limit ${rules.maxFiles})` });
+  }
+
+  const totalBytes = Object.values(files).reduce((sum, content) => sum + byteSize(content), 0);
+  if (totalBytes > rules.maxTotalBytes) {
+    problems.push({ file: '*', reason: `Project is ${totalBytes} bytes in total (limit ${rules.maxTotalBytes})` });
+  }
+  return problems;
+}
+
+// Split a files map into what the backend would accept and what it would
+// reject, with a reason per rejected file. When the accepted files together
+// break a project-wide limit the whole import is refused: nothing is
+// accepted, since the backend would reject the project anyway.
+export function checkProjectFiles(files, rules = DEFAULT_RULES) {
+  const accepted = {};
+  const rejected = [];
+
+  Object.entries(files).forEach(([filePath, content]) => {
+    const { path, reason } = normalizePath(filePath);
+    if (reason) {
+      rejected.push({ file: filePath, reason });
+      return;
+    }
+
+    const extension = extensionOf(path);
+    if (!rules.allowedExtensions.includes(extension)) {
+      rejected.push({ file: filePath, reason: `File type "${extension || 'none'}" is not allowed` });
+      return;
+    }
+
+    const bytes = byteSize(content);
+    if (bytes > rules.maxFileBytes) {
+      rejected.push({ file: filePath, reason: `File is ${bytes} bytes (limit ${rules.maxFileBytes})` });
+      return;
+    }
+
+    accepted[path] = content;
+  });
+
+  const limits = checkProjectLimits(accepted, rules);
+  if (limits.length > 0) return { accepted: {}, rejected: [...rejected, ...limits] };
+
+  return { accepted, rejected };
+}
+
+// Missing daml.yaml fields, checked with a simple top-level key scan
+export function missingDamlYamlFields(content, rules = DEFAULT_RULES) {
+  if (typeof content !== 'string') return rules.requiredDamlYamlFields;
+
+  return rules.requiredDamlYamlFields.filter(field =>
+    !new RegExp(`^${field}\\s*:\\s*\\S`, 'm').test(content)
+  );
+}
+
+// sdk-version from a daml.yaml, or null
+export function readSdkVersion(content) {
+  const match = (content || '').match(/^sdk-version\s*:\s*["']?([^"'\s#]+)/m);
+  return match ? match[1] : null;
+}
+
+// daml.yaml with its sdk-version set, leaving the rest of the file as is
+export function withSdkVersion(content, version) {
+  if (/^sdk-version\s*:/m.test(content || '')) {
+    return content.replace(/^sdk-version\s*:.*$/m, `sdk-version: ${version}`);
+  }
+  return `sdk-version: ${version}\n${content || ''}`;
+}
@@ -0,0 +1,129 @@
+import {
+  DEFAULT_RULES, normalizePath, checkProjectFiles, checkProjectLimits,
+  missingDamlYamlFields, readSdkVersion, withSdkVersion
+} from './projectFiles';
+
+const RULES = { ...DEFAULT_RULES, maxFiles: 3, maxFileBytes: 10, maxTotalBytes: 20 };
+
+const DAML_YAML = 'sdk-version: 3.4.10\nname: my-project\nversion: 1.0.0\nsource: daml\n';
+
+describe('normalizePath', () => {
+  it('cleans up relative paths', () => {
+    expect(normalizePath('./daml//Main.daml')).toEqual({ path: 'daml/Main.daml' });
+    expect(normalizePath(' daml/Main.daml ')).toEqual({ path: 'daml/Main.daml' });
+  });
+
+  it('rejects paths the backend would refuse', () => {
+    expect(normalizePath('../secret.daml').reason).toMatch(/escapes/);
+    expect(normalizePath('daml/../../x.daml').reason).toMatch(/escapes/);
+    expect(normalizePath('/etc/passwd').reason).toMatch(/Absolute/);
+    expect(normalizePath('C:/x.daml').reason).toMatch(/Absolute/);
+    expect(normalizePath('daml\\Main.daml').reason).toMatch(/forward slashes/);
+    expect(normalizePath('.daml/dist/x.dar').reason).toMatch(/Hidden/);
+    expect(normalizePath('./').reason).toMatch(/empty/);
+    expect(normalizePath('').reason).toMatch(/empty/);
+  });
+});
+
+describe('checkProjectFiles', () => {
+  it('accepts files within the rules under their normalized paths', () => {
+    expect(checkProjectFiles({ './a.daml': 'a', 'b.md': 'b' }, RULES)).toEqual({
+      accepted: { 'a.daml': 'a', 'b.md': 'b' },
+      rejected: []
+    });
+  });
+
+  it('rejects single files with a reason and keeps the rest', () => {
+    const { accepted, rejected } = checkProjectFiles({
+      'a.daml': 'a',
+      'build.sh': 'x',
+      'big.daml': '12345678901',
+      '../up.daml': 'x'
+    }, RULES);
+
+    expect(accepted).toEqual({ 'a.daml': 'a' });
+    expect(rejected).toEqual([
+      { file: 'build.sh', reason: 'File type ".sh" is not allowed' },
+      { file: 'big.daml', reason: 'File is 11 bytes (limit 10)' },
+      { file: '../up.daml', reason: 'Path escapes the project directory' }
+    ]);
+  });
+
+  it('accepts a file of exactly the size limit', () => {
+    expect(Object.keys(checkProjectFiles({ 'a.daml': '1234567890' }, RULES).accepted)).toEqual(['a.daml']);
+  });
+
+  it('counts bytes, not characters', () => {
+    // Five two-byte characters
+    expect(checkProjectFiles({ 'a.md': 'ééééé' }, RULES).accepted).toEqual({ 'a.md': 'ééééé' });
+    expect(checkProjectFiles({ 'a.md': 'éééééé' }, RULES).rejected[0].reason).toBe('File is 12 bytes (limit 10)');
+  });
+
+  it('accepts exactly the file limit', () => {
+    const files = { 'a.daml': 'a', 'b.daml': 'b', 'c.daml': 'c' };
+    expect(checkProjectFiles(files, RULES).accepted).toEqual(files);
+  });
+
+  it('refuses the whole import when there are too many files', () => {
+    const { accepted, rejected } = checkProjectFiles({ 'a.daml': 'a', 'b.daml': 'b', 'c.daml': 'c', 'd.daml': 'd' }, RULES);
+
+    expect(accepted).toEqual({});
+    expect(rejected).toEqual([{ file: '*', reason: 'Too many files: 4 (limit 3)' }]);
+  });
+
+  it('refuses the whole import when the files are too large together', () => {
+    const { accepted, rejected } = checkProjectFiles({ 'a.daml': '1234567890', 'b.daml': '12345678901', 'c.daml': '1234567890', 'd.daml': 'x' }, {
+      ...RULES,
+      maxFiles: 10
+    });
+
+    expect(accepted).toEqual({});
+    expect(rejected).toEqual([
+      { file: 'b.daml', reason: 'File is 11 bytes (limit 10)' },
+      { file: '*', reason: 'Project is 21 bytes in total (limit 20)' }
+    ]);
+  });
+
+  it('only counts files that were accepted towards the limits', () => {
+    const { accepted } = checkProjectFiles({ 'a.daml': 'a', 'b.daml': 'b', 'c.daml': 'c', 'd.sh': 'd' }, RULES);
+    expect(Object.keys(accepted)).toHaveLength(3);
+  });
+});
+
+describe('checkProjectLimits', () => {
+  it('is empty within the limits', () => {
+    expect(checkProjectLimits({ 'a.daml': '1234567890', 'b.daml': '1234567890' }, RULES)).toEqual([]);
+  });
+
+  it('checks a merged project, not only the incoming files', () => {
+    const current = { 'a.daml': 'a', 'b.daml': 'b' };
+    const { accepted } = checkProjectFiles({ 'c.daml': 'c', 'd.daml': 'd' }, RULES);
+
+    expect(Object.keys(accepted)).toHaveLength(2);
+    expect(checkProjectLimits({ ...current, ...accepted }, RULES)).toEqual([
+      { file: '*', reason: 'Too many files: 4 (limit 3)' }
+    ]);
+  });
+
+  it('counts files a merge overwrites once', () => {
+    const current = { 'a.daml': '1234567890', 'b.daml': '1234567890' };
+    expect(checkProjectLimits({ ...current, 'b.daml': '123' }, RULES)).toEqual([]);
+  });
+});
+
+describe('daml.yaml helpers', () => {
+  it('lists missing required fields', () => {
+    expect(missingDamlYamlFields(DAML_YAML)).toEqual([]);
+    expect(missingDamlYamlFields('name: x\nversion:\n')).toEqual(['sdk-version', 'version', 'source']);
+    expect(missingDamlYamlFields(undefined)).toEqual(DEFAULT_RULES.requiredDamlYamlFields);
+  });
+
+  it('reads and rewrites the sdk-version', () => {
+    expect(readSdkVersion(DAML_YAML)).toBe('3.4.10');
+    expect(readSdkVersion('sdk-version: "3.3.0" # pinned\n')).toBe('3.3.0');
+    expect(readSdkVersion('name: x\n')).toBeNull();
+
+    expect(withSdkVersion(DAML_YAML, '3.4.11')).toBe(DAML_YAML.replace('3.4.10', '3.4.11'));
+    expect(withSdkVersion('name: x\n', '3.4.11')).toBe('sdk-version: 3.4.11\nname: x\n');
+  });
+});
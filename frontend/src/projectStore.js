@@ -0,0 +1,201 @@
+import { randomUUID } from './workspace';
+
+// Named projects kept in IndexedDB (localStorage is too small for larger
+// dpm templates). A project is { id, name, files, currentFile, template,
+// createdAt, updatedAt }; the id of the open one is kept in localStorage.
+//
+// Snapshots are saved copies of a project's files: { id, projectId, name,
+// kind, status, files, createdAt }. kind is 'build', 'test' or 'manual' for
+// snapshots of successful runs and named ones, or 'auto' for the copies
+// taken before a reset or restore; status is the last run result for those
+// files ('built', 'passed', 'failed') or null if they were never run.
+
+const DB_NAME = 'canton-ide';
+const DB_VERSION = 2;
+const PROJECTS = 'projects';
+const SNAPSHOTS = 'snapshots';
+
+const ACTIVE_PROJECT_KEY = 'canton-ide-active-project';
+
+// Older automatic snapshots beyond this many per project are dropped;
+// named ones are kept until deleted
+const MAX_AUTOMATIC_SNAPSHOTS = 50;
+
+// Single-project storage used before projects existed
+const LEGACY_FILES_KEY = 'canton-ide-files';
+const LEGACY_CURRENT_FILE_KEY = 'canton-ide-current-file';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECTS)) {
+          db.createObjectStore(PROJECTS, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+          db.createObjectStore(SNAPSHOTS, { keyPath: 'id' }).createIndex('projectId', 'projectId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run requests in a transaction and resolve with the result of the one
+// makeRequest returns (if any) once committed
+async function run(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request && request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Summaries (no file contents), most recently modified first
+export async function listProjects() {
+  const projects = await run(PROJECTS, 'readonly', store => store.getAll());
+  return projects
+    .map(({ files, ...summary }) => ({ ...summary, fileCount: Object.keys(files).length }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getProject(id) {
+  return run(PROJECTS, 'readonly', store => store.get(id));
+}
+
+export async function createProject({ name, files, currentFile = '', template = null }) {
+  const now = new Date().toISOString();
+  const project = { id: randomUUID(), name, files, currentFile, template, createdAt: now, updatedAt: now };
+  await run(PROJECTS, 'readwrite', store => store.add(project));
+  return project;
+}
+
+// Save changes to an existing project, bumping its modified time
+export async function updateProject(id, changes) {
+  const project = await getProject(id);
+  if (!project) throw new Error('Project not found');
+
+  const updated = { ...project, ...changes, id, updatedAt: new Date().toISOString() };
+  await run(PROJECTS, 'readwrite', store => store.put(updated));
+  return updated;
+}
+
+export async function deleteProject(id) {
+  await run(PROJECTS, 'readwrite', store => store.delete(id));
+  const snapshots = await listSnapshots(id);
+  await deleteSnapshots(snapshots.map(s => s.id));
+}
+
+export async function duplicateProject(id, name) {
+  const project = await getProject(id);
+  if (!project) throw new Error('Project not found');
+
+  return createProject({
+    name: name || `${project.name} (copy)`,
+    files: project.files,
+    currentFile: project.currentFile,
+    template: project.template
+  });
+}
+
+export function getActiveProjectId() {
+  return localStorage.getItem(ACTIVE_PROJECT_KEY);
+}
+
+export function setActiveProjectId(id) {
+  localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+}
+
+// Move the old single-project localStorage content into a first project.
+// Returns the new project, or null when there was nothing to migrate.
+// Calls made while a migration runs (or after it) share its result, so the
+// project is created only once.
+let migration = null;
+
+export function migrateLegacyProject() {
+  if (!migration) {
+    migration = migrate().catch(error => {
+      migration = null;
+      throw error;
+    });
+  }
+  return migration;
+}
+
+async function migrate() {
+  const saved = localStorage.getItem(LEGACY_FILES_KEY);
+  if (!saved) return null;
+
+  let files;
+  try {
+    files = JSON.parse(saved);
+  } catch (error) {
+    console.error('Could not read saved files for migration:', error);
+    return null;
+  }
+
+  const nameMatch = (files['daml.yaml'] || '').match(/^name:\s*(\S+)/m);
+  const project = await createProject({
+    name: nameMatch ? nameMatch[1] : 'My project',
+    files,
+    currentFile: localStorage.getItem(LEGACY_CURRENT_FILE_KEY) || ''
+  });
+
+  // Only forget the old copy once the project is safely stored
+  localStorage.removeItem(LEGACY_FILES_KEY);
+  localStorage.removeItem(LEGACY_CURRENT_FILE_KEY);
+  return project;
+}
+
+// --- Snapshots -------------------------------------------------------------
+
+// All snapshots of a project, newest first
+export async function listSnapshots(projectId) {
+  const snapshots = await run(SNAPSHOTS, 'readonly', store => store.index('projectId').getAll(projectId));
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function deleteSnapshots(ids) {
+  return run(SNAPSHOTS, 'readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+export function deleteSnapshot(id) {
+  return deleteSnapshots([id]);
+}
+
+const sameFiles = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Save a snapshot. Automatic ones (everything but 'manual') are skipped when
+// the newest snapshot of the same kind has the same files, and the oldest
+// are dropped past MAX_AUTOMATIC_SNAPSHOTS. Returns the snapshot or null.
+export async function createSnapshot({ projectId, name, kind, status = null, files }) {
+  const existing = await listSnapshots(projectId);
+
+  if (kind !== 'manual') {
+    const latest = existing.find(s => s.kind === kind);
+    if (latest && sameFiles(latest.files, files)) return null;
+  }
+
+  const snapshot = {
+    id: randomUUID(), projectId, name, kind, status, files, createdAt: new Date().toISOString()
+  };
+  await run(SNAPSHOTS, 'readwrite', store => store.add(snapshot));
+
+  const automatic = existing.filter(s => s.kind !== 'manual');
+  if (kind !== 'manual' && automatic.length >= MAX_AUTOMATIC_SNAPSHOTS) {
+    await deleteSnapshots(automatic.slice(MAX_AUTOMATIC_SNAPSHOTS - 1).map(s => s.id));
+  }
+
+  return snapshot;
+}
@@ -0,0 +1,22 @@
+// Find top-level Daml Script definitions (e.g. `setup : Script ()`) so
+// single scripts can be picked for a test run.
+export function findScripts(files) {
+  const scripts = [];
+
+  Object.entries(files || {}).forEach(([file, content]) => {
+    if (!file.endsWith('.daml') || typeof content !== 'string') return;
+
+    const lines = content.split('\n');
+    const moduleMatch = content.match(/^module\s+([\w.]+)/m);
+    const module = moduleMatch ? moduleMatch[1] : file;
+
+    lines.forEach((line, index) => {
+      const match = line.match(/^([a-z_][\w']*)\s*:\s*Script\b/);
+      if (match) {
+        scripts.push({ file, module, name: match[1], line: index + 1 });
+      }
+    });
+  });
+
+  return scripts;
+}
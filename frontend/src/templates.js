@@ -0,0 +1,71 @@
+import axios from 'axios';
+
+// Project templates: fetching a template's files and what the template
+// gallery shows about them.
+
+// Gallery sections, in display order (categories come from the backend)
+export const TEMPLATE_CATEGORIES = [
+  { id: 'starter', label: 'Starter' },
+  { id: 'tutorial', label: 'Tutorials' },
+  { id: 'patterns', label: 'Patterns' },
+  { id: 'finance', label: 'Finance' },
+  { id: 'integration', label: 'Integration' },
+  { id: 'other', label: 'Other' }
+];
+
+// Files of any template in the backend's list, for looking at only. Free
+// of charge, unlike createFromTemplate.
+export async function fetchTemplatePreview(apiUrl, templateId) {
+  const response = await axios.get(`${apiUrl}/api/templates/${encodeURIComponent(templateId)}/preview`);
+  if (!response.data.success || !response.data.files) {
+    throw new Error(response.data.error || 'Template has no files');
+  }
+  return response.data.files;
+}
+
+// Files new projects start from: the backend's "empty" template, fetched
+// once per page load
+let emptyTemplate = null;
+
+export function loadEmptyTemplate(apiUrl) {
+  if (!emptyTemplate) {
+    emptyTemplate = fetchTemplatePreview(apiUrl, 'empty').catch(error => {
+      emptyTemplate = null;
+      throw error;
+    });
+  }
+  return emptyTemplate;
+}
+
+// Files for a project made from a template. This counts against the
+// caller's template quota.
+export async function createFromTemplate(apiUrl, templateId) {
+  const response = await axios.post(`${apiUrl}/api/templates/create`, { template: templateId });
+  if (!response.data.success || !response.data.files) {
+    throw new Error(response.data.error || 'Template has no files');
+  }
+  return response.data.files;
+}
+
+// The module a template is "about": the init-script's module from
+// daml.yaml, else Main.daml, else the first Daml file
+export function mainModuleOf(files) {
+  const damlYaml = files['daml.yaml'] || '';
+  const source = (damlYaml.match(/^source:\s*(\S+)/m) || [])[1] || 'daml';
+  const initScript = (damlYaml.match(/^init-script:\s*([\w.]+):/m) || [])[1];
+
+  const candidates = [
+    initScript && `${source}/${initScript.split('.').join('/')}.daml`,
+    `${source}/Main.daml`
+  ].filter(Boolean);
+
+  const damlFiles = Object.keys(files).filter(f => f.endsWith('.daml')).sort();
+  return candidates.find(f => f in files) || damlFiles[0] || null;
+}
+
+export function templateMatches(template, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  return [template.id, template.name, template.description]
+    .some(text => (text || '').toLowerCase().includes(q));
+}
@@ -0,0 +1,25 @@
+const WORKSPACE_KEY = 'canton-ide-workspace';
+
+export function randomUUID() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+
+  // crypto.randomUUID needs a secure context; build a v4 id by hand
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Stable workspace id for this browser session. The backend keeps the
+// workspace directory (and its build cache) between builds for this id.
+export function getWorkspaceId() {
+  let id = sessionStorage.getItem(WORKSPACE_KEY);
+  if (!id) {
+    id = randomUUID();
+    sessionStorage.setItem(WORKSPACE_KEY, id);
+  }
+  return id;
+}